@@ -0,0 +1,1547 @@
+"use strict";
+/**
+ * Audio Prep helpers shared by the audio flow plugins
+ *
+ * Laid out like Tdarr's own FlowHelpers/1.0.0, so plugins load it with
+ * require("../../../../LocalFlowHelpers/1.0.0/audioPrepUtils").
+ *
+ * - cancellation handling, the per-file lock taken by the plugins that rewrite
+ *   media in place, the backup/replace sequence they finish with and the cleanup
+ *   of temp files left in the work directory by jobs that never finished
+ * - the track-title engine (language names, roles, dispositions, the title
+ *   template and original-language detection), so every plugin titles tracks
+ *   the same way
+ * - main and original track selection
+ * - the stereo downmix pan presets
+ * - the ffmpeg/ffprobe runner and the decode check built on it
+ * - loudnorm filters, their two-pass measurement and report parsing, and the
+ *   EBU R128 summaries and loudness tags of Tag Audio Loudness
+ * - the astats health pass and its per-track verdict
+ * - the audioPrep flow variables and the plan-only log every rewriting plugin writes
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.buildLoudnessTags = exports.isMeasured = exports.SILENCE_LUFS = exports.parseEbur128Summaries = exports.recordPlan = exports.setAudioPrepVariable = exports.evaluateTrackHealth = exports.analyzeAudioTracks = exports.parseAstatsReports = exports.measureLoudness = exports.formatLoudness = exports.getAchievedLoudness = exports.getMeasuredLoudness = exports.parseLoudnormReports = exports.buildLoudnormFilter = exports.checkDecodedTrack = exports.getReferenceDuration = exports.getStreamDuration = exports.runCapture = exports.buildNightModeFilter = exports.parseNumberInRange = exports.getPanFilter = exports.resolveLayoutChannels = exports.DOWNMIX_PRESETS = exports.DEFAULT_LAYOUT_BY_CHANNELS = exports.LAYOUT_CHANNELS = exports.categorize = exports.selectMainAudio = exports.isObjectBasedAudio = exports.selectOriginalTrack = exports.normalizeCodecForSort = exports.detectOriginalLanguage = exports.isValidLanguage = exports.renderTitleTemplate = exports.buildTitleTokens = exports.DEFAULT_TITLE_TEMPLATE = exports.normalizeLangCode = exports.buildDispositionValue = exports.detectTrackRole = exports.ROLE_DISPOSITIONS = exports.getChannelDisplay = exports.getCodecDisplayName = exports.getLanguageName = exports.getDownmixType = exports.DOWNMIX_TAG = exports.cleanupOrphanedFiles = exports.replaceFile = exports.releaseLock = exports.acquireLock = exports.ownsLock = exports.describeLockOwner = exports.getLockOwner = exports.getLockFile = exports.watchForCancel = void 0;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+
+// Cancelling a job in Tdarr (or stopping the node) signals or disconnects the worker
+// process rather than calling into the plugin. Runs onCancel once; if nobody else
+// listens for the signal it is re-raised so the default termination still happens.
+// Returns a function that stops watching.
+function watchForCancel(onCancel) {
+    var signals = ['SIGTERM', 'SIGINT', 'SIGHUP'];
+    var handlers = {};
+    var fired = false;
+    var stop = function() {
+        Object.keys(handlers).forEach(function(event) {
+            process.removeListener(event, handlers[event]);
+        });
+    };
+    var fire = function(reason) {
+        if (fired) return;
+        fired = true;
+        stop();
+        try {
+            onCancel(reason);
+        } catch (e) {
+            // Best effort - the process may be going away
+        }
+    };
+    signals.forEach(function(sig) {
+        handlers[sig] = function() {
+            fire(sig);
+            if (process.listenerCount(sig) === 0) {
+                process.kill(process.pid, sig);
+            }
+        };
+    });
+    handlers.disconnect = function() { fire('worker disconnected'); };
+    handlers.exit = function() { fire('worker exiting'); };
+    Object.keys(handlers).forEach(function(event) {
+        process.on(event, handlers[event]);
+    });
+    return stop;
+}
+exports.watchForCancel = watchForCancel;
+
+// Resolves after ms, or as soon as signal aborts
+function sleep(ms, signal) {
+    return new Promise(function(resolve) {
+        var done = function() {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', done);
+            resolve();
+        };
+        var timer = setTimeout(done, ms);
+        if (signal) signal.addEventListener('abort', done);
+    });
+}
+
+function safeUnlink(filePath) {
+    try {
+        fs.unlinkSync(filePath);
+    } catch (e) {
+        // Ignore - may not exist
+    }
+}
+
+// Lock files hold the owner (node ID, host, PID) and are rewritten every
+// LOCK_HEARTBEAT_MS while the job runs, so a lock from a crashed node goes stale
+// after LOCK_STALE_MS instead of blocking the file for hours. Every in-place plugin
+// uses the same lock name.
+var LOCK_HEARTBEAT_MS = 30 * 1000;
+var LOCK_STALE_MS = 5 * 60 * 1000;
+
+function getLockFile(lockLocation, sharedLockDir, workDir, inputFile) {
+    var baseName = path.basename(inputFile);
+    if (lockLocation === 'media-dir') {
+        return path.join(path.dirname(inputFile), '.' + baseName + '.audioprep.lock');
+    }
+    if (lockLocation === 'shared-dir') {
+        // Named after the file only, so nodes that mount the library at different paths agree
+        return path.join(sharedLockDir, baseName + '.audioprep.lock');
+    }
+    return path.join(workDir, baseName + '.audioprep.lock');
+}
+exports.getLockFile = getLockFile;
+
+function getLockOwner(args) {
+    return {
+        nodeId: String(args.nodeID || process.env.nodeID || process.env.nodeName || os.hostname()),
+        host: os.hostname(),
+        pid: process.pid,
+    };
+}
+exports.getLockOwner = getLockOwner;
+
+function describeLockOwner(info) {
+    if (!info) return 'unknown owner';
+    return 'node ' + info.nodeId + ' (host ' + info.host + ', pid ' + info.pid + ')';
+}
+exports.describeLockOwner = describeLockOwner;
+
+function readLock(lockFile) {
+    try {
+        var text = fs.readFileSync(lockFile, 'utf8');
+        var stat = fs.statSync(lockFile);
+        var info = null;
+        try {
+            info = JSON.parse(text);
+        } catch (e) {
+            // Older "pid\ntimestamp" lock, judged by mtime alone
+        }
+        return { file: lockFile, text: text, info: info, mtimeMs: stat.mtimeMs };
+    } catch (e) {
+        return null;
+    }
+}
+
+// The current time by the clock of the filesystem holding the lock: the mtime of a
+// file written next to it. Nodes sharing an NFS/SMB library don't agree on the time,
+// but the file server stamps every lock they write with its own.
+function getFilesystemNow(lockFile) {
+    var probe = lockFile + '.clock-' + process.pid + '-' + Date.now();
+    try {
+        fs.writeFileSync(probe, '');
+        return fs.statSync(probe).mtimeMs;
+    } catch (e) {
+        return Date.now();
+    } finally {
+        safeUnlink(probe);
+    }
+}
+
+function isLockStale(lock) {
+    var info = lock.info;
+    // On the same host a dead PID means the lock is abandoned, no need to wait for the heartbeat
+    if (info && info.host === os.hostname() && info.pid) {
+        try {
+            process.kill(info.pid, 0);
+        } catch (e) {
+            if (e.code === 'ESRCH') return true;
+        }
+    }
+    // Judged by the lock's mtime, not the heartbeat time inside it, which is the owner's clock
+    return getFilesystemNow(lock.file) - lock.mtimeMs > LOCK_STALE_MS;
+}
+
+// Move the stale lock aside before deleting it, so two nodes breaking the same
+// stale lock can't delete the fresh lock one of them has just taken
+function breakStaleLock(lockFile, stale) {
+    var aside = lockFile + '.stale-' + process.pid + '-' + Date.now();
+    try {
+        fs.renameSync(lockFile, aside);
+    } catch (e) {
+        return false;
+    }
+    var moved = null;
+    try {
+        moved = fs.readFileSync(aside, 'utf8');
+    } catch (e) {
+        // Treated as a mismatch below
+    }
+    if (moved !== stale.text) {
+        try {
+            fs.renameSync(aside, lockFile);
+        } catch (e) {
+            // Nothing more we can do
+        }
+        return false;
+    }
+    safeUnlink(aside);
+    return true;
+}
+
+function ownsLock(lock) {
+    var current = readLock(lock.file);
+    return !!(current && current.info && current.info.nodeId === lock.owner.nodeId &&
+        current.info.pid === lock.owner.pid && current.info.acquired === lock.acquired);
+}
+exports.ownsLock = ownsLock;
+
+// Acquire the lock, waiting up to timeoutMs for another owner to finish; an aborted
+// signal ends the wait early. Returns { lock } on success, otherwise { error } or { holder }.
+async function acquireLock(lockFile, owner, timeoutMs, jobLog, signal) {
+    var start = Date.now();
+    var holder = null;
+
+    while (Date.now() - start < timeoutMs && !(signal && signal.aborted)) {
+        var now = Date.now();
+        var info = Object.assign({}, owner, { acquired: now, heartbeat: now });
+        try {
+            // O_CREAT | O_EXCL - atomic create, fails if exists
+            fs.writeFileSync(lockFile, JSON.stringify(info), { flag: 'wx' });
+            var lock = { file: lockFile, owner: owner, acquired: now, timer: null };
+            lock.timer = setInterval(function() {
+                // replaceFile checks ownership again before it touches the original
+                if (!ownsLock(lock)) {
+                    jobLog('WARNING: Lock ' + lock.file + ' was taken over by ' +
+                        describeLockOwner((readLock(lock.file) || {}).info) + ', the file will not be replaced');
+                    clearInterval(lock.timer);
+                    return;
+                }
+                try {
+                    // Rewritten rather than touched, so the file server sets the mtime
+                    fs.writeFileSync(lock.file, JSON.stringify(Object.assign({}, info, { heartbeat: Date.now() })));
+                } catch (e) {
+                    jobLog('WARNING: Could not refresh lock heartbeat: ' + e.message);
+                }
+            }, LOCK_HEARTBEAT_MS);
+            // The heartbeat must never keep a finished worker alive
+            if (lock.timer.unref) lock.timer.unref();
+            return { lock: lock };
+        } catch (e) {
+            if (e.code !== 'EEXIST') {
+                return { error: e.message };
+            }
+        }
+
+        var current = readLock(lockFile);
+        if (!current) continue; // Released between our create and read, retry immediately
+        holder = current.info;
+        if (isLockStale(current)) {
+            jobLog('Breaking stale lock held by ' + describeLockOwner(current.info));
+            if (breakStaleLock(lockFile, current)) continue;
+        }
+        // Lock is held by another process, wait before retry (not busy-wait)
+        await sleep(500, signal);
+    }
+    return { holder: holder };
+}
+exports.acquireLock = acquireLock;
+
+// Stops the heartbeat and removes the lock, unless another owner has taken it over
+function releaseLock(lock) {
+    if (!lock) return;
+    clearInterval(lock.timer);
+    if (ownsLock(lock)) {
+        safeUnlink(lock.file);
+    }
+}
+exports.releaseLock = releaseLock;
+
+// Put tempFile in place of inputFile. The new file is first brought next to the
+// original as stagingFile: a rename on the same filesystem, otherwise an async copy
+// (the usual case, /temp and /media are different mounts) that leaves the event loop
+// and so the lock heartbeat running, and that an aborted signal stops. Only then,
+// with the lock confirmed ours, is the original renamed to backupFile and the staged
+// file renamed into its place. Those two renames run back to back without yielding,
+// so a cancel either lands before them (original untouched, staging removed) or
+// after the file is in place, and a crash mid-copy leaves only a .staging_ file.
+// Throws an Error fit for the job log, with the original back in place (a failed
+// restore is logged as CRITICAL with the backup's location).
+async function replaceFile(inputFile, tempFile, stagingFile, backupFile, lock, signal, jobLog) {
+    var cancelled = function() { return !!(signal && signal.aborted); };
+    try {
+        fs.renameSync(tempFile, stagingFile);
+        jobLog('Moved temp next to the original (same filesystem)');
+    } catch (renameErr) {
+        jobLog('Cross-filesystem move, copying...');
+        try {
+            await stream.promises.pipeline(fs.createReadStream(tempFile), fs.createWriteStream(stagingFile),
+                signal ? { signal: signal } : {});
+        } catch (copyErr) {
+            safeUnlink(stagingFile);
+            throw new Error(cancelled() ? 'Job cancelled' : 'Could not copy file into place: ' + copyErr.message);
+        }
+        safeUnlink(tempFile);
+        jobLog('Copied and cleaned up temp file');
+    }
+
+    if (cancelled()) {
+        safeUnlink(stagingFile);
+        throw new Error('Job cancelled');
+    }
+    if (lock && !ownsLock(lock)) {
+        safeUnlink(stagingFile);
+        throw new Error('Lock ' + lock.file + ' is no longer ours (now held by ' +
+            describeLockOwner((readLock(lock.file) || {}).info) + '), original left untouched');
+    }
+
+    try {
+        fs.renameSync(inputFile, backupFile);
+    } catch (backupErr) {
+        safeUnlink(stagingFile);
+        throw new Error('Could not create backup: ' + backupErr.message);
+    }
+    try {
+        fs.renameSync(stagingFile, inputFile);
+    } catch (moveErr) {
+        jobLog('ERROR during move: ' + moveErr.message);
+        try {
+            fs.renameSync(backupFile, inputFile);
+            jobLog('Restored original from backup');
+        } catch (restoreErr) {
+            jobLog('CRITICAL: Restore failed: ' + restoreErr.message);
+            jobLog('Backup location: ' + backupFile);
+        }
+        safeUnlink(stagingFile);
+        throw new Error('Could not move file into place: ' + moveErr.message);
+    }
+    safeUnlink(backupFile);
+    jobLog('File replaced successfully');
+}
+exports.replaceFile = replaceFile;
+
+// Remove files starting with prefix from dir that were last written more than maxAgeMs
+// ago: temp files of jobs whose worker died before it could clean up
+function cleanupOrphanedFiles(dir, prefix, maxAgeMs) {
+    try {
+        if (!fs.existsSync(dir)) return;
+        var files = fs.readdirSync(dir);
+        var now = Date.now();
+        for (var i = 0; i < files.length; i++) {
+            var file = files[i];
+            if (file.indexOf(prefix) === 0) {
+                try {
+                    var filePath = path.join(dir, file);
+                    var stat = fs.statSync(filePath);
+                    if (now - stat.mtimeMs > maxAgeMs) {
+                        fs.unlinkSync(filePath);
+                    }
+                } catch (e) {
+                    // Ignore individual file cleanup errors
+                }
+            }
+        }
+    } catch (e) {
+        // Ignore cleanup errors - non-critical
+    }
+}
+exports.cleanupOrphanedFiles = cleanupOrphanedFiles;
+
+// Stream tag written on the downmixes the plugins create (stereo or night), so a re-run
+// can tell a night mode track from a plain one without trusting the title: older
+// versions titled every plain downmix "Stereo (Night Mode)"
+var DOWNMIX_TAG = 'AUDIOPREP_DOWNMIX';
+exports.DOWNMIX_TAG = DOWNMIX_TAG;
+
+// The DOWNMIX_TAG value of an ffprobe stream ('stereo', 'night'), '' when untagged
+function getDownmixType(stream) {
+    var tags = (stream && stream.tags) || {};
+    var key = Object.keys(tags).filter(function(tag) { return tag.toUpperCase() === DOWNMIX_TAG; })[0];
+    return key ? String(tags[key]).toLowerCase() : '';
+}
+exports.getDownmixType = getDownmixType;
+
+// Language code to display name
+var LANGUAGE_MAP = {
+    'eng': 'English', 'en': 'English',
+    'fre': 'French', 'fra': 'French', 'fr': 'French',
+    'spa': 'Spanish', 'es': 'Spanish',
+    'ger': 'German', 'deu': 'German', 'de': 'German',
+    'ita': 'Italian', 'it': 'Italian',
+    'jpn': 'Japanese', 'ja': 'Japanese',
+    'por': 'Portuguese', 'pt': 'Portuguese',
+    'rus': 'Russian', 'ru': 'Russian',
+    'chi': 'Chinese', 'zho': 'Chinese', 'zh': 'Chinese',
+    'kor': 'Korean', 'ko': 'Korean',
+    'dut': 'Dutch', 'nld': 'Dutch', 'nl': 'Dutch',
+    'ara': 'Arabic', 'ar': 'Arabic',
+    'hin': 'Hindi', 'hi': 'Hindi',
+    'pol': 'Polish', 'pl': 'Polish',
+    'swe': 'Swedish', 'sv': 'Swedish',
+    'nor': 'Norwegian', 'no': 'Norwegian',
+    'dan': 'Danish', 'da': 'Danish',
+    'fin': 'Finnish', 'fi': 'Finnish',
+    'tha': 'Thai', 'th': 'Thai',
+    'vie': 'Vietnamese', 'vi': 'Vietnamese',
+    'tur': 'Turkish', 'tr': 'Turkish',
+    'heb': 'Hebrew', 'he': 'Hebrew',
+    'ind': 'Indonesian', 'id': 'Indonesian',
+    'may': 'Malay', 'msa': 'Malay', 'ms': 'Malay',
+    'hun': 'Hungarian', 'hu': 'Hungarian',
+    'cze': 'Czech', 'ces': 'Czech', 'cs': 'Czech',
+    'gre': 'Greek', 'ell': 'Greek', 'el': 'Greek',
+    'ron': 'Romanian', 'rum': 'Romanian', 'ro': 'Romanian',
+    'ukr': 'Ukrainian', 'uk': 'Ukrainian',
+};
+
+function getLanguageName(code, defaultLang) {
+    if (!code || code === 'und' || code === 'unk') {
+        return LANGUAGE_MAP[defaultLang] || 'Unknown';
+    }
+    var lower = code.toLowerCase();
+    return LANGUAGE_MAP[lower] || code.charAt(0).toUpperCase() + code.slice(1).toLowerCase();
+}
+exports.getLanguageName = getLanguageName;
+
+// Get codec display name
+function getCodecDisplayName(codecName, profile) {
+    var codec = (codecName || '').toLowerCase();
+    var prof = (profile || '').toLowerCase();
+
+    // EAC3 / E-AC-3 -> DD+
+    if (codec === 'eac3') {
+        // Check for Atmos (JOC profile)
+        if (prof.indexOf('joc') !== -1 || prof.indexOf('atmos') !== -1) {
+            return 'DD+ Atmos';
+        }
+        return 'DD+';
+    }
+
+    // AC3 -> DD
+    if (codec === 'ac3') {
+        return 'DD';
+    }
+
+    // DTS variants
+    if (codec === 'dts' || codec === 'dca') {
+        if (prof.indexOf('ma') !== -1 || prof.indexOf('master') !== -1) {
+            return 'DTS-HD MA';
+        }
+        if (prof.indexOf('hra') !== -1 || prof.indexOf('high res') !== -1) {
+            return 'DTS-HD HRA';
+        }
+        if (prof.indexOf('x') !== -1 && prof.indexOf('express') === -1) {
+            return 'DTS:X';
+        }
+        if (prof.indexOf('es') !== -1) {
+            return 'DTS-ES';
+        }
+        return 'DTS';
+    }
+
+    // TrueHD
+    if (codec === 'truehd') {
+        if (prof.indexOf('atmos') !== -1) {
+            return 'TrueHD Atmos';
+        }
+        return 'TrueHD';
+    }
+
+    // AAC
+    if (codec === 'aac') {
+        return 'AAC';
+    }
+
+    // FLAC
+    if (codec === 'flac') {
+        return 'FLAC';
+    }
+
+    // Opus
+    if (codec === 'opus') {
+        return 'Opus';
+    }
+
+    // MP3
+    if (codec === 'mp3') {
+        return 'MP3';
+    }
+
+    // PCM variants
+    if (codec.indexOf('pcm') !== -1) {
+        return 'PCM';
+    }
+
+    // Vorbis
+    if (codec === 'vorbis') {
+        return 'Vorbis';
+    }
+
+    // WMA
+    if (codec.indexOf('wma') !== -1) {
+        return 'WMA';
+    }
+
+    // Fallback - capitalize first letter
+    return codec.toUpperCase();
+}
+exports.getCodecDisplayName = getCodecDisplayName;
+
+// Get channel format display
+function getChannelDisplay(channels, profile, channelLayout) {
+    var prof = (profile || '').toLowerCase();
+    var layout = (channelLayout || '').toLowerCase();
+
+    // Check for Atmos in profile (already handled in codec, but also affects channel display)
+    if (prof.indexOf('joc') !== -1 || prof.indexOf('atmos') !== -1) {
+        return 'Atmos';
+    }
+
+    // Check layout for Atmos indicators
+    if (layout.indexOf('atmos') !== -1) {
+        return 'Atmos';
+    }
+
+    // Standard channel counts
+    if (channels === 8) return '7.1';
+    if (channels === 7) return '6.1';
+    if (channels === 6) return '5.1';
+    if (channels === 5) return '5.0';
+    if (channels === 4) return '4.0';
+    if (channels === 3) return '3.0';
+    if (channels === 2) return 'Stereo';
+    if (channels === 1) return 'Mono';
+
+    // For unusual channel counts (like Atmos with many channels)
+    if (channels > 8) return channels + 'ch';
+
+    return channels + 'ch';
+}
+exports.getChannelDisplay = getChannelDisplay;
+
+// Dispositions that say what a track is, in the order they win the title descriptor
+var ROLE_DISPOSITIONS = ['comment', 'visual_impaired', 'hearing_impaired', 'dub', 'original'];
+exports.ROLE_DISPOSITIONS = ROLE_DISPOSITIONS;
+
+// Work out a track's descriptor and role dispositions from its ffprobe disposition and title.
+// inferred lists the flags that only the title revealed, so they can be written back.
+function detectTrackRole(existingTitle, disposition) {
+    var lower = (existingTitle || '').toLowerCase();
+    var flags = {};
+    var inferred = [];
+    for (var i = 0; i < ROLE_DISPOSITIONS.length; i++) {
+        flags[ROLE_DISPOSITIONS[i]] = !!(disposition && disposition[ROLE_DISPOSITIONS[i]] === 1);
+    }
+    function infer(name, matches) {
+        if (matches && !flags[name]) {
+            flags[name] = true;
+            inferred.push(name);
+        }
+    }
+
+    infer('comment', lower.indexOf('commentary') !== -1 || lower.indexOf('director') !== -1);
+    infer('visual_impaired', lower.indexOf('descriptive') !== -1 || lower.indexOf('described') !== -1 ||
+        lower.indexOf('audio description') !== -1 || lower === 'ad');
+    infer('hearing_impaired', /hearing[ -]impaired|\bsdh\b|clear audio|clean audio/.test(lower));
+    infer('dub', /\bdub(bed)?\b/.test(lower));
+    // No disposition exists for these, the title is all there is
+    var isolatedScore = /isolated (score|music)|score only|music only/.test(lower);
+
+    var descriptor = '';
+    if (flags.comment) {
+        descriptor = (lower.indexOf('director') !== -1 && lower.indexOf('commentary') === -1) ? 'Directors Commentary' : 'Commentary';
+    } else if (flags.visual_impaired) {
+        descriptor = 'Descriptive';
+    } else if (flags.hearing_impaired) {
+        descriptor = 'Hearing Impaired';
+    } else if (isolatedScore) {
+        descriptor = 'Isolated Score';
+    } else if (flags.dub) {
+        descriptor = 'Dub';
+    }
+
+    return {
+        descriptor: descriptor,
+        flags: flags,
+        inferred: inferred,
+        // Extras that must never lead their language or take the default flag
+        secondary: flags.comment || flags.visual_impaired || isolatedScore,
+    };
+}
+exports.detectTrackRole = detectTrackRole;
+
+// Value for ffmpeg -disposition: the stream's other flags, the role flags and default
+function buildDispositionValue(disposition, flags, isDefault) {
+    var names = isDefault ? ['default'] : [];
+    Object.keys(disposition || {}).forEach(function(name) {
+        if (disposition[name] === 1 && name !== 'default' && ROLE_DISPOSITIONS.indexOf(name) === -1) names.push(name);
+    });
+    ROLE_DISPOSITIONS.forEach(function(name) {
+        if (flags[name]) names.push(name);
+    });
+    return names.length ? names.join('+') : '0';
+}
+exports.buildDispositionValue = buildDispositionValue;
+
+// Normalize language code for comparison (handles both 2-letter ISO 639-1 and 3-letter codes)
+function normalizeLangCode(code) {
+    if (!code) return 'und';
+    var c = code.toLowerCase();
+
+    // 2-letter ISO 639-1 → 3-letter bibliographic
+    var map2 = {
+        en: 'eng', fr: 'fre', es: 'spa', de: 'ger', it: 'ita',
+        pt: 'por', nl: 'dut', sv: 'swe', no: 'nor', da: 'dan',
+        fi: 'fin', pl: 'pol', cs: 'cze', ja: 'jpn', ko: 'kor',
+        zh: 'chi', ar: 'ara', ru: 'rus', uk: 'ukr'
+    };
+    if (c.length === 2 && map2[c]) return map2[c];
+
+    // 3-letter terminology → bibliographic (where they differ)
+    var map3 = { fra: 'fre', deu: 'ger', nld: 'dut', zho: 'chi', ces: 'cze', ron: 'rum', ell: 'gre', msa: 'may' };
+    if (map3[c]) return map3[c];
+
+    return c;
+}
+exports.normalizeLangCode = normalizeLangCode;
+
+// Default title template. Normalize Audio Titles and Process Audio Complete both render
+// titles here, so titles don't change depending on which flow touched the file last.
+var DEFAULT_TITLE_TEMPLATE = '{lang}[ {original}][ {descriptor}] - {codec} - {channels}';
+exports.DEFAULT_TITLE_TEMPLATE = DEFAULT_TITLE_TEMPLATE;
+
+// Endonyms for {lang_native}, keyed by bibliographic ISO 639-2 code
+var LANGUAGE_NATIVE_NAMES = {
+    'eng': 'English', 'fre': 'Français', 'spa': 'Español', 'ger': 'Deutsch', 'ita': 'Italiano',
+    'jpn': '日本語', 'por': 'Português', 'rus': 'Русский', 'chi': '中文', 'kor': '한국어',
+    'ara': 'العربية', 'hin': 'हिन्दी', 'pol': 'Polski', 'dut': 'Nederlands', 'swe': 'Svenska',
+    'nor': 'Norsk', 'dan': 'Dansk', 'fin': 'Suomi', 'tha': 'ไทย', 'vie': 'Tiếng Việt',
+    'tur': 'Türkçe', 'heb': 'עברית', 'ind': 'Bahasa Indonesia', 'may': 'Bahasa Melayu',
+    'hun': 'Magyar', 'cze': 'Čeština', 'gre': 'Ελληνικά', 'rum': 'Română', 'ukr': 'Українська',
+};
+
+// Channel text for titles; "Atmos" only appears once when the codec name already has it
+function getTitleChannels(codecName, channels, profile, channelLayout) {
+    var channelDisplay = getChannelDisplay(channels, profile, channelLayout);
+    if (codecName.indexOf('Atmos') !== -1 && channelDisplay === 'Atmos') {
+        if (channels === 8) return '7.1';
+        if (channels === 6) return '5.1';
+        return channels + 'ch';
+    }
+    return channelDisplay;
+}
+
+// Token values for one track. Empty strings make conditional [ ] segments disappear.
+// info: {language, defaultLanguage, codec, profile, channels, channelLayout, bitrate (bps),
+//        sampleRate (Hz), descriptor, isOriginal}
+function buildTitleTokens(info) {
+    var iso = normalizeLangCode(info.language);
+    if (iso === 'und' || iso === 'unk') iso = normalizeLangCode(info.defaultLanguage);
+    var codecName = getCodecDisplayName(info.codec, info.profile);
+    var lang = getLanguageName(info.language, info.defaultLanguage);
+    var sampleRate = parseInt(info.sampleRate, 10) || 0;
+    var bitrate = parseInt(info.bitrate, 10) || 0;
+    return {
+        lang: lang,
+        lang_native: LANGUAGE_NATIVE_NAMES[iso] || lang,
+        iso: iso,
+        codec: codecName,
+        channels: getTitleChannels(codecName, info.channels, info.profile, info.channelLayout),
+        layout: info.channelLayout || '',
+        bitrate: bitrate ? Math.round(bitrate / 1000) + 'k' : '',
+        descriptor: info.descriptor || '',
+        original: info.isOriginal ? 'Original' : '',
+        samplerate: sampleRate ? (sampleRate / 1000) + 'kHz' : '',
+    };
+}
+exports.buildTitleTokens = buildTitleTokens;
+
+// Render "{lang}[ {original}] - {codec}": [ ] segments are dropped when any token in them is
+// empty; unknown tokens are left as typed so mistakes are visible in the title
+function renderTitleTemplate(template, tokens) {
+    function fill(text) {
+        var missing = false;
+        var filled = text.replace(/\{([a-z_]+)\}/g, function(match, name) {
+            if (!Object.prototype.hasOwnProperty.call(tokens, name)) return match;
+            if (!tokens[name]) missing = true;
+            return tokens[name];
+        });
+        return { text: filled, missing: missing };
+    }
+    var withSegments = String(template || DEFAULT_TITLE_TEMPLATE).replace(/\[([^\[\]]*)\]/g, function(match, segment) {
+        var rendered = fill(segment);
+        return rendered.missing ? '' : rendered.text;
+    });
+    var title = fill(withSegments).text.replace(/\s{2,}/g, ' ').trim();
+    return title || renderTitleTemplate(DEFAULT_TITLE_TEMPLATE, tokens);
+}
+exports.renderTitleTemplate = renderTitleTemplate;
+
+// Check if language code is valid (not undefined/unknown)
+function isValidLanguage(code) {
+    if (!code) return false;
+    var lower = code.toLowerCase();
+    return lower !== 'und' && lower !== 'unk' && lower !== '';
+}
+exports.isValidLanguage = isValidLanguage;
+
+// Turn "en", "eng", "en-US" or "English" into a bibliographic ISO 639-2 code, '' if unknown
+function languageCodeFromText(text) {
+    var value = String(text || '').trim().toLowerCase();
+    if (!value) return '';
+    var code = /^([a-z]{2,3})(?:[-_][a-z]{2,4})?$/.exec(value);
+    if (code) {
+        var normalized = normalizeLangCode(code[1]);
+        // Unmapped 2-letter codes and und/unk say nothing useful
+        return (normalized.length === 3 && isValidLanguage(normalized)) ? normalized : '';
+    }
+    var keys = Object.keys(LANGUAGE_MAP);
+    for (var i = 0; i < keys.length; i++) {
+        if (keys[i].length === 3 && LANGUAGE_MAP[keys[i]].toLowerCase() === value) return normalizeLangCode(keys[i]);
+    }
+    return '';
+}
+
+// Read <originallanguage> (else <language>) from the Kodi/Jellyfin .nfo files next to the
+// media: <name>.nfo, movie.nfo, then tvshow.nfo here or one folder up (season folders)
+function readNfoLanguage(inputFile) {
+    var dir = path.dirname(inputFile);
+    var candidates = [
+        path.join(dir, path.basename(inputFile, path.extname(inputFile)) + '.nfo'),
+        path.join(dir, 'movie.nfo'),
+        path.join(dir, 'tvshow.nfo'),
+        path.join(dir, '..', 'tvshow.nfo'),
+    ];
+    for (var i = 0; i < candidates.length; i++) {
+        var xml;
+        try {
+            xml = fs.readFileSync(candidates[i], 'utf8');
+        } catch (e) {
+            continue;
+        }
+        var tags = ['originallanguage', 'language'];
+        for (var t = 0; t < tags.length; t++) {
+            var m = new RegExp('<' + tags[t] + '>\\s*([^<]+?)\\s*</' + tags[t] + '>', 'i').exec(xml);
+            var language = m ? languageCodeFromText(m[1]) : '';
+            if (language) return { language: language, file: candidates[i], tag: tags[t] };
+        }
+    }
+    return null;
+}
+
+// Work out the film's original language: input override, an audio track with the original
+// disposition, a .nfo sidecar, then the first tagged audio track.
+// audioTracks: [{language (raw tag), disposition}]. Returns {language, source}
+function detectOriginalLanguage(inputFile, override, audioTracks, fallbackLanguage) {
+    var overrideLanguage = languageCodeFromText(override);
+    if (overrideLanguage) {
+        return { language: overrideLanguage, source: 'override' };
+    }
+    for (var i = 0; i < audioTracks.length; i++) {
+        var flagged = audioTracks[i].disposition && audioTracks[i].disposition.original === 1;
+        if (flagged && isValidLanguage(audioTracks[i].language)) {
+            return { language: normalizeLangCode(audioTracks[i].language), source: 'disposition' };
+        }
+    }
+    var nfo = readNfoLanguage(inputFile);
+    if (nfo) {
+        return { language: nfo.language, source: 'nfo <' + nfo.tag + '> ' + nfo.file };
+    }
+    for (var j = 0; j < audioTracks.length; j++) {
+        if (isValidLanguage(audioTracks[j].language)) {
+            return { language: normalizeLangCode(audioTracks[j].language), source: 'first track' };
+        }
+    }
+    return { language: normalizeLangCode(fallbackLanguage), source: 'default language' };
+}
+exports.detectOriginalLanguage = detectOriginalLanguage;
+
+// Normalize codec name for sorting (handles ffprobe variations)
+function normalizeCodecForSort(codec) {
+    var c = (codec || '').toLowerCase();
+    if (c === 'dca') return 'dts';  // ffprobe sometimes reports DTS as dca
+    return c;
+}
+exports.normalizeCodecForSort = normalizeCodecForSort;
+
+// Pick the track that gets "Original": the main track of the original language. Only plain
+// tracks (no descriptor, not a night mode downmix) qualify and, if any of them carries the
+// original disposition, only those. The first in Process Audio Complete's track order wins:
+// codec priority, more channels, higher bitrate, the default track, then the lowest index.
+// tracks: [{index, codec, channels, bitrate, isDefault, isFlagged, descriptor}], all of the
+// original language; codecPriority: normalized codec names. Returns an index or -1
+function selectOriginalTrack(tracks, codecPriority) {
+    var candidates = tracks.filter(function(t) { return !t.descriptor; });
+    var flagged = candidates.filter(function(t) { return t.isFlagged; });
+    var pool = (flagged.length > 0 ? flagged : candidates).slice().sort(function(a, b) {
+        var aCodecIdx = codecPriority.indexOf(normalizeCodecForSort(a.codec));
+        var bCodecIdx = codecPriority.indexOf(normalizeCodecForSort(b.codec));
+        if (aCodecIdx === -1) aCodecIdx = 999;
+        if (bCodecIdx === -1) bCodecIdx = 999;
+        if (aCodecIdx !== bCodecIdx) return aCodecIdx - bCodecIdx;
+        if ((a.channels || 0) !== (b.channels || 0)) return (b.channels || 0) - (a.channels || 0);
+        if ((a.bitrate || 0) !== (b.bitrate || 0)) return (b.bitrate || 0) - (a.bitrate || 0);
+        if (a.isDefault !== b.isDefault) return a.isDefault ? -1 : 1;
+        return a.index - b.index;
+    });
+    return pool.length > 0 ? pool[0].index : -1;
+}
+exports.selectOriginalTrack = selectOriginalTrack;
+
+// Atmos is signalled in the profile (TrueHD/E-AC-3 JOC); DTS:X in the profile or title
+function isObjectBasedAudio(profile, title) {
+    return /atmos|joc|dts:x/i.test((profile || '') + ' ' + (title || ''));
+}
+exports.isObjectBasedAudio = isObjectBasedAudio;
+
+// The main audio track: the first audio stream with the default disposition (1, true
+// or "1"), else the first audio stream. Returns {stream, streamIndex (0:X), audioIndex
+// (0:a:X), selection, audioStreamCount}, or null when the file has no audio
+function selectMainAudio(streams) {
+    var main = null;
+    var first = null;
+    var audioCount = 0;
+    for (var i = 0; i < streams.length; i++) {
+        var stream = streams[i];
+        if (stream.codec_type !== 'audio') continue;
+        var entry = { stream: stream, streamIndex: i, audioIndex: audioCount };
+        if (first === null) first = entry;
+        var isDefault = stream.disposition &&
+            (stream.disposition.default === 1 ||
+             stream.disposition.default === true ||
+             stream.disposition.default === '1');
+        if (isDefault && main === null) main = entry;
+        audioCount++;
+    }
+    var selected = main || first;
+    if (!selected) return null;
+    selected.selection = main ? 'default disposition' : 'first audio stream';
+    selected.audioStreamCount = audioCount;
+    return selected;
+}
+exports.selectMainAudio = selectMainAudio;
+
+// Category of a main track: object (Atmos / DTS:X), mono, stereo, 5.x (3-6ch) or 7.x.
+// Returns '' when the channel count is missing or below 1, which callers treat as an error
+function categorize(channels, objectBased) {
+    if (typeof channels !== 'number' || !isFinite(channels) || channels < 1) return '';
+    if (objectBased) return 'object';
+    if (channels === 1) return 'mono';
+    if (channels === 2) return 'stereo';
+    if (channels <= 6) return '5.x';
+    return '7.x';
+}
+exports.categorize = categorize;
+
+// Channel order of the named layouts ffprobe reports
+var LAYOUT_CHANNELS = {
+    'mono': ['FC'],
+    'stereo': ['FL', 'FR'],
+    '2.1': ['FL', 'FR', 'LFE'],
+    '3.0': ['FL', 'FR', 'FC'],
+    '3.0(back)': ['FL', 'FR', 'BC'],
+    '3.1': ['FL', 'FR', 'FC', 'LFE'],
+    '4.0': ['FL', 'FR', 'FC', 'BC'],
+    '4.1': ['FL', 'FR', 'FC', 'LFE', 'BC'],
+    'quad': ['FL', 'FR', 'BL', 'BR'],
+    'quad(side)': ['FL', 'FR', 'SL', 'SR'],
+    '5.0': ['FL', 'FR', 'FC', 'BL', 'BR'],
+    '5.0(side)': ['FL', 'FR', 'FC', 'SL', 'SR'],
+    '5.1': ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR'],
+    '5.1(side)': ['FL', 'FR', 'FC', 'LFE', 'SL', 'SR'],
+    '6.0': ['FL', 'FR', 'FC', 'BC', 'SL', 'SR'],
+    '6.1': ['FL', 'FR', 'FC', 'LFE', 'BC', 'SL', 'SR'],
+    '6.1(back)': ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR', 'BC'],
+    '7.0': ['FL', 'FR', 'FC', 'BL', 'BR', 'SL', 'SR'],
+    '7.1': ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR', 'SL', 'SR'],
+    '7.1(wide)': ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR', 'FLC', 'FRC'],
+    '7.1(wide-side)': ['FL', 'FR', 'FC', 'LFE', 'FLC', 'FRC', 'SL', 'SR'],
+};
+exports.LAYOUT_CHANNELS = LAYOUT_CHANNELS;
+
+// Layout assumed when ffprobe reports none (side surrounds are the safer, more common default)
+var DEFAULT_LAYOUT_BY_CHANNELS = {
+    1: 'mono', 2: 'stereo', 3: '3.0', 4: 'quad(side)', 5: '5.0(side)', 6: '5.1(side)', 7: '6.1', 8: '7.1',
+};
+exports.DEFAULT_LAYOUT_BY_CHANNELS = DEFAULT_LAYOUT_BY_CHANNELS;
+
+// Role of each input channel relative to the left output; right output is mirrored
+var LEFT_CHANNEL_ROLES = {
+    FL: 'front', FC: 'center', LFE: 'lfe', BC: 'backCenter',
+    SL: 'side', SR: 'sideCross', BL: 'back', BR: 'backCross', FLC: 'wide', FRC: 'wideCross',
+};
+
+var MIRROR_CHANNELS = {
+    FL: 'FR', FR: 'FL', SL: 'SR', SR: 'SL', BL: 'BR', BR: 'BL', FLC: 'FRC', FRC: 'FLC',
+};
+
+// Downmix presets as per-role gains. Presets marked normalize use pan's "<" form so
+// ffmpeg scales the gains to avoid clipping; loudnorm restores the level afterwards.
+var DOWNMIX_PRESETS = {
+    'dialogue': {
+        label: 'Dialogue Boost',
+        normalize: false,
+        roles: {
+            '7.1': { front: 0.70, center: 0.70, side: 0.25, back: 0.20, lfe: 0.20 },
+            '6.1': { front: 0.70, center: 0.70, side: 0.30, backCenter: 0.15, lfe: 0.20 },
+            'quad': { front: 0.80, back: 0.40 },
+            'quad(side)': { front: 0.80, side: 0.40 },
+            'default': { front: 0.70, center: 0.70, side: 0.35, back: 0.35, backCenter: 0.25, wide: 0.50, lfe: 0.20 },
+        },
+    },
+    'itu-bs775': {
+        label: 'ITU-R BS.775 Standard',
+        normalize: true,
+        roles: {
+            'default': { front: 1.0, center: 0.707, side: 0.707, back: 0.707, backCenter: 0.5, wide: 0.707 },
+        },
+    },
+    'dpl2': {
+        label: 'Dolby Pro Logic II (Lt/Rt)',
+        normalize: true,
+        // Surrounds are phase-inverted on the left output so a PLII decoder can steer them back out
+        matrixEncoded: true,
+        roles: {
+            'default': {
+                front: 1.0, center: 0.707, wide: 0.707,
+                side: 0.866, sideCross: 0.5, back: 0.866, backCross: 0.5, backCenter: 0.612,
+            },
+        },
+    },
+    'night': {
+        label: 'Night Mode (Heavy Center)',
+        normalize: true,
+        roles: {
+            'default': { front: 0.50, center: 1.0, side: 0.25, back: 0.25, backCenter: 0.20, wide: 0.50 },
+        },
+    },
+    'no-lfe': {
+        label: 'Dialogue Boost without LFE',
+        normalize: false,
+        base: 'dialogue',
+        overrides: { lfe: 0 },
+    },
+};
+exports.DOWNMIX_PRESETS = DOWNMIX_PRESETS;
+
+var SURROUND_ROLES = ['side', 'sideCross', 'back', 'backCross', 'backCenter'];
+
+// Resolve a stream's channel layout to its ordered list of channel names
+function resolveLayoutChannels(channels, channelLayout) {
+    var layout = (channelLayout || '').toLowerCase();
+    if (LAYOUT_CHANNELS[layout] && LAYOUT_CHANNELS[layout].length === channels) {
+        return { name: layout, channels: LAYOUT_CHANNELS[layout], assumed: false };
+    }
+    // Explicit channel lists like "FL+FR+FC+LFE+SL+SR"
+    if (layout.indexOf('+') !== -1) {
+        var names = layout.toUpperCase().split('+');
+        if (names.length === channels) {
+            return { name: layout, channels: names, assumed: false };
+        }
+    }
+    var fallback = DEFAULT_LAYOUT_BY_CHANNELS[channels];
+    if (fallback) {
+        return { name: fallback, channels: LAYOUT_CHANNELS[fallback], assumed: true };
+    }
+    return null;
+}
+exports.resolveLayoutChannels = resolveLayoutChannels;
+
+function formatGain(gain) {
+    // Keep two decimals where that is exact (0.70), three otherwise (0.707)
+    return Math.abs(gain).toFixed(3).replace(/(\.\d\d)0$/, '$1');
+}
+
+function buildPanTerms(coefficients) {
+    var terms = '';
+    for (var i = 0; i < coefficients.length; i++) {
+        var c = coefficients[i];
+        var sign = c.gain < 0 ? '-' : (i === 0 ? '' : '+');
+        terms += sign + formatGain(c.gain) + '*' + c.channel;
+    }
+    return terms;
+}
+
+function getPresetRoles(presetName, layoutName) {
+    var preset = DOWNMIX_PRESETS[presetName];
+    if (preset.base) {
+        var roles = Object.assign({}, getPresetRoles(preset.base, layoutName), preset.overrides);
+        return roles;
+    }
+    return preset.roles[layoutName] || preset.roles['default'];
+}
+
+// Build the pan coefficients for one output channel from a preset
+function getPresetCoefficients(presetName, layout, output) {
+    var preset = DOWNMIX_PRESETS[presetName];
+    var roles = getPresetRoles(presetName, layout.name);
+    var coefficients = [];
+    for (var i = 0; i < layout.channels.length; i++) {
+        var channel = layout.channels[i];
+        // Look up the role as seen from the left output
+        var leftEquivalent = output === 'FL' ? channel : (MIRROR_CHANNELS[channel] || channel);
+        var role = LEFT_CHANNEL_ROLES[leftEquivalent];
+        var gain = role ? (roles[role] || 0) : 0;
+        if (!gain) continue;
+        if (preset.matrixEncoded && output === 'FL' && SURROUND_ROLES.indexOf(role) !== -1) {
+            gain = -gain;
+        }
+        coefficients.push({ channel: channel, gain: gain });
+    }
+    return coefficients;
+}
+
+// Parse a custom matrix in pan syntax: FL=1.0*FL+0.707*FC|FR=1.0*FR+0.707*FC
+function parseCustomMatrix(matrix) {
+    var text = String(matrix || '').replace(/\s+/g, '');
+    if (!text) {
+        return { error: 'custom preset selected but Custom Matrix is empty' };
+    }
+    var outputs = {};
+    var parts = text.split('|');
+    for (var i = 0; i < parts.length; i++) {
+        var m = /^(FL|FR)(=|<)(.+)$/i.exec(parts[i]);
+        if (!m) {
+            return { error: 'invalid output definition "' + parts[i] + '" (expected FL=... or FR=...)' };
+        }
+        var coefficients = [];
+        var termRe = /([+-]?)(?:(\d*\.?\d+)\*)?([A-Za-z]{1,3})/g;
+        var consumed = 0;
+        var term;
+        while ((term = termRe.exec(m[3])) !== null) {
+            if (term.index !== consumed) break;
+            consumed = termRe.lastIndex;
+            var gain = term[2] === undefined ? 1 : parseFloat(term[2]);
+            if (term[1] === '-') gain = -gain;
+            coefficients.push({ channel: term[3].toUpperCase(), gain: gain });
+        }
+        if (consumed !== m[3].length || coefficients.length === 0) {
+            return { error: 'invalid gain terms "' + m[3] + '" for ' + m[1].toUpperCase() };
+        }
+        outputs[m[1].toUpperCase()] = { normalize: m[2] === '<', coefficients: coefficients };
+    }
+    if (!outputs.FL || !outputs.FR) {
+        return { error: 'custom matrix must define both FL and FR' };
+    }
+    return { outputs: outputs };
+}
+
+// Get pan filter for specific channel layout and preset
+// Returns {filter, branch, preset, error} for logging/validation
+function getPanFilter(channels, channelLayout, presetName, customMatrix) {
+    var presetKey = (DOWNMIX_PRESETS[presetName] || presetName === 'custom') ? presetName : 'dialogue';
+    var presetLabel = presetKey === 'custom' ? 'Custom Matrix' : DOWNMIX_PRESETS[presetKey].label;
+    var layout = resolveLayoutChannels(channels, channelLayout);
+
+    // For complex layouts (Atmos, etc), let ffmpeg's internal downmixer handle it
+    if (!layout || channels > 8) {
+        if (presetKey === 'custom') {
+            return { error: 'custom matrix needs a known channel layout, got ' + channels + 'ch "' + (channelLayout || 'unspecified') + '"' };
+        }
+        return { filter: 'aformat=channel_layouts=stereo', branch: 'atmos-auto', preset: presetLabel, error: null };
+    }
+
+    var outputs;
+    if (presetKey === 'custom') {
+        var parsed = parseCustomMatrix(customMatrix);
+        if (parsed.error) {
+            return { error: parsed.error };
+        }
+        outputs = parsed.outputs;
+    } else {
+        var normalizeGains = DOWNMIX_PRESETS[presetKey].normalize;
+        outputs = {
+            FL: { normalize: normalizeGains, coefficients: getPresetCoefficients(presetKey, layout, 'FL') },
+            FR: { normalize: normalizeGains, coefficients: getPresetCoefficients(presetKey, layout, 'FR') },
+        };
+    }
+
+    // Validate against the source layout before ffmpeg sees it
+    var outputNames = ['FL', 'FR'];
+    for (var o = 0; o < outputNames.length; o++) {
+        var coefficients = outputs[outputNames[o]].coefficients;
+        if (coefficients.length === 0) {
+            return { error: outputNames[o] + ' has no input channels for layout ' + layout.name };
+        }
+        for (var c = 0; c < coefficients.length; c++) {
+            if (layout.channels.indexOf(coefficients[c].channel) === -1) {
+                return {
+                    error: outputNames[o] + ' uses channel ' + coefficients[c].channel +
+                        ' which is not in source layout ' + layout.name + ' (' + layout.channels.join('+') + ')'
+                };
+            }
+        }
+    }
+
+    return {
+        filter: 'pan=stereo' +
+            '|FL' + (outputs.FL.normalize ? '<' : '=') + buildPanTerms(outputs.FL.coefficients) +
+            '|FR' + (outputs.FR.normalize ? '<' : '=') + buildPanTerms(outputs.FR.coefficients),
+        branch: layout.name + (layout.assumed ? ' (assumed)' : ''),
+        preset: presetLabel,
+        error: null
+    };
+}
+exports.getPanFilter = getPanFilter;
+
+// Parse a numeric input, falling back to the default when out of range
+function parseNumberInRange(value, min, max, fallback) {
+    var num = parseFloat(value);
+    if (!isFinite(num) || num < min || num > max) {
+        return fallback;
+    }
+    return num;
+}
+exports.parseNumberInRange = parseNumberInRange;
+
+// Dynamic range compression for the night mode track, applied after the pan
+function buildNightModeFilter(ratio, thresholdDb, emphasisDb) {
+    var filters = [];
+    if (emphasisDb > 0) {
+        filters.push('equalizer=f=2500:t=q:w=1.2:g=' + emphasisDb);
+    }
+    filters.push('acompressor=threshold=' + thresholdDb + 'dB:ratio=' + ratio + ':attack=10:release=250:knee=4');
+    // Smooth out what the compressor leaves behind between scenes
+    filters.push('dynaudnorm=f=250:g=15:m=8');
+    return filters.join(',');
+}
+exports.buildNightModeFilter = buildNightModeFilter;
+
+// Run a short helper command (ffprobe, an ffmpeg analysis pass) to completion without
+// blocking the event loop, capturing stdout and stderr. spawn's timeout option kills the
+// process once timeoutMs has passed; 0 means no limit.
+function runCapture(cli, spawnArgs, timeoutMs, signal) {
+    var childProcess = require('child_process');
+    return new Promise(function(resolve) {
+        var stdout = '';
+        var stderr = '';
+        var thread;
+        try {
+            thread = childProcess.spawn(cli, spawnArgs, { timeout: timeoutMs || undefined, signal: signal });
+        } catch (e) {
+            resolve({ status: 1, stdout: '', stderr: '', error: e });
+            return;
+        }
+        thread.stdout.on('data', function(data) { stdout += data.toString(); });
+        thread.stderr.on('data', function(data) { stderr += data.toString(); });
+        thread.on('error', function(err) { resolve({ status: 1, stdout: stdout, stderr: stderr, error: err }); });
+        thread.on('close', function(code, killSignal) {
+            resolve({
+                status: code,
+                stdout: stdout,
+                stderr: stderr,
+                error: killSignal ? new Error('killed by ' + killSignal +
+                    (timeoutMs ? ' (timeout ' + Math.round(timeoutMs / 1000) + 's)' : '')) : null,
+            });
+        });
+    });
+}
+exports.runCapture = runCapture;
+
+// Stream duration in seconds: mp4 reports duration, mkv a DURATION tag (HH:MM:SS.nnnnnnnnn)
+function getStreamDuration(stream) {
+    var duration = parseFloat(stream && stream.duration);
+    if (duration > 0) return duration;
+    var tag = stream && stream.tags && (stream.tags.DURATION || stream.tags['DURATION-eng']);
+    var m = /^(\d+):(\d+):([\d.]+)$/.exec(tag || '');
+    return m ? parseInt(m[1], 10) * 3600 + parseInt(m[2], 10) * 60 + parseFloat(m[3]) : 0;
+}
+exports.getStreamDuration = getStreamDuration;
+
+// What the new audio has to last: the video stream, else the container
+function getReferenceDuration(probe) {
+    var video = ((probe && probe.streams) || []).filter(function(st) {
+        return st.codec_type === 'video' && !(st.disposition && st.disposition.attached_pic === 1);
+    })[0];
+    return getStreamDuration(video) || parseFloat(probe && probe.format && probe.format.duration) || 0;
+}
+exports.getReferenceDuration = getReferenceDuration;
+
+// Decode one audio stream to a null sink and look for decode errors, truncation and long
+// digital silence (a downmix reading channels the layout doesn't have comes out silent).
+// -loglevel level+info tags every line so errors can be told apart from silencedetect output.
+async function checkDecodedTrack(ffmpegCli, file, audioIndex, referenceDuration, maxSilence, timeoutMs, signal) {
+    var result = await runCapture(ffmpegCli, ['-hide_banner', '-nostats', '-loglevel', 'level+info', '-progress', 'pipe:1',
+        '-i', file, '-map', '0:a:' + audioIndex, '-af', 'silencedetect=noise=-90dB:d=' + maxSilence, '-f', 'null', '-'],
+        timeoutMs, signal);
+    var check = { audioIndex: audioIndex, decodedDuration: 0, errors: [], longestSilence: 0, problems: [] };
+    if (result.status !== 0) {
+        check.problems.push('decode failed (exit ' + result.status + (result.error ? ', ' + result.error.message : '') + ')');
+    }
+
+    var times = (result.stdout.match(/out_time_us=\d+/g) || []).map(function(line) {
+        return parseInt(line.split('=')[1], 10) / 1000000;
+    });
+    check.decodedDuration = times.length ? times[times.length - 1] : 0;
+
+    var silenceStart = null;
+    result.stderr.split(/\r?\n/).forEach(function(line) {
+        if (/\[(error|fatal)\]/.test(line)) {
+            check.errors.push(line.replace(/^.*\[(error|fatal)\]\s*/, ''));
+        }
+        var start = /silence_start: (-?[\d.]+)/.exec(line);
+        if (start) silenceStart = parseFloat(start[1]);
+        var end = /silence_duration: ([\d.]+)/.exec(line);
+        if (end) {
+            check.longestSilence = Math.max(check.longestSilence, parseFloat(end[1]));
+            silenceStart = null;
+        }
+    });
+    // Silence that runs to the end of the stream never gets a silence_end line
+    if (silenceStart !== null && check.decodedDuration > silenceStart) {
+        check.longestSilence = Math.max(check.longestSilence, check.decodedDuration - silenceStart);
+    }
+
+    if (check.errors.length > 0) {
+        check.problems.push(check.errors.length + ' decode error(s), first: ' + check.errors[0]);
+    }
+    if (referenceDuration > 0 && check.decodedDuration < referenceDuration - Math.max(1, referenceDuration * 0.005)) {
+        check.problems.push('decoded ' + check.decodedDuration.toFixed(1) + 's of ' + referenceDuration.toFixed(1) + 's');
+    }
+    if (check.longestSilence >= maxSilence) {
+        check.problems.push(Math.round(check.longestSilence) + 's of digital silence');
+    }
+    return check;
+}
+exports.checkDecodedTrack = checkDecodedTrack;
+
+// Build loudnorm filter. With measured stats it runs in linear (second pass) mode.
+function buildLoudnormFilter(target, measured, printJson) {
+    var filter = 'loudnorm=I=' + target + ':TP=-1.5:LRA=11';
+    if (measured) {
+        filter += ':measured_I=' + measured.I +
+            ':measured_TP=' + measured.TP +
+            ':measured_LRA=' + measured.LRA +
+            ':measured_thresh=' + measured.thresh +
+            ':offset=' + measured.offset +
+            ':linear=true';
+    }
+    if (printJson) {
+        filter += ':print_format=json';
+    }
+    return filter;
+}
+exports.buildLoudnormFilter = buildLoudnormFilter;
+
+// loudnorm reports numbers as strings, and "-inf" for silence
+function parseLoudnessValue(value) {
+    var num = parseFloat(value);
+    return isFinite(num) ? num : null;
+}
+
+// Extract loudnorm print_format=json reports from ffmpeg output,
+// ordered the same way the loudnorm filters appear in the filtergraph
+function parseLoudnormReports(output) {
+    var reports = [];
+    var re = /\[Parsed_loudnorm_(\d+) @ [^\]]*\]\s*(\{[^{}]*\})/g;
+    var match;
+    while ((match = re.exec(output || '')) !== null) {
+        try {
+            reports.push({ order: parseInt(match[1], 10), stats: JSON.parse(match[2]) });
+        } catch (e) {
+            // Ignore malformed block
+        }
+    }
+    reports.sort(function(a, b) { return a.order - b.order; });
+    return reports.map(function(r) { return r.stats; });
+}
+exports.parseLoudnormReports = parseLoudnormReports;
+
+// Measured input values from a first-pass report, or null if unusable (e.g. silent track)
+function getMeasuredLoudness(stats) {
+    if (!stats) return null;
+    var measured = {
+        I: parseLoudnessValue(stats.input_i),
+        TP: parseLoudnessValue(stats.input_tp),
+        LRA: parseLoudnessValue(stats.input_lra),
+        thresh: parseLoudnessValue(stats.input_thresh),
+        offset: parseLoudnessValue(stats.target_offset),
+    };
+    for (var key in measured) {
+        if (measured[key] === null) return null;
+    }
+    return measured;
+}
+exports.getMeasuredLoudness = getMeasuredLoudness;
+
+// Output values from a second-pass report
+function getAchievedLoudness(stats) {
+    if (!stats) return null;
+    return {
+        I: parseLoudnessValue(stats.output_i),
+        TP: parseLoudnessValue(stats.output_tp),
+        LRA: parseLoudnessValue(stats.output_lra),
+        thresh: parseLoudnessValue(stats.output_thresh),
+        normalizationType: stats.normalization_type || 'unknown',
+    };
+}
+exports.getAchievedLoudness = getAchievedLoudness;
+
+function formatLoudness(values) {
+    return 'I=' + values.I + ' LUFS, TP=' + values.TP + ' dBTP, LRA=' + values.LRA +
+        ' LU, thresh=' + values.thresh + ' LUFS';
+}
+exports.formatLoudness = formatLoudness;
+
+// First loudnorm pass: decode each downmix chain to a null sink and read back the stats.
+// Returns one measurement (or null if unusable) per chain, in the order given.
+async function measureLoudness(ffmpegCli, inputFile, sourceFilters, target, timeoutMs, signal) {
+    var graph = [];
+    var maps = [];
+    for (var i = 0; i < sourceFilters.length; i++) {
+        graph.push(sourceFilters[i] + ',' + buildLoudnormFilter(target, null, true) + '[measure' + i + ']');
+        maps.push('-map', '[measure' + i + ']');
+    }
+    var measureArgs = ['-hide_banner', '-nostats', '-i', inputFile, '-filter_complex', graph.join(';')]
+        .concat(maps)
+        .concat(['-f', 'null', '-']);
+    var result = await runCapture(ffmpegCli, measureArgs, timeoutMs, signal);
+    if (result.status !== 0) {
+        return { measured: null, error: 'exit code ' + result.status + (result.error ? ' (' + result.error.message + ')' : '') };
+    }
+    var reports = parseLoudnormReports(result.stderr);
+    if (reports.length !== sourceFilters.length) {
+        return { measured: null, error: 'expected ' + sourceFilters.length + ' loudnorm reports, got ' + reports.length };
+    }
+    return { measured: reports.map(getMeasuredLoudness), error: null };
+}
+exports.measureLoudness = measureLoudness;
+
+// Unknown layouts still get one name per channel; only LFE and FC are special below
+function getChannelNames(layout, channels) {
+    var names = LAYOUT_CHANNELS[String(layout || '').toLowerCase()];
+    if (names && names.length === channels) return names;
+    var generic = [];
+    for (var i = 0; i < channels; i++) generic.push('ch' + (i + 1));
+    return generic;
+}
+
+function parseAstatsValue(value) {
+    if (/^-inf/.test(value)) return -Infinity;
+    if (/^inf/.test(value)) return Infinity;
+    var n = parseFloat(value);
+    return isNaN(n) ? value : n;
+}
+
+// astats prints a "Channel: N" block per channel and an "Overall" block when the filter
+// closes, every line prefixed with its instance name. With one filter per chain the
+// instance number is the chain number, i.e. the position in the analyzed track list.
+function parseAstatsReports(output) {
+    var reports = {};
+    output.split(/\r?\n/).forEach(function(line) {
+        var m = /\[Parsed_astats_(\d+) @ [^\]]*\]\s*(.*)$/.exec(line);
+        if (!m) return;
+        var idx = parseInt(m[1], 10);
+        if (!reports[idx]) reports[idx] = { channels: [], overall: {}, current: null };
+        var report = reports[idx];
+        var text = m[2].trim();
+        if (/^Channel: \d+/.test(text)) {
+            report.current = {};
+            report.channels.push(report.current);
+        } else if (text === 'Overall') {
+            report.current = report.overall;
+        } else if (report.current) {
+            var kv = /^([^:]+): (.+)$/.exec(text);
+            if (kv) report.current[kv[1]] = parseAstatsValue(kv[2]);
+        }
+    });
+    return reports;
+}
+exports.parseAstatsReports = parseAstatsReports;
+
+// One decode pass over all tracks. Returns one report per track (null if astats
+// printed nothing for it), in the order given.
+async function analyzeAudioTracks(ffmpegCli, file, tracks, timeoutMs, signal) {
+    var graph = [];
+    var maps = [];
+    for (var i = 0; i < tracks.length; i++) {
+        graph.push('[0:a:' + tracks[i].audioIndex + ']astats[health' + i + ']');
+        maps.push('-map', '[health' + i + ']');
+    }
+    var result = await runCapture(ffmpegCli, ['-hide_banner', '-nostats', '-i', file, '-filter_complex', graph.join(';')]
+        .concat(maps)
+        .concat(['-f', 'null', '-']), timeoutMs, signal);
+    if (result.status !== 0) {
+        return { reports: null, error: 'exit code ' + result.status + (result.error ? ' (' + result.error.message + ')' : '') };
+    }
+    var parsed = parseAstatsReports(result.stderr);
+    return {
+        reports: tracks.map(function(track, t) { return parsed[t] || null; }),
+        error: null,
+    };
+}
+exports.analyzeAudioTracks = analyzeAudioTracks;
+
+// Turn one astats report into a verdict. opts: silenceThreshold (dB), deadChannels
+// ('center' | 'all' | 'off'), truncationTolerance (%), clipPeakCount (0 = off).
+function evaluateTrackHealth(track, report, referenceDuration, opts) {
+    var health = {
+        audioIndex: track.audioIndex,
+        codec: track.codecLower || track.codec || '',
+        channels: track.channels || 0,
+        language: track.language || '',
+        title: track.title || '',
+        duration: 0,
+        rmsDb: null,
+        peakDb: null,
+        silent: false,
+        deadChannels: [],
+        truncated: false,
+        clipped: false,
+        problems: [],
+    };
+    if (!report || report.channels.length === 0) {
+        health.problems.push('could not be decoded');
+        return health;
+    }
+
+    var overall = report.overall;
+    var samples = overall['Number of samples'] || report.channels[0]['Number of samples'] || 0;
+    health.duration = track.sampleRate > 0 ? samples / track.sampleRate : 0;
+    health.rmsDb = overall['RMS level dB'] !== undefined ? overall['RMS level dB'] : report.channels[0]['RMS level dB'];
+    health.peakDb = overall['Peak level dB'] !== undefined ? overall['Peak level dB'] : report.channels[0]['Peak level dB'];
+
+    if (samples === 0 || !(health.rmsDb >= opts.silenceThreshold)) {
+        health.silent = true;
+        health.problems.push('silent (RMS ' + (isFinite(health.rmsDb) ? health.rmsDb.toFixed(1) : '-inf') + ' dB)');
+    } else if (opts.deadChannels !== 'off' && report.channels.length > 2) {
+        var names = getChannelNames(track.channelLayout, report.channels.length);
+        report.channels.forEach(function(channel, c) {
+            // LFE is legitimately silent in a lot of mixes
+            if (names[c] === 'LFE' || (opts.deadChannels === 'center' && names[c] !== 'FC')) return;
+            if (!(channel['RMS level dB'] >= opts.silenceThreshold)) health.deadChannels.push(names[c]);
+        });
+        if (health.deadChannels.length > 0) {
+            health.problems.push('dead channel' + (health.deadChannels.length > 1 ? 's ' : ' ') + health.deadChannels.join(', '));
+        }
+    }
+
+    if (referenceDuration > 0 && health.duration > 0 &&
+        referenceDuration - health.duration > Math.max(1, referenceDuration * opts.truncationTolerance / 100)) {
+        health.truncated = true;
+        health.problems.push('truncated (' + health.duration.toFixed(1) + 's of ' + referenceDuration.toFixed(1) + 's)');
+    }
+
+    var peakCount = overall['Peak count'] || 0;
+    if (opts.clipPeakCount > 0 && health.peakDb >= -0.1 && peakCount >= opts.clipPeakCount) {
+        health.clipped = true;
+        health.problems.push('clipped (full scale ' + peakCount + ' times)');
+    }
+    return health;
+}
+exports.evaluateTrackHealth = evaluateTrackHealth;
+
+// Publish results under a namespaced key so later flow plugins can read them
+function setAudioPrepVariable(args, key, value) {
+    if (!args.variables) args.variables = {};
+    if (!args.variables.audioPrep) args.variables.audioPrep = {};
+    args.variables.audioPrep[key] = value;
+}
+exports.setAudioPrepVariable = setAudioPrepVariable;
+
+// Plan-only mode: log the planned audio layout (or, for tracks that only get tags, the
+// tags) and command, and keep it under audioPrep.plans.<plugin> so a whole library can be
+// reviewed before running for real
+function recordPlan(args, plan) {
+    var tagsOnly = plan.audio.length > 0 && plan.audio.every(function(track) { return !!track.tags; });
+    args.jobLog('PLAN ONLY - no changes made. Planned ' + (tagsOnly ? 'loudness tags:' : 'audio layout:'));
+    for (var i = 0; i < plan.audio.length; i++) {
+        var track = plan.audio[i];
+        if (track.tags) {
+            args.jobLog('  a:' + track.position + ' ' + track.codec + ', ' + track.channels + 'ch, ' + track.language +
+                (track.title ? ', "' + track.title + '"' : '') + ': ' +
+                Object.keys(track.tags).map(function(key) { return key + '=' + track.tags[key]; }).join(', '));
+            continue;
+        }
+        var flags = Object.keys(track.disposition).filter(function(key) {
+            return track.disposition[key] === 1 || track.disposition[key] === true || track.disposition[key] === '1';
+        });
+        args.jobLog('  a:' + track.position + ' ' + track.action + ' from ' + track.source + ': ' +
+            track.codec + (track.bitrate ? ' ' + track.bitrate : '') + ', ' + track.channels + 'ch, ' +
+            track.language + ', "' + track.title + '"' +
+            (flags.length > 0 ? ' [' + flags.join('+') + ']' : '') +
+            (track.filter ? ' filter=' + track.filter : ''));
+    }
+    (plan.removed || []).forEach(function(removed) {
+        args.jobLog('  removed ' + removed.source + ': ' + removed.codec + ', ' + removed.channels + 'ch, ' +
+            (removed.language || 'und') + ', "' + removed.title + '" (' + removed.reason + ')');
+    });
+    args.jobLog('Planned command: ' + plan.ffmpegArgs.map(function(arg) {
+        return /[\s;\[\]'"]/.test(arg) ? "'" + arg.replace(/'/g, "'\\''") + "'" : arg;
+    }).join(' '));
+    args.jobLog('Plan JSON: ' + JSON.stringify(plan));
+
+    var plans = (args.variables && args.variables.audioPrep && args.variables.audioPrep.plans) || {};
+    plans[plan.plugin] = plan;
+    setAudioPrepVariable(args, 'plans', plans);
+}
+exports.recordPlan = recordPlan;
+
+// ebur128 prints its summary when the filter closes: the "Summary:" line carries the
+// instance name (Parsed_ebur128_<chain>), the indented values after it don't.
+// Returns { <chain>: { integrated, lra, truePeak } }.
+function parseEbur128Summaries(output) {
+    var summaries = {};
+    var current = null;
+    output.split(/\r?\n/).forEach(function(line) {
+        var header = /\[Parsed_ebur128_(\d+) @ [^\]]*\]\s*Summary:/.exec(line);
+        if (header) {
+            current = { integrated: null, lra: null, truePeak: null };
+            summaries[parseInt(header[1], 10)] = current;
+            return;
+        }
+        if (!current) return;
+        if (/^\[/.test(line)) {
+            current = null;
+            return;
+        }
+        var m = /^\s*(I|LRA|Peak):\s*(-?[\d.]+|-inf)/.exec(line);
+        if (!m) return;
+        var value = m[2] === '-inf' ? -Infinity : parseFloat(m[2]);
+        if (m[1] === 'I') current.integrated = value;
+        else if (m[1] === 'LRA') current.lra = value;
+        else current.truePeak = value;
+    });
+    return summaries;
+}
+exports.parseEbur128Summaries = parseEbur128Summaries;
+
+// ebur128's absolute gate: a silent track reads -70.0 LUFS rather than -inf
+var SILENCE_LUFS = -70;
+exports.SILENCE_LUFS = SILENCE_LUFS;
+
+// A parsed value, not null (line missing) or +-Infinity
+function isMeasured(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+exports.isMeasured = isMeasured;
+
+// Tag values for one measurement. A silent track is tagged -inf LUFS (so it isn't
+// measured again next time) and gets no ReplayGain gain rather than an absurd one.
+function buildLoudnessTags(summary, reference) {
+    var tags = {};
+    var silent = summary.integrated === -Infinity || (isMeasured(summary.integrated) && summary.integrated <= SILENCE_LUFS);
+    if (silent) {
+        tags.LOUDNESS_INTEGRATED = '-inf LUFS';
+    } else if (isMeasured(summary.integrated)) {
+        tags.LOUDNESS_INTEGRATED = summary.integrated.toFixed(1) + ' LUFS';
+        var gain = reference - summary.integrated;
+        tags.REPLAYGAIN_TRACK_GAIN = (gain >= 0 ? '+' : '') + gain.toFixed(2) + ' dB';
+    }
+    if (isMeasured(summary.lra)) {
+        tags.LOUDNESS_RANGE = summary.lra.toFixed(1) + ' LU';
+    }
+    if (isMeasured(summary.truePeak)) {
+        tags.LOUDNESS_TRUE_PEAK = summary.truePeak.toFixed(1) + ' dBTP';
+        tags.REPLAYGAIN_TRACK_PEAK = Math.pow(10, summary.truePeak / 20).toFixed(6);
+    } else if (silent) {
+        tags.REPLAYGAIN_TRACK_PEAK = '0.000000';
+    }
+    return tags;
+}
+exports.buildLoudnessTags = buildLoudnessTags;
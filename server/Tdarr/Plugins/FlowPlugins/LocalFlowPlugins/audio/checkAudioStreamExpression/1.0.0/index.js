@@ -0,0 +1,490 @@
+"use strict";
+/**
+ * Check Audio Streams (Expression)
+ *
+ * Routes on a small condition language evaluated over the audio streams,
+ * for checks a single channel count can't express:
+ *
+ *   main(codec == "truehd" and object)          main track is TrueHD Atmos
+ *   any(language == "eng" and lossless)         any English track is lossless
+ *   none(channels == 2 and language == main.language)
+ *                                               no stereo in the main language
+ *   count() > 6                                 more than 6 audio tracks
+ *
+ * Quantifiers: main(...), any(...), all(...), none(...), count(...) <op> <number>.
+ * Combine them with and / or / not and parentheses.
+ *
+ * Stream fields: codec, profile, channels, layout, language, title, bitrate (kbps),
+ * duration (seconds), index, default, lossless, object, disposition.<flag>.
+ * Operators: == != < <= > >= ~ (contains, case-insensitive) and in [a, b, ...].
+ * Strings compare case-insensitively and language codes are normalized (en == eng).
+ * main.<field> refers to the main track from inside any quantifier.
+ *
+ * The expression is tokenized and parsed into a tree; nothing is ever passed to
+ * eval or Function. Main audio is selected by the same audioPrepUtils helper as
+ * Check Main Audio Stream Channels (first default-disposition stream, else the
+ * first stream).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.plugin = exports.evaluate = exports.parseExpression = exports.buildStreamFields = exports.details = void 0;
+var audioPrepUtils_1 = require("../../../../LocalFlowHelpers/1.0.0/audioPrepUtils");
+
+var details = function () { return ({
+    name: 'Check Audio Streams (Expression)',
+    description: 'Evaluate a condition over the audio streams, e.g. main(codec == "truehd" and object) or none(channels == 2 and language == main.language). Supports any/all/none/main/count quantifiers.',
+    style: {
+        borderColor: 'orange',
+    },
+    tags: 'audio',
+    isStartPlugin: false,
+    pType: '',
+    requiresVersion: '2.11.01',
+    sidebarPosition: -1,
+    icon: 'faQuestion',
+    inputs: [
+        {
+            label: 'Expression',
+            name: 'expression',
+            type: 'string',
+            defaultValue: 'main(channels > 2)',
+            inputUI: {
+                type: 'text',
+            },
+            tooltip: 'Quantifiers: main(...) any(...) all(...) none(...) count(...) > N. Fields: codec profile channels layout language title bitrate duration index default lossless object disposition.<flag>. Operators: == != < <= > >= ~ in [..], and/or/not. Example: any(language == "eng" and lossless) and count() <= 6',
+        },
+    ],
+    outputs: [
+        {
+            number: 1,
+            tooltip: 'Expression matches',
+        },
+        {
+            number: 2,
+            tooltip: 'Expression does not match. An invalid expression or missing probe data goes to the error output',
+        },
+    ],
+}); };
+exports.details = details;
+
+// Field name -> value type. disposition.<flag> fields are booleans.
+var STREAM_FIELDS = {
+    codec: 'string',
+    profile: 'string',
+    channels: 'number',
+    layout: 'string',
+    language: 'string',
+    title: 'string',
+    bitrate: 'number',
+    duration: 'number',
+    index: 'number',
+    default: 'boolean',
+    lossless: 'boolean',
+    object: 'boolean',
+};
+
+var QUANTIFIERS = ['main', 'any', 'all', 'none', 'count'];
+var COMPARISON_OPS = ['==', '!=', '<', '<=', '>', '>=', '~'];
+
+function getFieldType(name) {
+    if (/^disposition\.[a-z_]+$/.test(name)) return 'boolean';
+    return STREAM_FIELDS.hasOwnProperty(name) ? STREAM_FIELDS[name] : null;
+}
+
+// mkv keeps bitrate / duration in the statistics tags rather than the stream fields
+function parseDurationTag(value) {
+    var parts = String(value || '').split(':');
+    if (parts.length !== 3) return null;
+    var seconds = parseFloat(parts[0]) * 3600 + parseFloat(parts[1]) * 60 + parseFloat(parts[2]);
+    return isFinite(seconds) ? seconds : null;
+}
+
+function buildStreamFields(stream, audioIndex) {
+    var tags = stream.tags || {};
+    var codec = (stream.codec_name || '').toLowerCase();
+    if (codec === 'dca') codec = 'dts'; // ffprobe sometimes reports DTS as dca
+    var profile = stream.profile || '';
+    var bitrate = parseInt(stream.bit_rate || tags.BPS || tags['BPS-eng'], 10);
+    var duration = parseFloat(stream.duration);
+    if (!isFinite(duration)) duration = parseDurationTag(tags.DURATION || tags['DURATION-eng']);
+
+    return {
+        codec: codec,
+        profile: profile,
+        channels: typeof stream.channels === 'number' ? stream.channels : null,
+        layout: stream.channel_layout || '',
+        language: audioPrepUtils_1.normalizeLangCode(tags.language),
+        title: tags.title || '',
+        bitrate: isFinite(bitrate) ? Math.round(bitrate / 1000) : null,
+        duration: duration,
+        index: audioIndex,
+        default: !!stream.disposition && (stream.disposition.default === 1 ||
+            stream.disposition.default === true || stream.disposition.default === '1'),
+        lossless: codec === 'truehd' || codec === 'flac' || codec === 'alac' || codec === 'mlp' ||
+            codec.indexOf('pcm') === 0 || (codec === 'dts' && /dts-hd ma/i.test(profile)),
+        object: audioPrepUtils_1.isObjectBasedAudio(profile, tags.title),
+        disposition: stream.disposition || {},
+    };
+}
+exports.buildStreamFields = buildStreamFields;
+
+// Tokens: {type: 'number'|'string'|'ident'|'op'|'punct', value, pos}
+function tokenize(text) {
+    var tokens = [];
+    var i = 0;
+    while (i < text.length) {
+        var ch = text.charAt(i);
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        var start = i;
+        if (ch === '"' || ch === "'") {
+            var value = '';
+            i++;
+            while (i < text.length && text.charAt(i) !== ch) {
+                if (text.charAt(i) === '\\' && i + 1 < text.length) i++;
+                value += text.charAt(i);
+                i++;
+            }
+            if (i >= text.length) throw new Error('Unterminated string at position ' + start);
+            i++;
+            tokens.push({ type: 'string', value: value, pos: start });
+            continue;
+        }
+        var numberMatch = /^-?\d+(\.\d+)?/.exec(text.slice(i));
+        if (numberMatch && (ch !== '-' || tokens.length === 0 || tokens[tokens.length - 1].type === 'op' ||
+                tokens[tokens.length - 1].value === '(' || tokens[tokens.length - 1].value === '[' ||
+                tokens[tokens.length - 1].value === ',')) {
+            tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), pos: start });
+            i += numberMatch[0].length;
+            continue;
+        }
+        var identMatch = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(text.slice(i));
+        if (identMatch) {
+            tokens.push({ type: 'ident', value: identMatch[0], pos: start });
+            i += identMatch[0].length;
+            continue;
+        }
+        var two = text.substr(i, 2);
+        if (['==', '!=', '<=', '>=', '&&', '||'].indexOf(two) !== -1) {
+            tokens.push({ type: 'op', value: two, pos: start });
+            i += 2;
+            continue;
+        }
+        if ('<>~!'.indexOf(ch) !== -1) {
+            tokens.push({ type: 'op', value: ch, pos: start });
+            i++;
+            continue;
+        }
+        if ('()[],'.indexOf(ch) !== -1) {
+            tokens.push({ type: 'punct', value: ch, pos: start });
+            i++;
+            continue;
+        }
+        throw new Error('Unexpected character "' + ch + '" at position ' + i);
+    }
+    return tokens;
+}
+
+// Recursive descent parser. Top level combines quantifiers; inside a quantifier
+// the same boolean grammar combines field comparisons on one stream.
+function parseExpression(text) {
+    var tokens = tokenize(text);
+    var pos = 0;
+
+    function peek() { return tokens[pos]; }
+    function describe(token) { return token ? '"' + token.value + '" at position ' + token.pos : 'end of expression'; }
+    function isWord(token, word) { return token && token.type === 'ident' && token.value.toLowerCase() === word; }
+    function isPunct(token, value) { return token && token.type === 'punct' && token.value === value; }
+    function expectPunct(value) {
+        if (!isPunct(peek(), value)) throw new Error('Expected "' + value + '" but found ' + describe(peek()));
+        pos++;
+    }
+
+    function parseOr(inStream) {
+        var node = parseAnd(inStream);
+        while (isWord(peek(), 'or') || (peek() && peek().value === '||')) {
+            pos++;
+            node = { type: 'or', left: node, right: parseAnd(inStream) };
+        }
+        return node;
+    }
+
+    function parseAnd(inStream) {
+        var node = parseNot(inStream);
+        while (isWord(peek(), 'and') || (peek() && peek().value === '&&')) {
+            pos++;
+            node = { type: 'and', left: node, right: parseNot(inStream) };
+        }
+        return node;
+    }
+
+    function parseNot(inStream) {
+        if (isWord(peek(), 'not') || (peek() && peek().type === 'op' && peek().value === '!')) {
+            pos++;
+            return { type: 'not', operand: parseNot(inStream) };
+        }
+        return parsePrimary(inStream);
+    }
+
+    function parsePrimary(inStream) {
+        var token = peek();
+        if (!token) throw new Error('Unexpected end of expression');
+        if (isPunct(token, '(')) {
+            pos++;
+            var inner = parseOr(inStream);
+            expectPunct(')');
+            return inner;
+        }
+        if (isWord(token, 'true') || isWord(token, 'false')) {
+            pos++;
+            return { type: 'literal', value: token.value.toLowerCase() === 'true' };
+        }
+        if (token.type !== 'ident') throw new Error('Unexpected ' + describe(token));
+        var word = token.value.toLowerCase();
+        if (QUANTIFIERS.indexOf(word) !== -1 && isPunct(tokens[pos + 1], '(')) {
+            if (inStream) throw new Error(word + '() cannot be nested inside another quantifier (' + describe(token) + ')');
+            return parseQuantifier(word);
+        }
+        if (!inStream) {
+            throw new Error('Field ' + describe(token) + ' must be inside main(), any(), all(), none() or count()');
+        }
+        return parseComparison();
+    }
+
+    function parseQuantifier(kind) {
+        pos += 2; // name and "("
+        var body = isPunct(peek(), ')') ? { type: 'literal', value: true } : parseOr(true);
+        expectPunct(')');
+        if (kind !== 'count') return { type: 'quantifier', kind: kind, body: body };
+
+        var opToken = peek();
+        if (!opToken || opToken.type !== 'op' || ['==', '!=', '<', '<=', '>', '>='].indexOf(opToken.value) === -1) {
+            throw new Error('count() must be compared to a number, found ' + describe(opToken));
+        }
+        pos++;
+        var numberToken = peek();
+        if (!numberToken || numberToken.type !== 'number') {
+            throw new Error('count() must be compared to a number, found ' + describe(numberToken));
+        }
+        pos++;
+        return { type: 'count', body: body, op: opToken.value, value: numberToken.value };
+    }
+
+    function parseField() {
+        var token = peek();
+        var name = token.value.toLowerCase();
+        if (!getFieldType(name)) throw new Error('Unknown field ' + describe(token));
+        pos++;
+        return name;
+    }
+
+    function parseValue(fieldType) {
+        var token = peek();
+        if (!token) throw new Error('Expected a value but found end of expression');
+        if (token.type === 'ident' && token.value.toLowerCase().indexOf('main.') === 0) {
+            var refName = token.value.toLowerCase().slice(5);
+            if (getFieldType(refName) !== fieldType) {
+                throw new Error('Cannot compare a ' + fieldType + ' field with ' + describe(token));
+            }
+            pos++;
+            return { type: 'mainField', field: refName };
+        }
+        pos++;
+        if (fieldType === 'number') {
+            if (token.type !== 'number') throw new Error('Expected a number but found ' + describe(token));
+            return { type: 'value', value: token.value };
+        }
+        if (fieldType === 'boolean') {
+            if (!isWord(token, 'true') && !isWord(token, 'false')) {
+                throw new Error('Expected true or false but found ' + describe(token));
+            }
+            return { type: 'value', value: token.value.toLowerCase() === 'true' };
+        }
+        // Strings may be written quoted or bare (codec == eac3)
+        if (token.type === 'punct' || token.type === 'op') throw new Error('Expected a value but found ' + describe(token));
+        return { type: 'value', value: String(token.value) };
+    }
+
+    function parseComparison() {
+        var field = parseField();
+        var fieldType = getFieldType(field);
+        var token = peek();
+
+        if (isWord(token, 'in')) {
+            pos++;
+            expectPunct('[');
+            var values = [parseValue(fieldType)];
+            while (isPunct(peek(), ',')) {
+                pos++;
+                values.push(parseValue(fieldType));
+            }
+            expectPunct(']');
+            return { type: 'in', field: field, values: values };
+        }
+
+        if (!token || token.type !== 'op' || COMPARISON_OPS.indexOf(token.value) === -1) {
+            // A bare boolean field is a test on its own: any(lossless)
+            if (fieldType === 'boolean') return { type: 'compare', field: field, op: '==', value: { type: 'value', value: true } };
+            throw new Error('Expected an operator after ' + field + ' but found ' + describe(token));
+        }
+        var op = token.value;
+        if (fieldType === 'boolean' && op !== '==' && op !== '!=') {
+            throw new Error('Operator ' + op + ' cannot be used with ' + field);
+        }
+        if (fieldType === 'string' && ['<', '<=', '>', '>='].indexOf(op) !== -1) {
+            throw new Error('Operator ' + op + ' cannot be used with ' + field);
+        }
+        if (fieldType === 'number' && op === '~') {
+            throw new Error('Operator ~ cannot be used with ' + field);
+        }
+        pos++;
+        return { type: 'compare', field: field, op: op, value: parseValue(fieldType) };
+    }
+
+    if (tokens.length === 0) throw new Error('Expression is empty');
+    var tree = parseOr(false);
+    if (pos < tokens.length) throw new Error('Unexpected ' + describe(peek()));
+    return tree;
+}
+exports.parseExpression = parseExpression;
+
+function getFieldValue(fields, name) {
+    if (name.indexOf('disposition.') === 0) {
+        var flag = fields.disposition[name.slice(12)];
+        return flag === 1 || flag === true || flag === '1';
+    }
+    return fields[name];
+}
+
+function compareValues(field, op, left, right) {
+    if (left === null || left === undefined || right === null || right === undefined) {
+        // Unknown values (no bitrate tag, ...) only satisfy "!="
+        return op === '!=';
+    }
+    if (typeof left === 'string') {
+        left = left.toLowerCase();
+        right = String(right).toLowerCase();
+        if (field === 'language') {
+            left = audioPrepUtils_1.normalizeLangCode(left);
+            right = audioPrepUtils_1.normalizeLangCode(right);
+        }
+    }
+    switch (op) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '~': return left.indexOf(right) !== -1;
+        default: return false;
+    }
+}
+
+function evaluateStream(node, fields, mainFields) {
+    var resolve = function(valueNode) {
+        if (valueNode.type === 'mainField') return mainFields ? getFieldValue(mainFields, valueNode.field) : null;
+        return valueNode.value;
+    };
+    switch (node.type) {
+        case 'literal': return node.value;
+        case 'or': return evaluateStream(node.left, fields, mainFields) || evaluateStream(node.right, fields, mainFields);
+        case 'and': return evaluateStream(node.left, fields, mainFields) && evaluateStream(node.right, fields, mainFields);
+        case 'not': return !evaluateStream(node.operand, fields, mainFields);
+        case 'compare':
+            return compareValues(node.field, node.op, getFieldValue(fields, node.field), resolve(node.value));
+        case 'in':
+            return node.values.some(function(valueNode) {
+                return compareValues(node.field, '==', getFieldValue(fields, node.field), resolve(valueNode));
+            });
+        default:
+            throw new Error('Unexpected node ' + node.type);
+    }
+}
+
+function evaluate(node, audio, mainFields) {
+    var matches = function(body) {
+        return audio.filter(function(fields) { return evaluateStream(body, fields, mainFields); });
+    };
+    switch (node.type) {
+        case 'literal': return node.value;
+        case 'or': return evaluate(node.left, audio, mainFields) || evaluate(node.right, audio, mainFields);
+        case 'and': return evaluate(node.left, audio, mainFields) && evaluate(node.right, audio, mainFields);
+        case 'not': return !evaluate(node.operand, audio, mainFields);
+        case 'quantifier':
+            if (node.kind === 'main') return mainFields !== null && evaluateStream(node.body, mainFields, mainFields);
+            if (node.kind === 'any') return matches(node.body).length > 0;
+            if (node.kind === 'none') return matches(node.body).length === 0;
+            return matches(node.body).length === audio.length;
+        case 'count':
+            return compareValues('count', node.op, matches(node.body).length, node.value);
+        default:
+            throw new Error('Unexpected node ' + node.type);
+    }
+}
+exports.evaluate = evaluate;
+
+var plugin = function (args) {
+    var lib = require('../../../../../methods/lib')();
+
+    // Wrap loadDefaultValues in try-catch
+    try {
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+    } catch (e) {
+        throw new Error('Failed to load default values: ' + e.message);
+    }
+
+    var expression = String(args.inputs.expression || '').trim();
+    var tree;
+    try {
+        tree = parseExpression(expression);
+    } catch (e) {
+        throw new Error('Invalid expression "' + expression + '": ' + e.message);
+    }
+
+    // Validate ffProbeData exists
+    if (!args.inputFileObj || !args.inputFileObj.ffProbeData || !Array.isArray(args.inputFileObj.ffProbeData.streams)) {
+        throw new Error('No ffprobe data available');
+    }
+
+    var streams = args.inputFileObj.ffProbeData.streams;
+
+    // Main audio: first stream with default disposition, else the first audio stream
+    var audioStreams = streams.filter(function(stream) { return stream.codec_type === 'audio'; });
+    var main = audioPrepUtils_1.selectMainAudio(streams);
+    var mainIndex = main ? main.audioIndex : -1;
+    var selectionMethod = main ? main.selection : '';
+
+    var audio = audioStreams.map(function(stream, audioIndex) {
+        return buildStreamFields(stream, audioIndex);
+    });
+    var mainFields = mainIndex !== -1 ? audio[mainIndex] : null;
+
+    args.jobLog('Expression: ' + expression);
+    args.jobLog('Audio streams found: ' + audio.length +
+        (mainFields ? ', main is 0:a:' + mainIndex + ' (' + selectionMethod + ')' : ''));
+    for (var j = 0; j < audio.length; j++) {
+        var fields = audio[j];
+        args.jobLog('  0:a:' + j + ': ' + fields.codec + (fields.profile ? ' (' + fields.profile + ')' : '') +
+            ' ' + fields.channels + 'ch [' + fields.language + ']' +
+            (fields.bitrate ? ' ' + fields.bitrate + 'k' : '') +
+            (fields.title ? ' "' + fields.title + '"' : ''));
+    }
+
+    var matches = evaluate(tree, audio, mainFields);
+    args.jobLog('Result: ' + (matches ? 'MATCH (output 1)' : 'NO MATCH (output 2)'));
+    audioPrepUtils_1.setAudioPrepVariable(args, 'checkAudioStreamExpression', {
+        expression: expression,
+        matched: matches,
+        mainAudioIndex: mainIndex,
+        audioStreamCount: audio.length,
+    });
+
+    return {
+        outputFileObj: args.inputFileObj,
+        outputNumber: matches ? 1 : 2,
+        variables: args.variables,
+    };
+};
+exports.plugin = plugin;
@@ -0,0 +1,207 @@
+"use strict";
+/**
+ * Check Audio Track Health
+ *
+ * Decodes every audio track once (a single ffmpeg pass with one astats filter per
+ * track) and flags tracks that are no good as a source:
+ *   - silent: the whole track is below the silence threshold
+ *   - dead channels: a surround track whose center (or any non-LFE) channel is silent
+ *   - truncated: the track ends well before the video
+ *   - clipped: the track hits full scale over and over
+ *
+ * Results go to args.variables.audioPrep.trackHealth. Process Audio Complete reuses
+ * them (when they still describe the same file) for its Broken Source Tracks option,
+ * so the thresholds set here also apply there.
+ *
+ * Outputs: 1 = all tracks healthy, 2 = problems found (route to review or let Process
+ * Audio Complete exclude / remove them). Missing probe data or a failed analysis throws.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.plugin = exports.details = void 0;
+var audioPrepUtils_1 = require("../../../../LocalFlowHelpers/1.0.0/audioPrepUtils");
+
+var details = function () { return ({
+    name: 'Check Audio Track Health',
+    description: 'Analyze every audio track with astats and flag silent, truncated or clipped tracks and dead channels (e.g. a silent center). Results are stored for Process Audio Complete.',
+    style: {
+        borderColor: 'orange',
+    },
+    tags: 'audio',
+    isStartPlugin: false,
+    pType: '',
+    requiresVersion: '2.11.01',
+    sidebarPosition: -1,
+    icon: 'faQuestion',
+    inputs: [
+        {
+            label: 'Silence Threshold (dBFS RMS)',
+            name: 'silenceThreshold',
+            type: 'string',
+            defaultValue: '-70',
+            inputUI: {
+                type: 'text',
+            },
+            tooltip: 'A track or channel whose RMS level is below this is treated as silent',
+        },
+        {
+            label: 'Dead Channel Check',
+            name: 'deadChannelCheck',
+            type: 'string',
+            defaultValue: 'center',
+            inputUI: {
+                type: 'dropdown',
+                options: ['center', 'all', 'off'],
+            },
+            tooltip: 'center: flag surround tracks with a silent center channel. all: flag any silent channel except LFE (quiet surrounds in old mixes will trip this). off: whole-track checks only',
+        },
+        {
+            label: 'Truncation Tolerance (%)',
+            name: 'truncationTolerance',
+            type: 'string',
+            defaultValue: '2',
+            inputUI: {
+                type: 'text',
+            },
+            tooltip: 'Flag tracks that end more than this much (and at least 1 second) before the video',
+        },
+        {
+            label: 'Clipping Peak Count',
+            name: 'clipPeakCount',
+            type: 'string',
+            defaultValue: '100',
+            inputUI: {
+                type: 'text',
+            },
+            tooltip: 'Flag tracks that reach full scale (-0.1 dBFS or more) on at least this many occasions. 0 disables the clipping check',
+        },
+        {
+            label: 'Timeout (minutes)',
+            name: 'timeout',
+            type: 'string',
+            defaultValue: '60',
+            inputUI: {
+                type: 'dropdown',
+                options: ['30', '60', '120', '180'],
+            },
+            tooltip: 'Maximum time to wait for the analysis pass to complete',
+        },
+    ],
+    outputs: [
+        {
+            number: 1,
+            tooltip: 'All audio tracks healthy (or no audio)',
+        },
+        {
+            number: 2,
+            tooltip: 'One or more tracks are silent, truncated, clipped or have dead channels',
+        },
+    ],
+}); };
+exports.details = details;
+
+var plugin = async function (args) {
+    var lib = require('../../../../../methods/lib')();
+
+    // Wrap loadDefaultValues in try-catch
+    try {
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+    } catch (e) {
+        throw new Error('Failed to load default values: ' + e.message);
+    }
+
+    var opts = {
+        silenceThreshold: audioPrepUtils_1.parseNumberInRange(args.inputs.silenceThreshold, -150, 0, -70),
+        deadChannels: String(args.inputs.deadChannelCheck || 'center'),
+        truncationTolerance: audioPrepUtils_1.parseNumberInRange(args.inputs.truncationTolerance, 0, 50, 2),
+        clipPeakCount: audioPrepUtils_1.parseNumberInRange(args.inputs.clipPeakCount, 0, 1000000, 100),
+    };
+    if (['center', 'all', 'off'].indexOf(opts.deadChannels) === -1) {
+        throw new Error('Invalid dead channel check "' + opts.deadChannels + '", must be center/all/off');
+    }
+    var timeoutMs = (parseInt(args.inputs.timeout, 10) || 60) * 60 * 1000;
+
+    var inputFile = args.inputFileObj && (args.inputFileObj._id || args.inputFileObj.file);
+    if (!inputFile) {
+        throw new Error('Could not determine input file path');
+    }
+    if (!args.inputFileObj.ffProbeData || !Array.isArray(args.inputFileObj.ffProbeData.streams)) {
+        throw new Error('No ffprobe data available');
+    }
+
+    var tracks = args.inputFileObj.ffProbeData.streams.filter(function(stream) {
+        return stream.codec_type === 'audio';
+    }).map(function(stream, audioIndex) {
+        return {
+            audioIndex: audioIndex,
+            codecLower: (stream.codec_name || '').toLowerCase(),
+            channels: stream.channels || 0,
+            channelLayout: stream.channel_layout || '',
+            sampleRate: parseInt(stream.sample_rate, 10) || 0,
+            language: (stream.tags && stream.tags.language) || '',
+            title: (stream.tags && stream.tags.title) || '',
+        };
+    });
+
+    var healthResult = {
+        file: inputFile,
+        status: 'healthy',
+        // Lets later plugins tell whether the results still describe the file they see
+        signature: tracks.map(function(t) { return t.codecLower + '/' + t.channels; }).join(','),
+        thresholds: opts,
+        tracks: [],
+        problemTracks: [],
+    };
+    audioPrepUtils_1.setAudioPrepVariable(args, 'trackHealth', healthResult);
+
+    if (tracks.length === 0) {
+        args.jobLog('No audio streams found');
+        return { outputFileObj: args.inputFileObj, outputNumber: 1, variables: args.variables };
+    }
+
+    // Get ffmpeg path
+    var ffmpegCli = args.ffmpegPath;
+    if (!ffmpegCli && args.deps && args.deps.ffmpegPath) {
+        ffmpegCli = args.deps.ffmpegPath;
+    }
+    if (!ffmpegCli) {
+        ffmpegCli = 'tdarr-ffmpeg';
+    }
+
+    var referenceDuration = audioPrepUtils_1.getReferenceDuration(args.inputFileObj.ffProbeData);
+    args.jobLog('Analyzing ' + tracks.length + ' audio track(s) with astats' +
+        (referenceDuration ? ' (video is ' + referenceDuration.toFixed(1) + 's)' : ''));
+
+    var cancelController = new AbortController();
+    var stopCancelWatch = audioPrepUtils_1.watchForCancel(function(reason) {
+        args.jobLog('Job cancelled (' + reason + '): stopping analysis');
+        cancelController.abort();
+    });
+    var analysis = await audioPrepUtils_1.analyzeAudioTracks(ffmpegCli, inputFile, tracks, timeoutMs, cancelController.signal);
+    stopCancelWatch();
+    if (cancelController.signal.aborted) {
+        throw new Error('Job cancelled');
+    }
+    if (analysis.error) {
+        throw new Error('Track analysis failed: ' + analysis.error);
+    }
+
+    healthResult.tracks = tracks.map(function(track, t) {
+        return audioPrepUtils_1.evaluateTrackHealth(track, analysis.reports[t], referenceDuration, opts);
+    });
+    healthResult.tracks.forEach(function(health) {
+        args.jobLog('  0:a:' + health.audioIndex + ' ' + health.codec + ' ' + health.channels + 'ch [' +
+            (health.language || 'und') + ']' + (health.title ? ' "' + health.title + '"' : '') + ': ' +
+            (health.problems.length > 0 ? health.problems.join(', ') : 'ok') +
+            (health.rmsDb !== null && isFinite(health.rmsDb) ? ' (RMS ' + health.rmsDb.toFixed(1) + ' dB, peak ' + health.peakDb.toFixed(1) + ' dB)' : ''));
+        if (health.problems.length > 0) healthResult.problemTracks.push(health.audioIndex);
+    });
+
+    if (healthResult.problemTracks.length > 0) {
+        healthResult.status = 'problems';
+        args.jobLog('Result: ' + healthResult.problemTracks.length + ' track(s) with problems (output 2)');
+        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+    }
+    args.jobLog('Result: all tracks healthy (output 1)');
+    return { outputFileObj: args.inputFileObj, outputNumber: 1, variables: args.variables };
+};
+exports.plugin = plugin;
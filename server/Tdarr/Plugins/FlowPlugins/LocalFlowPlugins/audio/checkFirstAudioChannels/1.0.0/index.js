@@ -3,7 +3,8 @@
  * Check Main Audio Stream Channels
  *
  * Determines if the main audio stream is stereo, multichannel, or mono.
- * Main audio is determined by:
+ * Main audio is determined (by the shared audioPrepUtils helpers, the same way as
+ * Route By Main Audio Channels):
  *   1. First audio stream with default disposition flag
  *   2. Falls back to first audio stream if no default is set
  *
@@ -13,9 +14,15 @@
  * - Default case in switch
  * - Handling of invalid channel counts
  * - Clear logging of selection logic
+ * - Real errors (missing probe data, invalid input) throw so the flow's error path runs
+ *
+ * The selected stream is stored in args.variables.audioPrep.mainAudio (same
+ * shape as Route By Main Audio Channels) and the check itself in
+ * args.variables.audioPrep.checkFirstAudioChannels.
  */
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.plugin = exports.details = void 0;
+var audioPrepUtils_1 = require("../../../../LocalFlowHelpers/1.0.0/audioPrepUtils");
 
 var details = function () { return ({
     name: 'Check Main Audio Stream Channels',
@@ -66,12 +73,7 @@ var plugin = function (args) {
     try {
         args.inputs = lib.loadDefaultValues(args.inputs, details);
     } catch (e) {
-        args.jobLog('ERROR: Failed to load default values: ' + e.message);
-        return {
-            outputFileObj: args.inputFileObj,
-            outputNumber: 2,
-            variables: args.variables,
-        };
+        throw new Error('Failed to load default values: ' + e.message);
     }
 
     var condition = String(args.inputs.condition || 'multichannel');
@@ -79,82 +81,24 @@ var plugin = function (args) {
     // Validate condition (ES5-compatible)
     var validConditions = ['stereo', 'multichannel', 'mono'];
     if (validConditions.indexOf(condition) === -1) {
-        args.jobLog('ERROR: Invalid condition "' + condition + '", must be stereo/multichannel/mono');
-        return {
-            outputFileObj: args.inputFileObj,
-            outputNumber: 2,
-            variables: args.variables,
-        };
+        throw new Error('Invalid condition "' + condition + '", must be stereo/multichannel/mono');
     }
 
     // Validate ffProbeData exists
     if (!args.inputFileObj || !args.inputFileObj.ffProbeData) {
-        args.jobLog('ERROR: No ffprobe data available');
-        return {
-            outputFileObj: args.inputFileObj,
-            outputNumber: 2,
-            variables: args.variables,
-        };
+        throw new Error('No ffprobe data available');
     }
 
     var streams = args.inputFileObj.ffProbeData.streams;
 
     // Validate streams is an array
     if (!Array.isArray(streams)) {
-        args.jobLog('ERROR: ffprobe streams is not an array');
-        return {
-            outputFileObj: args.inputFileObj,
-            outputNumber: 2,
-            variables: args.variables,
-        };
+        throw new Error('ffprobe streams is not an array');
     }
 
     // Find main audio stream: prefer default disposition, fallback to first audio
-    // We want the FIRST audio stream that has default disposition,
-    // not just any stream with default disposition
-    var mainAudio = null;
-    var mainAudioGlobalIndex = -1;  // Index in streams array (0:X)
-    var mainAudioRelativeIndex = -1; // Index among audio streams (0:a:X)
-    var firstAudio = null;
-    var firstAudioGlobalIndex = -1;
-    var firstAudioRelativeIndex = -1;
-    var audioCount = 0;
-
-    for (var i = 0; i < streams.length; i++) {
-        var stream = streams[i];
-        if (stream.codec_type === 'audio') {
-            // Track first audio stream as fallback
-            if (firstAudio === null) {
-                firstAudio = stream;
-                firstAudioGlobalIndex = i;
-                firstAudioRelativeIndex = audioCount;
-            }
-
-            // Check for default disposition (can be 1, true, or "1")
-            var isDefault = stream.disposition &&
-                (stream.disposition.default === 1 ||
-                 stream.disposition.default === true ||
-                 stream.disposition.default === '1');
-
-            // Take the first stream with default disposition
-            if (isDefault && mainAudio === null) {
-                mainAudio = stream;
-                mainAudioGlobalIndex = i;
-                mainAudioRelativeIndex = audioCount;
-                // Don't break - continue to count total audio streams
-            }
-
-            audioCount++;
-        }
-    }
-
-    // Use default audio if found, otherwise first audio
-    var targetAudio = mainAudio || firstAudio;
-    var targetGlobalIndex = mainAudio ? mainAudioGlobalIndex : firstAudioGlobalIndex;
-    var targetRelativeIndex = mainAudio ? mainAudioRelativeIndex : firstAudioRelativeIndex;
-    var selectionMethod = mainAudio ? 'default disposition' : 'first audio stream';
-
-    if (!targetAudio) {
+    var main = audioPrepUtils_1.selectMainAudio(streams);
+    if (!main) {
         args.jobLog('No audio streams found in file (total streams: ' + streams.length + ')');
         return {
             outputFileObj: args.inputFileObj,
@@ -162,26 +106,26 @@ var plugin = function (args) {
             variables: args.variables,
         };
     }
+    var targetAudio = main.stream;
+    var targetGlobalIndex = main.streamIndex;
+    var targetRelativeIndex = main.audioIndex;
+    var selectionMethod = main.selection;
+    var audioCount = main.audioStreamCount;
 
-    // Get channel count with validation
     var channels = targetAudio.channels;
-
-    if (typeof channels !== 'number' || !isFinite(channels) || channels < 0) {
-        args.jobLog('ERROR: Invalid channel count in audio stream: ' + JSON.stringify(channels));
-        args.jobLog('Stream info: codec=' + (targetAudio.codec_name || 'unknown') +
-            ', global index=0:' + targetGlobalIndex + ', audio index=0:a:' + targetRelativeIndex);
-        return {
-            outputFileObj: args.inputFileObj,
-            outputNumber: 2,
-            variables: args.variables,
-        };
-    }
-
-    // Log detailed info
     var codecName = targetAudio.codec_name || 'unknown';
     var channelLayout = targetAudio.channel_layout || 'unspecified';
     var language = (targetAudio.tags && targetAudio.tags.language) || 'und';
     var title = (targetAudio.tags && targetAudio.tags.title) || '';
+    var objectBased = audioPrepUtils_1.isObjectBasedAudio(targetAudio.profile, title);
+
+    // Same validation as Route By Main Audio Channels: a track without channels is an error
+    var category = audioPrepUtils_1.categorize(channels, objectBased);
+    if (!category) {
+        args.jobLog('Stream info: codec=' + codecName +
+            ', global index=0:' + targetGlobalIndex + ', audio index=0:a:' + targetRelativeIndex);
+        throw new Error('Invalid channel count in audio stream: ' + JSON.stringify(channels));
+    }
 
     args.jobLog('Audio streams found: ' + audioCount);
     args.jobLog('Main audio selected via: ' + selectionMethod);
@@ -207,16 +151,30 @@ var plugin = function (args) {
             break;
         default:
             // Should never reach here due to earlier validation, but safety first
-            args.jobLog('ERROR: Unhandled condition: ' + condition);
-            return {
-                outputFileObj: args.inputFileObj,
-                outputNumber: 2,
-                variables: args.variables,
-            };
+            throw new Error('Unhandled condition: ' + condition);
     }
 
     args.jobLog('Result: ' + (matches ? 'MATCH (output 1)' : 'NO MATCH (output 2)'));
 
+    audioPrepUtils_1.setAudioPrepVariable(args, 'mainAudio', {
+        streamIndex: targetGlobalIndex,
+        audioIndex: targetRelativeIndex,
+        selection: selectionMethod,
+        channels: channels,
+        channelLayout: channelLayout,
+        codec: codecName,
+        profile: targetAudio.profile || '',
+        language: language,
+        title: title,
+        objectBased: objectBased,
+        category: category,
+        audioStreamCount: audioCount,
+    });
+    audioPrepUtils_1.setAudioPrepVariable(args, 'checkFirstAudioChannels', {
+        condition: condition,
+        matched: matches,
+    });
+
     return {
         outputFileObj: args.inputFileObj,
         outputNumber: matches ? 1 : 2,
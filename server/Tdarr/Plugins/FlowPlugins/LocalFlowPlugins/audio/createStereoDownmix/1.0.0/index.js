@@ -2,15 +2,42 @@
 /**
  * Create Stereo Downmix (Dialogue Preserved)
  *
- * Creates a high-quality stereo downmix from surround audio with boosted
- * center channel for dialogue clarity. Adds as additional track, preserves all originals.
+ * Creates a high-quality stereo downmix from surround audio, by default with a
+ * boosted center channel for dialogue clarity. Adds as additional track, preserves all originals.
+ *
+ * The downmix matrix is selectable (dialogue, ITU-R BS.775, Dolby Pro Logic II,
+ * night, no-LFE or a custom pan matrix) and is validated against the source
+ * channel layout before ffmpeg runs.
+ *
+ * Results (status, source track, created tracks and their loudness) are kept in
+ * args.variables.audioPrep.createStereoDownmix for later plugins and notifications.
+ *
+ * ffmpeg runs asynchronously through cliUtils.CLI so the worker stays responsive
+ * and the Tdarr UI shows progress; the Timeout input kills it if it overruns.
+ * Cancelling the job (or the worker shutting down) kills ffmpeg or stops the copy
+ * into place, removes temp and staging files and releases the lock. The original
+ * is only swapped out once the new file sits complete next to it.
+ *
+ * The lock can live in the work directory (single node), next to the media file or
+ * in a shared directory, so nodes sharing an NFS/SMB library don't rewrite the same
+ * file at once. It records node ID and PID and is kept alive by a heartbeat.
+ *
+ * With Decode Check New Tracks on, every new track is decoded to a null sink before
+ * the original is touched; decode errors, a track shorter than the video or long
+ * digital silence fail the job instead of replacing the file.
+ *
+ * Outputs: 1 = downmix added, 2 = nothing to do, 3 = plan only. Real errors
+ * (missing probe data, ffmpeg or verification failure, file replacement) clean
+ * up and throw, so the flow's error output fires instead of a success branch.
  */
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.plugin = exports.details = void 0;
+var cliUtils_1 = require("../../../../FlowHelpers/1.0.0/cliUtils");
+var audioPrepUtils_1 = require("../../../../LocalFlowHelpers/1.0.0/audioPrepUtils");
 
 var details = function () { return ({
     name: 'Create Stereo Downmix (Dialogue Preserved)',
-    description: 'Creates a high-quality stereo downmix from surround audio with boosted center channel for dialogue clarity. Adds as additional track, preserves all originals.',
+    description: 'Creates a high-quality stereo downmix from surround audio using a selectable matrix preset (dialogue with boosted center by default, ITU-R BS.775, Dolby Pro Logic II, night, no-LFE) or a custom matrix. Adds as additional track, preserves all originals.',
     style: {
         borderColor: '#6efefc',
     },
@@ -36,12 +63,87 @@ var details = function () { return ({
             label: 'Track Title',
             name: 'trackTitle',
             type: 'string',
-            defaultValue: 'Stereo (Night Mode)',
+            defaultValue: 'Stereo',
             inputUI: {
                 type: 'text',
             },
             tooltip: 'Title/label for the new stereo track. Alphanumeric, spaces, and basic punctuation only.',
         },
+        {
+            label: 'Night Mode Track',
+            name: 'nightModeTrack',
+            type: 'string',
+            defaultValue: 'off',
+            inputUI: {
+                type: 'dropdown',
+                options: ['off', 'add', 'replace'],
+            },
+            tooltip: 'off: plain stereo only. add: also create a dynamic-range-compressed night mode track. replace: create only the night mode track instead of plain stereo',
+        },
+        {
+            label: 'Night Mode Title',
+            name: 'nightModeTitle',
+            type: 'string',
+            defaultValue: 'Stereo (Night Mode)',
+            inputUI: {
+                type: 'text',
+            },
+            tooltip: 'Title/label for the night mode track. Re-runs recognize the track by its AUDIOPREP_DOWNMIX=night stream tag, not by this title.',
+        },
+        {
+            label: 'Night Mode Compression Ratio',
+            name: 'drcRatio',
+            type: 'string',
+            defaultValue: '4',
+            inputUI: {
+                type: 'dropdown',
+                options: ['2', '3', '4', '6', '8'],
+            },
+            tooltip: 'Compressor ratio for the night mode track. Higher squashes loud effects harder',
+        },
+        {
+            label: 'Night Mode Threshold (dB)',
+            name: 'drcThreshold',
+            type: 'string',
+            defaultValue: '-24',
+            inputUI: {
+                type: 'dropdown',
+                options: ['-36', '-30', '-24', '-20', '-16'],
+            },
+            tooltip: 'Level above which the compressor starts reducing gain',
+        },
+        {
+            label: 'Night Mode Dialogue Emphasis (dB)',
+            name: 'dialogueEmphasis',
+            type: 'string',
+            defaultValue: '3',
+            inputUI: {
+                type: 'dropdown',
+                options: ['0', '2', '3', '4', '6'],
+            },
+            tooltip: 'Presence boost in the speech band (around 2.5kHz) applied before compression. 0 disables',
+        },
+        {
+            label: 'Downmix Preset',
+            name: 'downmixPreset',
+            type: 'string',
+            defaultValue: 'dialogue',
+            inputUI: {
+                type: 'dropdown',
+                options: ['dialogue', 'itu-bs775', 'dpl2', 'night', 'no-lfe', 'custom'],
+            },
+            tooltip: 'dialogue: boosted center for clarity. itu-bs775: ITU-R BS.775 standard downmix. dpl2: Dolby Pro Logic II Lt/Rt (surround-encoded). night: heavy center boost, quiet surrounds. no-lfe: dialogue without LFE. custom: use the Custom Matrix below',
+        },
+        {
+            label: 'Custom Matrix',
+            name: 'customMatrix',
+            type: 'string',
+            defaultValue: '',
+            inputUI: {
+                type: 'text',
+            },
+            tooltip: 'Only used with the custom preset. Per-output gains in pan syntax, e.g. FL=1.0*FL+0.707*FC+0.707*SL|FR=1.0*FR+0.707*FC+0.707*SR. Use < instead of = to let ffmpeg normalize the gains. Channels must exist in the source layout.',
+        },
         {
             label: 'Normalize Audio',
             name: 'normalize',
@@ -63,6 +165,17 @@ var details = function () { return ({
             },
             tooltip: 'Target loudness. -16 is broadcast, -14 is louder for quiet listening, -23/-24 for cinema-like',
         },
+        {
+            label: 'Loudnorm Mode',
+            name: 'loudnormMode',
+            type: 'string',
+            defaultValue: 'dynamic',
+            inputUI: {
+                type: 'dropdown',
+                options: ['dynamic', 'two-pass'],
+            },
+            tooltip: 'dynamic: single-pass loudnorm. two-pass: measure the downmix first, then apply linear loudnorm with the measured values (no pumping, hits the target, doubles decode time)',
+        },
         {
             label: 'Audio Encoder',
             name: 'encoder',
@@ -85,15 +198,70 @@ var details = function () { return ({
             },
             tooltip: 'Maximum time to wait for encoding to complete',
         },
+        {
+            label: 'Lock Location',
+            name: 'lockLocation',
+            type: 'string',
+            defaultValue: 'work-dir',
+            inputUI: {
+                type: 'dropdown',
+                options: ['work-dir', 'media-dir', 'shared-dir'],
+            },
+            tooltip: 'Where the per-file lock is kept. work-dir: node-local, only guards against this node. media-dir: hidden .<file>.audioprep.lock next to the media, seen by every node sharing the library. shared-dir: in the Shared Lock Directory below',
+        },
+        {
+            label: 'Shared Lock Directory',
+            name: 'sharedLockDirectory',
+            type: 'string',
+            defaultValue: '',
+            inputUI: {
+                type: 'text',
+            },
+            tooltip: 'Directory every node can write to (e.g. on the NAS). Only used with the shared-dir lock location. Locks are named after the file name, so nodes that mount the library at different paths still agree',
+        },
+        {
+            label: 'Decode Check New Tracks',
+            name: 'decodeCheck',
+            type: 'boolean',
+            defaultValue: false,
+            inputUI: {
+                type: 'switch',
+            },
+            tooltip: 'Before replacing the file, decode each new track to a null sink and fail on decode errors, a track shorter than the video, or long digital silence (a sign of a downmix matrix that does not fit the layout). Costs one extra decode pass per track',
+        },
+        {
+            label: 'Max Digital Silence (seconds)',
+            name: 'maxSilenceSeconds',
+            type: 'string',
+            defaultValue: '30',
+            inputUI: {
+                type: 'text',
+            },
+            tooltip: 'Decode check fails when a new track has a stretch of digital silence (below -90dB) at least this long',
+        },
+        {
+            label: 'Plan Only',
+            name: 'planOnly',
+            type: 'boolean',
+            defaultValue: false,
+            inputUI: {
+                type: 'switch',
+            },
+            tooltip: 'Work out the new tracks and the exact ffmpeg command, log them and store them in audioPrep.plans.createStereoDownmix without running ffmpeg or touching any file. Routes to output 3',
+        },
     ],
     outputs: [
         {
             number: 1,
-            tooltip: 'Stereo track created successfully',
+            tooltip: 'Downmix track(s) created',
         },
         {
             number: 2,
-            tooltip: 'Error or skipped (no multichannel audio)',
+            tooltip: 'Not needed: no multichannel audio or downmix already present. Errors go to the error output',
+        },
+        {
+            number: 3,
+            tooltip: 'Plan only: downmix planned but not applied',
         },
     ],
 }); };
@@ -121,153 +289,6 @@ function validateBitrate(bitrate) {
     return num;
 }
 
-// Get pan filter for specific channel layout
-// Returns {filter, branch} for logging/debugging
-function getPanFilter(channels, channelLayout) {
-    var layout = (channelLayout || '').toLowerCase();
-    // Only set hasBack if layout EXPLICITLY contains "back"
-    var hasBack = layout.indexOf('back') !== -1;
-    var hasSide = layout.indexOf('side') !== -1;
-
-    // 7.1 (8 channels) - has both side and back
-    if (channels === 8 || layout.indexOf('7.1') !== -1) {
-        return {
-            filter: 'pan=stereo|FL=0.70*FL+0.70*FC+0.25*SL+0.20*BL+0.20*LFE|FR=0.70*FR+0.70*FC+0.25*SR+0.20*BR+0.20*LFE',
-            branch: '7.1'
-        };
-    }
-
-    // 6.1 (7 channels) - has back center
-    if (channels === 7 || layout.indexOf('6.1') !== -1) {
-        return {
-            filter: 'pan=stereo|FL=0.70*FL+0.70*FC+0.30*SL+0.15*BC+0.20*LFE|FR=0.70*FR+0.70*FC+0.30*SR+0.15*BC+0.20*LFE',
-            branch: '6.1'
-        };
-    }
-
-    // 5.1 with EXPLICIT back channels only
-    if (channels === 6 && hasBack) {
-        return {
-            filter: 'pan=stereo|FL=0.70*FL+0.70*FC+0.35*BL+0.20*LFE|FR=0.70*FR+0.70*FC+0.35*BR+0.20*LFE',
-            branch: '5.1(back)'
-        };
-    }
-
-    // 5.1(side) or unknown 6-channel - default to side (safer, more common)
-    if (channels === 6) {
-        return {
-            filter: 'pan=stereo|FL=0.70*FL+0.70*FC+0.35*SL+0.20*LFE|FR=0.70*FR+0.70*FC+0.35*SR+0.20*LFE',
-            branch: hasSide ? '5.1(side)' : '5.1(default-side)'
-        };
-    }
-
-    // Quad (4 channels) - check for back, default to side
-    if (channels === 4 || layout.indexOf('quad') !== -1 || layout.indexOf('4.0') !== -1) {
-        if (hasBack) {
-            return {
-                filter: 'pan=stereo|FL=0.80*FL+0.40*BL|FR=0.80*FR+0.40*BR',
-                branch: 'quad(back)'
-            };
-        }
-        return {
-            filter: 'pan=stereo|FL=0.80*FL+0.40*SL|FR=0.80*FR+0.40*SR',
-            branch: 'quad(side)'
-        };
-    }
-
-    // 3.0 (3 channels) - L, R, C
-    if (channels === 3) {
-        return {
-            filter: 'pan=stereo|FL=0.70*FL+0.70*FC|FR=0.70*FR+0.70*FC',
-            branch: '3.0'
-        };
-    }
-
-    // For complex layouts (Atmos, etc), let ffmpeg's internal downmixer handle it
-    if (channels > 8) {
-        return {
-            filter: 'aformat=channel_layouts=stereo',
-            branch: 'atmos-auto'
-        };
-    }
-
-    // Generic fallback - use side channels as safer default
-    return {
-        filter: 'pan=stereo|FL=0.70*FL+0.70*FC+0.35*SL+0.20*LFE|FR=0.70*FR+0.70*FC+0.35*SR+0.20*LFE',
-        branch: 'fallback-side'
-    };
-}
-
-// Clean up orphaned files from previous runs
-function cleanupOrphanedFiles(fs, dir, prefix, maxAgeMs) {
-    try {
-        if (!fs.existsSync(dir)) return;
-        var files = fs.readdirSync(dir);
-        var now = Date.now();
-        for (var i = 0; i < files.length; i++) {
-            var file = files[i];
-            if (file.indexOf(prefix) === 0) {
-                try {
-                    var filePath = dir + '/' + file;
-                    var stat = fs.statSync(filePath);
-                    if (now - stat.mtimeMs > maxAgeMs) {
-                        fs.unlinkSync(filePath);
-                    }
-                } catch (e) {
-                    // Ignore individual file cleanup errors
-                }
-            }
-        }
-    } catch (e) {
-        // Ignore cleanup errors - non-critical
-    }
-}
-
-// Acquire a lock file, returns true if acquired
-function acquireLock(fs, lockFile, timeoutMs, spawnSync) {
-    var start = Date.now();
-
-    while (Date.now() - start < timeoutMs) {
-        try {
-            // O_CREAT | O_EXCL - atomic create, fails if exists
-            fs.writeFileSync(lockFile, String(process.pid) + '\n' + Date.now(), { flag: 'wx' });
-            return true;
-        } catch (e) {
-            if (e.code === 'EEXIST') {
-                // Check if lock is stale (older than 2 hours)
-                try {
-                    var stat = fs.statSync(lockFile);
-                    if (Date.now() - stat.mtimeMs > 2 * 60 * 60 * 1000) {
-                        try {
-                            fs.unlinkSync(lockFile);
-                        } catch (unlinkErr) {
-                            // Someone else may have removed it
-                        }
-                        continue; // Retry immediately
-                    }
-                } catch (statErr) {
-                    // Lock file disappeared, retry immediately
-                    continue;
-                }
-                // Lock is held by another process, sleep before retry (not busy-wait)
-                spawnSync('sleep', ['0.5'], { timeout: 2000 });
-            } else {
-                // Permission error or other issue
-                return false;
-            }
-        }
-    }
-    return false;
-}
-
-function releaseLock(fs, lockFile) {
-    try {
-        fs.unlinkSync(lockFile);
-    } catch (e) {
-        // Ignore - may already be gone
-    }
-}
-
 // Safe file delete helper
 function safeUnlink(fs, filePath) {
     try {
@@ -279,11 +300,10 @@ function safeUnlink(fs, filePath) {
     }
 }
 
-var plugin = function (args) {
+var plugin = async function (args) {
     var fs = require('fs');
     var path = require('path');
     var crypto = require('crypto');
-    var spawn = require('child_process').spawnSync;
 
     var lib = require('../../../../../methods/lib')();
 
@@ -291,8 +311,7 @@ var plugin = function (args) {
     try {
         args.inputs = lib.loadDefaultValues(args.inputs, details);
     } catch (e) {
-        args.jobLog('ERROR: Failed to load default values: ' + e.message);
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw new Error('Failed to load default values: ' + e.message);
     }
 
     // Parse and validate inputs
@@ -300,8 +319,49 @@ var plugin = function (args) {
     var trackTitle = sanitizeTrackTitle(args.inputs.trackTitle);
     var normalize = args.inputs.normalize === true || args.inputs.normalize === 'true';
     var loudnormTarget = parseInt(args.inputs.loudnormTarget, 10) || -16;
+    var twoPassLoudnorm = String(args.inputs.loudnormMode) === 'two-pass';
     var encoder = String(args.inputs.encoder || 'aac');
+    var downmixPreset = String(args.inputs.downmixPreset || 'dialogue');
+    var customMatrix = String(args.inputs.customMatrix || '');
+    var nightModeTrack = String(args.inputs.nightModeTrack || 'off');
+    var nightModeTitle = sanitizeTrackTitle(args.inputs.nightModeTitle);
+    var drcRatio = audioPrepUtils_1.parseNumberInRange(args.inputs.drcRatio, 1, 20, 4);
+    var drcThreshold = audioPrepUtils_1.parseNumberInRange(args.inputs.drcThreshold, -60, 0, -24);
+    var dialogueEmphasis = audioPrepUtils_1.parseNumberInRange(args.inputs.dialogueEmphasis, 0, 12, 3);
     var timeoutMs = (parseInt(args.inputs.timeout, 10) || 60) * 60 * 1000;
+    var decodeCheck = args.inputs.decodeCheck === true || args.inputs.decodeCheck === 'true';
+    var maxSilenceSeconds = audioPrepUtils_1.parseNumberInRange(args.inputs.maxSilenceSeconds, 1, 3600, 30);
+    var lockLocation = String(args.inputs.lockLocation || 'work-dir');
+    var sharedLockDir = String(args.inputs.sharedLockDirectory || '').trim();
+    var planOnly = args.inputs.planOnly === true || args.inputs.planOnly === 'true';
+
+    // Published up front and filled in as we go, so every exit leaves a status behind
+    var downmixResult = {
+        status: 'error',
+        reason: '',
+        sourceAudioIndex: -1,
+        sourceCodec: '',
+        sourceChannels: 0,
+        sourceLayout: '',
+        language: '',
+        downmixPreset: downmixPreset,
+        stereoCreated: false,
+        nightCreated: false,
+        created: [],
+    };
+    audioPrepUtils_1.setAudioPrepVariable(args, 'createStereoDownmix', downmixResult);
+    var skip = function(reason) {
+        downmixResult.status = 'not-needed';
+        downmixResult.reason = reason;
+        return cleanup(2);
+    };
+    // Real errors throw (after cleanup) so the flow's error output fires
+    var fail = function(message) {
+        downmixResult.status = 'error';
+        downmixResult.reason = message;
+        cleanup();
+        return new Error(message);
+    };
 
     // Validate encoder choice (ES5-compatible)
     var validEncoders = ['aac', 'libfdk_aac', 'aac_at'];
@@ -309,17 +369,27 @@ var plugin = function (args) {
         encoder = 'aac';
     }
 
+    if (['off', 'add', 'replace'].indexOf(nightModeTrack) === -1) {
+        nightModeTrack = 'off';
+    }
+
+    if (downmixPreset !== 'custom' && !audioPrepUtils_1.DOWNMIX_PRESETS[downmixPreset]) {
+        args.jobLog('WARNING: Unknown downmix preset "' + downmixPreset + '", using dialogue');
+        downmixPreset = 'dialogue';
+    }
+
     var inputFile = args.inputFileObj._id || args.inputFileObj.file;
     if (!inputFile) {
-        args.jobLog('ERROR: Could not determine input file path');
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw new Error('Could not determine input file path');
     }
 
     // Use TDarr's work directory, fall back to /temp
     var workDir = args.workDir || '/temp';
 
-    // Cleanup orphaned temp files older than 4 hours
-    cleanupOrphanedFiles(fs, workDir, 'stereo_', 4 * 60 * 60 * 1000);
+    // Cleanup orphaned temp files older than 4 hours (plan mode leaves the disk alone)
+    if (!planOnly) {
+        audioPrepUtils_1.cleanupOrphanedFiles(workDir, 'stereo_', 4 * 60 * 60 * 1000);
+    }
 
     // Generate unique ID using crypto
     var uniqueId;
@@ -330,17 +400,23 @@ var plugin = function (args) {
     }
 
     var tempFile = path.join(workDir, 'stereo_' + uniqueId + '.mkv');
-    // Lock file in workDir to avoid issues with read-only media directories
-    var inputBasename = path.basename(inputFile);
-    var lockFile = path.join(workDir, inputBasename + '.stereodownmix.lock');
+    var stagingFile = inputFile + '.staging_' + uniqueId;
     var backupFile = inputFile + '.backup_' + uniqueId;
 
     // Track files we need to clean up
-    var filesToCleanup = [tempFile];
+    var filesToCleanup = [tempFile, stagingFile];
+    var heldLock = null;
+    var cancelled = false;
+    var cancelController = new AbortController();
+    var stopCancelWatch = function() {};
 
     // Cleanup helper that handles all cases
     var cleanup = function(exitCode, additionalFiles) {
-        releaseLock(fs, lockFile);
+        stopCancelWatch();
+        if (heldLock) {
+            audioPrepUtils_1.releaseLock(heldLock);
+            heldLock = null;
+        }
         // Clean up temp files
         for (var i = 0; i < filesToCleanup.length; i++) {
             safeUnlink(fs, filesToCleanup[i]);
@@ -353,23 +429,53 @@ var plugin = function (args) {
         return { outputFileObj: args.inputFileObj, outputNumber: exitCode, variables: args.variables };
     };
 
-    // Acquire lock to prevent concurrent processing
-    args.jobLog('Acquiring lock for: ' + path.basename(inputFile));
-    if (!acquireLock(fs, lockFile, 30000, spawn)) {
-        args.jobLog('ERROR: Could not acquire lock - file may be processed by another worker');
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+    // Acquire lock to prevent concurrent processing. Plan mode only reads probe data.
+    if (planOnly) {
+        args.jobLog('Plan only mode: no lock taken, no files will be written');
+    } else {
+        stopCancelWatch = audioPrepUtils_1.watchForCancel(function(reason) {
+            cancelled = true;
+            args.jobLog('Job cancelled (' + reason + '): stopping ffmpeg and cleaning up');
+            cancelController.abort();
+            cleanup();
+        });
+        if (['work-dir', 'media-dir', 'shared-dir'].indexOf(lockLocation) === -1) {
+            throw fail('Invalid lock location "' + lockLocation + '"');
+        }
+        if (lockLocation === 'shared-dir') {
+            if (!sharedLockDir) {
+                throw fail('Shared Lock Directory is required for the shared-dir lock location');
+            }
+            try {
+                fs.mkdirSync(sharedLockDir, { recursive: true });
+            } catch (e) {
+                throw fail('Could not create Shared Lock Directory: ' + e.message);
+            }
+        }
+        var lockFile = audioPrepUtils_1.getLockFile(lockLocation, sharedLockDir, workDir, inputFile);
+        args.jobLog('Acquiring lock: ' + lockFile);
+        var lockResult = await audioPrepUtils_1.acquireLock(lockFile, audioPrepUtils_1.getLockOwner(args), 30000, args.jobLog,
+            cancelController.signal);
+        if (lockResult.lock) heldLock = lockResult.lock;
+        if (cancelled) {
+            throw fail('Job cancelled');
+        }
+        if (lockResult.error) {
+            throw fail('Could not create lock ' + lockFile + ': ' + lockResult.error);
+        }
+        if (!heldLock) {
+            throw fail('Could not acquire lock - file is being processed by ' + audioPrepUtils_1.describeLockOwner(lockResult.holder));
+        }
     }
 
     // Validate ffProbeData exists
     if (!args.inputFileObj.ffProbeData || !args.inputFileObj.ffProbeData.streams) {
-        args.jobLog('ERROR: No ffprobe data available');
-        return cleanup(2);
+        throw fail('No ffprobe data available');
     }
 
     var streams = args.inputFileObj.ffProbeData.streams;
     if (!Array.isArray(streams)) {
-        args.jobLog('ERROR: ffprobe streams is not an array');
-        return cleanup(2);
+        throw fail('ffprobe streams is not an array');
     }
 
     // Find main audio stream: prefer default disposition, fallback to first audio
@@ -406,23 +512,26 @@ var plugin = function (args) {
 
     if (!targetAudio) {
         args.jobLog('No audio stream found');
-        return cleanup(2);
+        return skip('no audio stream');
     }
 
     var channels = targetAudio.channels;
     if (typeof channels !== 'number' || !isFinite(channels) || channels < 1) {
-        args.jobLog('ERROR: Invalid channel count in audio stream: ' + channels);
-        return cleanup(2);
+        throw fail('Invalid channel count in audio stream: ' + channels);
     }
 
     var channelLayout = targetAudio.channel_layout || '';
+    downmixResult.sourceAudioIndex = targetAudioIndex;
+    downmixResult.sourceCodec = targetAudio.codec_name || 'unknown';
+    downmixResult.sourceChannels = channels;
+    downmixResult.sourceLayout = channelLayout;
     args.jobLog('Main audio (' + selectionMethod + '): ' +
         (targetAudio.codec_name || 'unknown') + ' with ' + channels +
         ' channels, layout: ' + (channelLayout || 'unspecified'));
 
     if (channels <= 2) {
         args.jobLog('Audio is already stereo or mono, skipping');
-        return cleanup(2);
+        return skip('main audio is already stereo or mono');
     }
 
     // Check for existing stereo track that matches the main audio language
@@ -446,6 +555,7 @@ var plugin = function (args) {
         }
     }
     mainLang = mainLang.toLowerCase();
+    downmixResult.language = mainLang;
 
     // Get video duration for comparison
     var videoDuration = 0;
@@ -453,7 +563,11 @@ var plugin = function (args) {
         videoDuration = parseFloat(args.inputFileObj.ffProbeData.format.duration) || 0;
     }
 
-    // Check for existing stereo track
+    // Check for existing stereo tracks. When a night mode track is requested, tracks
+    // tagged as our night mode downmix count separately from plain stereo. Titles aren't
+    // trusted: older versions titled every plain downmix "Stereo (Night Mode)".
+    var hasStereo = false;
+    var hasNight = false;
     for (var stereoIdx = 0; stereoIdx < streams.length; stereoIdx++) {
         var stereoStream = streams[stereoIdx];
         if (stereoStream.codec_type !== 'audio' || stereoStream.channels !== 2) {
@@ -504,31 +618,47 @@ var plugin = function (args) {
 
         if (durationMatch) {
             var stereoTitle = (stereoStream.tags && stereoStream.tags.title) || 'untitled';
-            args.jobLog('Existing stereo track found: "' + stereoTitle + '" (' +
-                        (stereoLang || 'no lang') + '), skipping creation');
-            return cleanup(2);
+            var isNight = nightModeTrack !== 'off' && audioPrepUtils_1.getDownmixType(stereoStream) === 'night';
+            args.jobLog('Existing ' + (isNight ? 'night mode' : 'stereo') + ' track found: "' + stereoTitle + '" (' +
+                        (stereoLang || 'no lang') + ')');
+            if (isNight) {
+                hasNight = true;
+            } else {
+                hasStereo = true;
+            }
         }
     }
 
-    args.jobLog('No existing matching stereo track found, proceeding with creation');
-
-    // Build filter chain - CORRECT ORDER: pan -> normalize -> limit
-    var pan = getPanFilter(channels, channelLayout);
-    args.jobLog('Downmix branch: ' + pan.branch + ' (layout=' + (channelLayout || 'unknown') + ')');
-    var audioFilter = pan.filter;
-
-    if (normalize) {
-        audioFilter += ',loudnorm=I=' + loudnormTarget + ':TP=-1.5:LRA=11';
+    // New tracks to create, in output order
+    var newTracks = [];
+    if (nightModeTrack !== 'replace' && !hasStereo) {
+        newTracks.push({ label: 'stereo', title: trackTitle, drcFilter: '', variable: 'stereoLoudness' });
+    }
+    if (nightModeTrack !== 'off' && !hasNight) {
+        newTracks.push({
+            label: 'night',
+            title: nightModeTitle,
+            drcFilter: audioPrepUtils_1.buildNightModeFilter(drcRatio, drcThreshold, dialogueEmphasis),
+            variable: 'nightLoudness',
+        });
     }
 
-    // Limiter AFTER normalization to catch any peaks
-    audioFilter += ',alimiter=limit=0.95';
+    if (newTracks.length === 0) {
+        args.jobLog('Requested downmix tracks already exist, skipping creation');
+        return skip('downmix tracks already exist');
+    }
 
-    args.jobLog('Audio filter chain: ' + audioFilter);
+    args.jobLog('Creating: ' + newTracks.map(function(t) { return '"' + t.title + '"'; }).join(', '));
 
-    // Calculate the new stereo track index
-    var newStereoIndex = audioStreamCount;
-    args.jobLog('New stereo track will be audio stream index: ' + newStereoIndex);
+    // Build filter chain - CORRECT ORDER: pan -> normalize -> limit
+    var pan = audioPrepUtils_1.getPanFilter(channels, channelLayout, downmixPreset, customMatrix);
+    if (pan.error) {
+        throw fail('Invalid downmix matrix: ' + pan.error);
+    }
+    args.jobLog('Downmix preset: ' + pan.preset + ' (' + downmixPreset + ')');
+    args.jobLog('Downmix branch: ' + pan.branch + ' (layout=' + (channelLayout || 'unknown') + ')');
+    args.jobLog('Pan expression: ' + pan.filter);
+    downmixResult.downmixPreset = downmixPreset;
 
     // Get ffmpeg path (ES5-compatible null checks)
     var ffmpegCli = args.ffmpegPath;
@@ -539,51 +669,205 @@ var plugin = function (args) {
         ffmpegCli = 'tdarr-ffmpeg';
     }
 
+    var sourceLabel = '[0:a:' + targetAudioIndex + ']';
+
+    if (normalize && twoPassLoudnorm && planOnly) {
+        args.jobLog('Plan only mode: skipping loudness measurement, plan shows the pass 2 graph without measured values');
+    } else if (normalize && twoPassLoudnorm) {
+        args.jobLog('Loudnorm pass 1: measuring downmix loudness...');
+        var measureStart = Date.now();
+        var measurement = await audioPrepUtils_1.measureLoudness(ffmpegCli, inputFile, newTracks.map(function(t) {
+            return sourceLabel + pan.filter + (t.drcFilter ? ',' + t.drcFilter : '');
+        }), loudnormTarget, timeoutMs, cancelController.signal);
+        if (cancelled) {
+            throw fail('Job cancelled');
+        }
+        args.jobLog('Measurement completed in ' + Math.round((Date.now() - measureStart) / 1000) + ' seconds');
+        if (measurement.error) {
+            args.jobLog('WARNING: Loudness measurement failed (' + measurement.error +
+                '), falling back to dynamic loudnorm');
+        }
+        for (var mIdx = 0; mIdx < newTracks.length; mIdx++) {
+            var measuredTrack = newTracks[mIdx];
+            measuredTrack.measured = measurement.measured ? measurement.measured[mIdx] : null;
+            if (measuredTrack.measured) {
+                args.jobLog('Measured "' + measuredTrack.title + '": ' + audioPrepUtils_1.formatLoudness(measuredTrack.measured) +
+                    ', offset=' + measuredTrack.measured.offset);
+            } else if (!measurement.error) {
+                args.jobLog('WARNING: No usable measurement for "' + measuredTrack.title + '", using dynamic loudnorm');
+            }
+        }
+    }
+
+    // Build filter graph - CORRECT ORDER: pan -> (compress) -> normalize -> limit
+    // A shared pan feeds every new track through asplit
+    var filterGraph = [];
+    var trackInputs = [];
+    if (newTracks.length === 1) {
+        trackInputs.push(sourceLabel + pan.filter + ',');
+    } else {
+        var splitLabels = newTracks.map(function(t) { return '[dmx_' + t.label + ']'; });
+        filterGraph.push(sourceLabel + pan.filter + ',asplit=' + newTracks.length + splitLabels.join(''));
+        trackInputs = splitLabels;
+    }
+    for (var fIdx = 0; fIdx < newTracks.length; fIdx++) {
+        var graphTrack = newTracks[fIdx];
+        var trackFilters = [pan.filter];
+        if (graphTrack.drcFilter) {
+            trackFilters.push(graphTrack.drcFilter);
+        }
+        if (normalize) {
+            // Two-pass prints every report so achieved values line up with tracks
+            trackFilters.push(audioPrepUtils_1.buildLoudnormFilter(loudnormTarget, graphTrack.measured, twoPassLoudnorm));
+        }
+        // Limiter AFTER normalization to catch any peaks
+        trackFilters.push('alimiter=limit=0.95');
+        graphTrack.filters = trackFilters;
+        // The pan itself lives in the track input (single track) or the shared asplit
+        filterGraph.push(trackInputs[fIdx] + trackFilters.slice(1).join(',') + '[' + graphTrack.label + ']');
+    }
+    var filterComplex = filterGraph.join(';');
+
+    args.jobLog('Audio filter graph: ' + filterComplex);
+
     // Build ffmpeg command
     var spawnArgs = [
         '-y',
         '-i', inputFile,
-        '-filter_complex', '[0:a:' + targetAudioIndex + ']' + audioFilter + '[stereo]',
+        '-filter_complex', filterComplex,
         '-map', '0:v?',
-        '-map', '0:a',
-        '-map', '[stereo]',
+        '-map', '0:a'
+    ];
+    for (var mapIdx = 0; mapIdx < newTracks.length; mapIdx++) {
+        spawnArgs.push('-map', '[' + newTracks[mapIdx].label + ']');
+    }
+    spawnArgs.push(
         '-map', '0:s?',
         '-map', '0:t?',
         '-c:v', 'copy',
         '-c:a', 'copy',
         '-c:s', 'copy',
-        '-c:t', 'copy',
-        '-c:a:' + newStereoIndex, encoder,
-        '-b:a:' + newStereoIndex, bitrate + 'k',
-        '-ac:a:' + newStereoIndex, '2',
-        '-disposition:a:' + newStereoIndex, '0',
-        '-metadata:s:a:' + newStereoIndex, 'title=' + trackTitle,
-        tempFile
-    ];
+        '-c:t', 'copy'
+    );
+
+    // New tracks follow the original audio streams
+    for (var newIdx = 0; newIdx < newTracks.length; newIdx++) {
+        var outIndex = audioStreamCount + newIdx;
+        args.jobLog('New track "' + newTracks[newIdx].title + '" will be audio stream index: ' + outIndex);
+        spawnArgs.push(
+            '-c:a:' + outIndex, encoder,
+            '-b:a:' + outIndex, bitrate + 'k',
+            '-ac:a:' + outIndex, '2',
+            '-disposition:a:' + outIndex, '0',
+            '-metadata:s:a:' + outIndex, 'title=' + newTracks[newIdx].title,
+            '-metadata:s:a:' + outIndex, audioPrepUtils_1.DOWNMIX_TAG + '=' + newTracks[newIdx].label
+        );
+    }
+    spawnArgs.push(tempFile);
+
+    if (planOnly) {
+        var planAudio = [];
+        var planPos = 0;
+        for (var planIdx = 0; planIdx < streams.length; planIdx++) {
+            var planStream = streams[planIdx];
+            if (planStream.codec_type !== 'audio') continue;
+            planAudio.push({
+                position: planPos,
+                source: '0:a:' + planPos,
+                action: 'copy',
+                codec: planStream.codec_name || 'unknown',
+                channels: planStream.channels || 0,
+                language: (planStream.tags && planStream.tags.language) || 'und',
+                title: (planStream.tags && planStream.tags.title) || '',
+                disposition: planStream.disposition || {},
+                filter: '',
+            });
+            planPos++;
+        }
+        for (var planNewIdx = 0; planNewIdx < newTracks.length; planNewIdx++) {
+            planAudio.push({
+                position: audioStreamCount + planNewIdx,
+                source: '0:a:' + targetAudioIndex,
+                action: 'create',
+                codec: encoder,
+                bitrate: bitrate + 'k',
+                channels: 2,
+                language: 'und',
+                title: newTracks[planNewIdx].title,
+                disposition: {},
+                filter: newTracks[planNewIdx].filters.join(','),
+            });
+        }
+        audioPrepUtils_1.recordPlan(args, {
+            plugin: 'createStereoDownmix',
+            file: inputFile,
+            loudnorm: normalize ? (twoPassLoudnorm ? 'two-pass (measured at run time)' : 'dynamic') : 'off',
+            audio: planAudio,
+            filterComplex: filterComplex,
+            ffmpegArgs: [ffmpegCli].concat(spawnArgs),
+        });
+        downmixResult.status = 'planned';
+        return cleanup(3);
+    }
 
     args.jobLog('Executing: ' + ffmpegCli + ' [' + spawnArgs.length + ' args]');
     args.jobLog('Input: ' + path.basename(inputFile));
     args.jobLog('Timeout: ' + (timeoutMs / 60000) + ' minutes');
 
-    // Execute ffmpeg with timeout
+    // Run ffmpeg with progress reporting; spawn's timeout option kills it if it overruns
     var startTime = Date.now();
-    var result = spawn(ffmpegCli, spawnArgs, {
-        encoding: 'utf8',
-        maxBuffer: 50 * 1024 * 1024,
-        timeout: timeoutMs
+    var cli = new cliUtils_1.CLI({
+        cli: ffmpegCli,
+        spawnArgs: spawnArgs,
+        spawnOpts: { timeout: timeoutMs, signal: cancelController.signal },
+        jobLog: args.jobLog,
+        outputFilePath: tempFile,
+        inputFileObj: args.inputFileObj,
+        logFullCliOutput: args.logFullCliOutput,
+        updateWorker: args.updateWorker,
+        args: args,
     });
 
-    var elapsed = Math.round((Date.now() - startTime) / 1000);
-    args.jobLog('FFmpeg completed in ' + elapsed + ' seconds');
+    var cliResult = await cli.runCli();
+
+    var elapsedMs = Date.now() - startTime;
+    args.jobLog('FFmpeg finished in ' + Math.round(elapsedMs / 1000) + ' seconds');
 
-    if (result.status !== 0) {
-        var errorOutput = (result.stderr || '').slice(-5000);
-        args.jobLog('FFmpeg error (exit code ' + result.status + '):');
-        args.jobLog(errorOutput);
-        if (result.error) {
-            args.jobLog('Spawn error: ' + result.error.message);
+    if (cancelled) {
+        throw fail('Job cancelled');
+    }
+    if (cliResult.cliExitCode !== 0) {
+        args.jobLog('FFmpeg error output:');
+        args.jobLog((cliResult.errorLogFull || []).join('').slice(-5000));
+        if (elapsedMs >= timeoutMs) {
+            throw fail('FFmpeg timed out after ' + (timeoutMs / 60000) + ' minutes');
+        }
+        throw fail('FFmpeg failed with exit code ' + cliResult.cliExitCode);
+    }
+
+    // Second pass reports what linear loudnorm actually achieved
+    if (normalize) {
+        var achievedReports = twoPassLoudnorm ? audioPrepUtils_1.parseLoudnormReports((cliResult.errorLogFull || []).join('')) : [];
+        for (var lIdx = 0; lIdx < newTracks.length; lIdx++) {
+            var loudTrack = newTracks[lIdx];
+            var loudnessResult = {
+                mode: loudTrack.measured ? 'two-pass' : 'dynamic',
+                target: loudnormTarget,
+                measured: loudTrack.measured || null,
+                achieved: null,
+            };
+            if (loudTrack.measured) {
+                loudnessResult.achieved = audioPrepUtils_1.getAchievedLoudness(achievedReports[lIdx]);
+                if (loudnessResult.achieved) {
+                    args.jobLog('Achieved "' + loudTrack.title + '": ' + audioPrepUtils_1.formatLoudness(loudnessResult.achieved) +
+                        ' (' + loudnessResult.achieved.normalizationType + ' normalization)');
+                } else {
+                    args.jobLog('WARNING: Could not read achieved loudness for "' + loudTrack.title + '" from ffmpeg output');
+                }
+            }
+            audioPrepUtils_1.setAudioPrepVariable(args, loudTrack.variable, loudnessResult);
+            loudTrack.loudness = loudnessResult;
         }
-        return cleanup(2);
     }
 
     // Verify output file exists and has reasonable size
@@ -592,8 +876,7 @@ var plugin = function (args) {
         inputStats = fs.statSync(inputFile);
         outputStats = fs.statSync(tempFile);
     } catch (e) {
-        args.jobLog('ERROR: Could not stat files: ' + e.message);
-        return cleanup(2);
+        throw fail('Could not stat files: ' + e.message);
     }
 
     // Adaptive minimum size validation
@@ -607,7 +890,7 @@ var plugin = function (args) {
     if (duration > 0) {
         // Estimate: duration (sec) * bitrate (kbps) / 8 * 1024 = bytes
         // Use 50% of expected size as minimum to account for VBR/silence
-        var expectedBytes = (duration * bitrate * 1024) / 8;
+        var expectedBytes = (duration * bitrate * newTracks.length * 1024) / 8;
         minOutputSize = Math.max(1 * 1024 * 1024, expectedBytes * 0.5); // At least 1MB
     } else {
         // Fallback: at least 1MB or 5% of input (lowered from 10MB/10%)
@@ -615,10 +898,9 @@ var plugin = function (args) {
     }
 
     if (outputStats.size < minOutputSize) {
-        args.jobLog('ERROR: Output too small (' +
+        throw fail('Output too small (' +
             Math.round(outputStats.size / 1024 / 1024) + 'MB vs min ' +
             Math.round(minOutputSize / 1024 / 1024) + 'MB)');
-        return cleanup(2);
     }
 
     args.jobLog('Output size: ' + Math.round(outputStats.size / 1024 / 1024) +
@@ -637,125 +919,114 @@ var plugin = function (args) {
     // Find first existing ffprobe
     for (var p = 0; p < ffprobePaths.length; p++) {
         if (ffprobePaths[p]) {
-            try {
-                var testResult = spawn(ffprobePaths[p], ['-version'], { encoding: 'utf8', timeout: 5000 });
-                if (testResult.status === 0) {
-                    ffprobeCli = ffprobePaths[p];
-                    break;
-                }
-            } catch (e) {
-                // Try next path
+            var testResult = await audioPrepUtils_1.runCapture(ffprobePaths[p], ['-version'], 5000, cancelController.signal);
+            if (testResult.status === 0) {
+                ffprobeCli = ffprobePaths[p];
+                break;
             }
         }
     }
 
     if (!ffprobeCli) {
-        args.jobLog('ERROR: Could not find working ffprobe');
-        return cleanup(2);
+        throw fail('Could not find working ffprobe');
     }
 
     var verifyArgs = ['-v', 'quiet', '-print_format', 'json', '-show_streams', '-select_streams', 'a', tempFile];
-    var verifyResult = spawn(ffprobeCli, verifyArgs, { encoding: 'utf8', timeout: 60000 });
+    var verifyResult = await audioPrepUtils_1.runCapture(ffprobeCli, verifyArgs, 60000, cancelController.signal);
+    if (cancelled) {
+        throw fail('Job cancelled');
+    }
 
     if (verifyResult.status !== 0) {
-        args.jobLog('ERROR: ffprobe verification failed (exit ' + verifyResult.status + ')');
         args.jobLog('Tried: ' + ffprobeCli);
         if (verifyResult.stderr) {
             args.jobLog('stderr: ' + verifyResult.stderr.slice(0, 500));
         }
-        return cleanup(2);
+        throw fail('ffprobe verification failed (exit ' + verifyResult.status + ')');
     }
 
     var verificationPassed = false;
     try {
         var probeData = JSON.parse(verifyResult.stdout);
         var audioStreams = probeData.streams || [];
-        var lastAudio = audioStreams[audioStreams.length - 1];
+        var newAudio = audioStreams.slice(audioStreamCount);
 
-        if (lastAudio && lastAudio.channels === 2) {
-            // All AAC encoders produce codec_name === 'aac'
-            if (lastAudio.codec_name === 'aac') {
-                args.jobLog('Verified: Last audio is AAC stereo');
-                verificationPassed = true;
-            } else {
-                args.jobLog('ERROR: Last audio codec is ' + lastAudio.codec_name + ', expected aac');
-            }
+        if (newAudio.length !== newTracks.length) {
+            args.jobLog('ERROR: Expected ' + newTracks.length + ' new audio stream(s), found ' + newAudio.length);
         } else {
-            args.jobLog('ERROR: Last audio is not stereo (channels: ' +
-                (lastAudio ? lastAudio.channels : 'none') + ')');
+            verificationPassed = true;
+            for (var vIdx = 0; vIdx < newAudio.length; vIdx++) {
+                // All AAC encoders produce codec_name === 'aac'
+                if (newAudio[vIdx].channels !== 2) {
+                    args.jobLog('ERROR: New audio ' + vIdx + ' is not stereo (channels: ' + newAudio[vIdx].channels + ')');
+                    verificationPassed = false;
+                } else if (newAudio[vIdx].codec_name !== 'aac') {
+                    args.jobLog('ERROR: New audio ' + vIdx + ' codec is ' + newAudio[vIdx].codec_name + ', expected aac');
+                    verificationPassed = false;
+                }
+            }
+            if (verificationPassed) {
+                args.jobLog('Verified: ' + newAudio.length + ' new AAC stereo track(s)');
+            }
         }
     } catch (e) {
         args.jobLog('ERROR: Could not parse ffprobe output: ' + e.message);
     }
 
     if (!verificationPassed) {
-        return cleanup(2);
+        throw fail('New downmix tracks failed verification');
     }
 
-    args.jobLog('Performing file replacement...');
-
-    // File replacement strategy:
-    // 1. Rename original to backup (fast, atomic on same FS)
-    // 2. Rename temp to original location (fast if same FS, copy+delete if cross-FS)
-    // 3. Delete backup on success
-    // 4. Restore backup on failure
-
-    try {
-        // Step 1: Move original to backup
-        fs.renameSync(inputFile, backupFile);
-        args.jobLog('Created backup');
-        filesToCleanup.push(backupFile); // Track for cleanup on error
-
-        try {
-            // Step 2: Move temp to original location
-            // Try rename first (works if same filesystem)
-            try {
-                fs.renameSync(tempFile, inputFile);
-                args.jobLog('Moved temp to original location (same filesystem)');
-            } catch (renameErr) {
-                // Cross-filesystem, need to copy then delete
-                args.jobLog('Cross-filesystem move, copying...');
-                fs.copyFileSync(tempFile, inputFile);
-                fs.unlinkSync(tempFile);
-                args.jobLog('Copied and cleaned up temp file');
-            }
-
-            // Step 3: Success - remove backup
-            safeUnlink(fs, backupFile);
-            // Remove from cleanup list since we handled it
-            var backupIdx = filesToCleanup.indexOf(backupFile);
-            if (backupIdx !== -1) filesToCleanup.splice(backupIdx, 1);
-
-            args.jobLog('File replaced successfully');
-
-        } catch (moveErr) {
-            // Step 2 failed - restore backup
-            args.jobLog('ERROR during move: ' + moveErr.message);
-            args.jobLog('Restoring from backup...');
-            try {
-                safeUnlink(fs, inputFile); // Remove partial if exists
-                fs.renameSync(backupFile, inputFile);
-                args.jobLog('Restored original from backup');
-                // Remove backup from cleanup list since we restored it
-                var idx = filesToCleanup.indexOf(backupFile);
-                if (idx !== -1) filesToCleanup.splice(idx, 1);
-            } catch (restoreErr) {
-                args.jobLog('CRITICAL: Restore failed: ' + restoreErr.message);
-                args.jobLog('Backup location: ' + backupFile);
-                // Don't remove from cleanup - leave backup file alone
-                var bIdx = filesToCleanup.indexOf(backupFile);
-                if (bIdx !== -1) filesToCleanup.splice(bIdx, 1);
+    if (decodeCheck) {
+        var referenceDuration = audioPrepUtils_1.getReferenceDuration(args.inputFileObj.ffProbeData);
+        var decodeProblems = [];
+        downmixResult.decodeCheck = [];
+        for (var dcIdx = 0; dcIdx < newTracks.length; dcIdx++) {
+            args.jobLog('Decode check: "' + newTracks[dcIdx].title + '" (audio ' + (audioStreamCount + dcIdx) + ')');
+            var decoded = await audioPrepUtils_1.checkDecodedTrack(ffmpegCli, tempFile, audioStreamCount + dcIdx, referenceDuration,
+                maxSilenceSeconds, timeoutMs, cancelController.signal);
+            if (cancelled) {
+                throw fail('Job cancelled');
             }
-            return cleanup(2);
+            downmixResult.decodeCheck.push(decoded);
+            args.jobLog('  Decoded ' + decoded.decodedDuration.toFixed(1) + 's' +
+                (referenceDuration ? ' of ' + referenceDuration.toFixed(1) + 's' : '') +
+                ', longest silence ' + Math.round(decoded.longestSilence) + 's, ' + decoded.errors.length + ' error(s)');
+            decoded.problems.forEach(function(problem) {
+                decodeProblems.push('"' + newTracks[dcIdx].title + '": ' + problem);
+            });
         }
+        if (decodeProblems.length > 0) {
+            throw fail('Decode check failed: ' + decodeProblems.join('; '));
+        }
+        args.jobLog('Decode check passed');
+    }
 
-    } catch (backupErr) {
-        args.jobLog('ERROR creating backup: ' + backupErr.message);
-        return cleanup(2);
+    args.jobLog('Performing file replacement...');
+    try {
+        await audioPrepUtils_1.replaceFile(inputFile, tempFile, stagingFile, backupFile, heldLock,
+            cancelController.signal, args.jobLog);
+    } catch (e) {
+        throw fail(e.message);
     }
 
-    releaseLock(fs, lockFile);
-    args.jobLog('SUCCESS: Stereo downmix track added');
+    stopCancelWatch();
+    audioPrepUtils_1.releaseLock(heldLock);
+    heldLock = null;
+    downmixResult.status = 'processed';
+    downmixResult.created = newTracks.map(function(t, createdIdx) {
+        return {
+            type: t.label,
+            title: t.title,
+            audioIndex: audioStreamCount + createdIdx,
+            codec: encoder,
+            bitrate: bitrate,
+            loudness: t.loudness || null,
+        };
+    });
+    downmixResult.stereoCreated = newTracks.some(function(t) { return t.label === 'stereo'; });
+    downmixResult.nightCreated = newTracks.some(function(t) { return t.label === 'night'; });
+    args.jobLog('SUCCESS: ' + (newTracks.length === 1 ? 'Downmix track' : newTracks.length + ' downmix tracks') + ' added');
 
     return {
         outputFileObj: Object.assign({}, args.inputFileObj, { _id: inputFile }),
@@ -2,21 +2,49 @@
 /**
  * Normalize Audio Titles
  *
- * Normalizes all audio track titles to a consistent format:
- * {Language} {Descriptor} - {Codec} - {Channels}
+ * Normalizes all audio track titles to a consistent format, rendered from a
+ * title template (default: {lang}[ {original}][ {descriptor}] - {codec} - {channels})
  *
- * Examples:
+ * Examples with the default template:
  * - English Original - DTS-HD MA - 7.1
  * - English - DD+ - 5.1
  * - English - AAC - Stereo
  * - French Commentary - DD - 5.1
+ *
+ * "Original" only goes to the main track of the film's original language, taken
+ * from the override input, an original disposition, a .nfo sidecar or the first track.
+ * The main track is picked exactly as Process Audio Complete picks it: the track with
+ * the original disposition, else the first by codec priority, channels, bitrate and
+ * the default flag, wherever it sits.
+ *
+ * Descriptors come from ffprobe dispositions (comment, visual_impaired,
+ * hearing_impaired, dub, original) as well as title keywords. Dispositions that
+ * were only found in the title are written back so players can filter on them.
+ *
+ * The resulting track list (titles, languages, what changed) is kept in
+ * args.variables.audioPrep.normalizeAudioTitles.
+ *
+ * The remux runs asynchronously through cliUtils.CLI (progress in the Tdarr UI)
+ * and is killed if it takes longer than 10 minutes. Cancelling the job kills it
+ * (or stops the copy into place) and removes the temp and staging files; the
+ * original is only swapped out once the new file sits complete next to it.
+ *
+ * The file is locked while it is rewritten, using the same lock as Create Stereo
+ * Downmix: in the work directory, next to the media or in a shared directory, so
+ * nodes sharing a library don't rewrite the same file at once.
+ *
+ * Outputs: 1 = titles rewritten, 2 = nothing to do, 3 = plan only. Real errors
+ * (missing probe data, ffmpeg failure, file replacement) throw, so the flow's
+ * error output fires instead of a success branch.
  */
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.plugin = exports.details = void 0;
+var cliUtils_1 = require("../../../../FlowHelpers/1.0.0/cliUtils");
+var audioPrepUtils_1 = require("../../../../LocalFlowHelpers/1.0.0/audioPrepUtils");
 
 var details = function () { return ({
     name: 'Normalize Audio Titles',
-    description: 'Normalizes all audio track titles to format: {Language} {Descriptor} - {Codec} - {Channels}. First track per language marked as Original. Fixes missing language tags.',
+    description: 'Normalizes all audio track titles from a template (default: {lang}[ {original}][ {descriptor}] - {codec} - {channels}, e.g. English Original - DTS-HD MA - 7.1). Only the main track of the original language is marked Original. Writes back role dispositions found in titles and fixes missing language tags.',
     style: {
         borderColor: '#9b59b6',
     },
@@ -38,244 +66,86 @@ var details = function () { return ({
             },
             tooltip: 'Fallback language if no track has a language tag',
         },
+        {
+            label: 'Original Language Override',
+            name: 'originalLanguage',
+            type: 'string',
+            defaultValue: '',
+            inputUI: { type: 'text' },
+            tooltip: 'Language code of the original version (e.g. eng, jpn). Leave empty to detect it from an original disposition, a .nfo sidecar (<originallanguage>/<language>) or the first audio track',
+        },
+        {
+            label: 'Title Template',
+            name: 'titleTemplate',
+            type: 'string',
+            defaultValue: '{lang}[ {original}][ {descriptor}] - {codec} - {channels}',
+            inputUI: { type: 'text' },
+            tooltip: 'Tokens: {lang} {lang_native} {iso} {codec} {channels} {layout} {bitrate} {descriptor} {original} {samplerate}. Text inside [ ] is dropped when a token in it is empty. Use the same template in Process Audio Complete so titles stay stable',
+        },
+        {
+            label: 'Codec Priority',
+            name: 'codecs',
+            type: 'string',
+            defaultValue: 'eac3,dts,aac',
+            inputUI: { type: 'text' },
+            tooltip: 'Comma-separated codec names in priority order, used to pick the Original track when the original language has several. Use the same list as Process Audio Complete so both mark the same track',
+        },
+        {
+            label: 'Lock Location',
+            name: 'lockLocation',
+            type: 'string',
+            defaultValue: 'work-dir',
+            inputUI: {
+                type: 'dropdown',
+                options: ['work-dir', 'media-dir', 'shared-dir'],
+            },
+            tooltip: 'Where the per-file lock is kept. work-dir: node-local, only guards against this node. media-dir: hidden .<file>.audioprep.lock next to the media, seen by every node sharing the library. shared-dir: in the Shared Lock Directory below',
+        },
+        {
+            label: 'Shared Lock Directory',
+            name: 'sharedLockDirectory',
+            type: 'string',
+            defaultValue: '',
+            inputUI: {
+                type: 'text',
+            },
+            tooltip: 'Directory every node can write to (e.g. on the NAS). Only used with the shared-dir lock location. Locks are named after the file name, so nodes that mount the library at different paths still agree',
+        },
+        {
+            label: 'Plan Only',
+            name: 'planOnly',
+            type: 'boolean',
+            defaultValue: false,
+            inputUI: {
+                type: 'switch',
+            },
+            tooltip: 'Work out the new titles, languages, dispositions and the exact ffmpeg command, log them and store them in audioPrep.plans.normalizeAudioTitles without remuxing. Routes to output 3',
+        },
     ],
     outputs: [
         {
             number: 1,
-            tooltip: 'Titles normalized successfully',
+            tooltip: 'Titles normalized (file remuxed)',
         },
         {
             number: 2,
-            tooltip: 'Error or no audio streams',
+            tooltip: 'Not needed: titles already correct or no audio streams. Errors go to the error output',
+        },
+        {
+            number: 3,
+            tooltip: 'Plan only: title changes planned but not applied',
         },
     ],
 }); };
 exports.details = details;
 
-// Language code to display name mapping
-var LANGUAGE_MAP = {
-    'eng': 'English',
-    'en': 'English',
-    'fre': 'French',
-    'fra': 'French',
-    'fr': 'French',
-    'spa': 'Spanish',
-    'es': 'Spanish',
-    'ger': 'German',
-    'deu': 'German',
-    'de': 'German',
-    'ita': 'Italian',
-    'it': 'Italian',
-    'jpn': 'Japanese',
-    'ja': 'Japanese',
-    'por': 'Portuguese',
-    'pt': 'Portuguese',
-    'rus': 'Russian',
-    'ru': 'Russian',
-    'chi': 'Chinese',
-    'zho': 'Chinese',
-    'zh': 'Chinese',
-    'kor': 'Korean',
-    'ko': 'Korean',
-    'ara': 'Arabic',
-    'ar': 'Arabic',
-    'hin': 'Hindi',
-    'hi': 'Hindi',
-    'pol': 'Polish',
-    'pl': 'Polish',
-    'dut': 'Dutch',
-    'nld': 'Dutch',
-    'nl': 'Dutch',
-    'swe': 'Swedish',
-    'sv': 'Swedish',
-    'nor': 'Norwegian',
-    'no': 'Norwegian',
-    'dan': 'Danish',
-    'da': 'Danish',
-    'fin': 'Finnish',
-    'fi': 'Finnish',
-    'tha': 'Thai',
-    'th': 'Thai',
-    'vie': 'Vietnamese',
-    'vi': 'Vietnamese',
-    'tur': 'Turkish',
-    'tr': 'Turkish',
-    'heb': 'Hebrew',
-    'he': 'Hebrew',
-    'ind': 'Indonesian',
-    'id': 'Indonesian',
-    'may': 'Malay',
-    'msa': 'Malay',
-    'ms': 'Malay',
-    'hun': 'Hungarian',
-    'hu': 'Hungarian',
-    'cze': 'Czech',
-    'ces': 'Czech',
-    'cs': 'Czech',
-    'gre': 'Greek',
-    'ell': 'Greek',
-    'el': 'Greek',
-    'ron': 'Romanian',
-    'rum': 'Romanian',
-    'ro': 'Romanian',
-    'ukr': 'Ukrainian',
-    'uk': 'Ukrainian'
-};
-
-// Get display name for language code
-function getLanguageName(code, defaultLang) {
-    if (!code || code === 'und' || code === 'unk') {
-        return LANGUAGE_MAP[defaultLang] || 'Unknown';
-    }
-    var lower = code.toLowerCase();
-    return LANGUAGE_MAP[lower] || code.charAt(0).toUpperCase() + code.slice(1).toLowerCase();
-}
-
-// Get codec display name
-function getCodecDisplayName(codecName, profile) {
-    var codec = (codecName || '').toLowerCase();
-    var prof = (profile || '').toLowerCase();
-
-    // EAC3 / E-AC-3 -> DD+
-    if (codec === 'eac3') {
-        // Check for Atmos (JOC profile)
-        if (prof.indexOf('joc') !== -1 || prof.indexOf('atmos') !== -1) {
-            return 'DD+ Atmos';
-        }
-        return 'DD+';
-    }
-
-    // AC3 -> DD
-    if (codec === 'ac3') {
-        return 'DD';
-    }
-
-    // DTS variants
-    if (codec === 'dts' || codec === 'dca') {
-        if (prof.indexOf('ma') !== -1 || prof.indexOf('master') !== -1) {
-            return 'DTS-HD MA';
-        }
-        if (prof.indexOf('hra') !== -1 || prof.indexOf('high res') !== -1) {
-            return 'DTS-HD HRA';
-        }
-        if (prof.indexOf('x') !== -1 && prof.indexOf('express') === -1) {
-            return 'DTS:X';
-        }
-        if (prof.indexOf('es') !== -1) {
-            return 'DTS-ES';
-        }
-        return 'DTS';
-    }
-
-    // TrueHD
-    if (codec === 'truehd') {
-        if (prof.indexOf('atmos') !== -1) {
-            return 'TrueHD Atmos';
-        }
-        return 'TrueHD';
-    }
-
-    // AAC
-    if (codec === 'aac') {
-        return 'AAC';
-    }
-
-    // FLAC
-    if (codec === 'flac') {
-        return 'FLAC';
-    }
-
-    // Opus
-    if (codec === 'opus') {
-        return 'Opus';
-    }
-
-    // MP3
-    if (codec === 'mp3') {
-        return 'MP3';
-    }
-
-    // PCM variants
-    if (codec.indexOf('pcm') !== -1) {
-        return 'PCM';
-    }
-
-    // Vorbis
-    if (codec === 'vorbis') {
-        return 'Vorbis';
-    }
-
-    // WMA
-    if (codec.indexOf('wma') !== -1) {
-        return 'WMA';
-    }
-
-    // Fallback - capitalize first letter
-    return codec.toUpperCase();
-}
-
-// Get channel format display
-function getChannelDisplay(channels, profile, channelLayout) {
-    var prof = (profile || '').toLowerCase();
-    var layout = (channelLayout || '').toLowerCase();
+// A stream-copy remux is fast; anything longer than this is treated as hung
+var REMUX_TIMEOUT_MS = 10 * 60 * 1000;
 
-    // Check for Atmos in profile (already handled in codec, but also affects channel display)
-    if (prof.indexOf('joc') !== -1 || prof.indexOf('atmos') !== -1) {
-        return 'Atmos';
-    }
-
-    // Check layout for Atmos indicators
-    if (layout.indexOf('atmos') !== -1) {
-        return 'Atmos';
-    }
-
-    // Standard channel counts
-    if (channels === 8) return '7.1';
-    if (channels === 7) return '6.1';
-    if (channels === 6) return '5.1';
-    if (channels === 5) return '5.0';
-    if (channels === 4) return '4.0';
-    if (channels === 3) return '3.0';
-    if (channels === 2) return 'Stereo';
-    if (channels === 1) return 'Mono';
-
-    // For unusual channel counts (like Atmos with many channels)
-    if (channels > 8) return channels + 'ch';
-
-    return channels + 'ch';
-}
-
-// Detect descriptor from existing title
-function detectDescriptor(existingTitle) {
-    if (!existingTitle) return '';
-    var lower = existingTitle.toLowerCase();
-
-    if (lower.indexOf('commentary') !== -1) {
-        return 'Commentary';
-    }
-    if (lower.indexOf('descriptive') !== -1 || lower.indexOf('described') !== -1 ||
-        lower.indexOf('audio description') !== -1 || lower === 'ad') {
-        return 'Descriptive';
-    }
-    if (lower.indexOf('director') !== -1) {
-        return 'Directors Commentary';
-    }
-
-    return '';
-}
-
-// Check if language code is valid (not undefined/unknown)
-function isValidLanguage(code) {
-    if (!code) return false;
-    var lower = code.toLowerCase();
-    return lower !== 'und' && lower !== 'unk' && lower !== '';
-}
-
-var plugin = function (args) {
+var plugin = async function (args) {
     var fs = require('fs');
     var path = require('path');
     var crypto = require('crypto');
-    var spawn = require('child_process').spawnSync;
 
     var lib = require('../../../../../methods/lib')();
 
@@ -283,28 +153,51 @@ var plugin = function (args) {
     try {
         args.inputs = lib.loadDefaultValues(args.inputs, details);
     } catch (e) {
-        args.jobLog('ERROR: Failed to load default values: ' + e.message);
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw new Error('Failed to load default values: ' + e.message);
     }
 
     var defaultLanguage = args.inputs.defaultLanguage || 'eng';
+    var titleTemplate = String(args.inputs.titleTemplate || audioPrepUtils_1.DEFAULT_TITLE_TEMPLATE);
+    var planOnly = args.inputs.planOnly === true || args.inputs.planOnly === 'true';
+    var lockLocation = String(args.inputs.lockLocation || 'work-dir');
+    var sharedLockDir = String(args.inputs.sharedLockDirectory || '').trim();
+
+    // Published up front and filled in as we go, so every exit leaves a status behind
+    var titlesResult = {
+        status: 'error',
+        reason: '',
+        originalLanguage: '',
+        changed: 0,
+        tracks: [],
+        trackTitles: '',
+    };
+    audioPrepUtils_1.setAudioPrepVariable(args, 'normalizeAudioTitles', titlesResult);
+
+    // Real errors throw so the flow's error output (failFlow / requireReview) fires
+    var stopCancelWatch = function() {};
+    var heldLock = null;
+    var fail = function(message) {
+        stopCancelWatch();
+        audioPrepUtils_1.releaseLock(heldLock);
+        heldLock = null;
+        titlesResult.status = 'error';
+        titlesResult.reason = message;
+        return new Error(message);
+    };
 
     var inputFile = args.inputFileObj._id || args.inputFileObj.file;
     if (!inputFile) {
-        args.jobLog('ERROR: Could not determine input file path');
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('Could not determine input file path');
     }
 
     // Validate ffProbeData exists
     if (!args.inputFileObj.ffProbeData || !args.inputFileObj.ffProbeData.streams) {
-        args.jobLog('ERROR: No ffprobe data available');
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('No ffprobe data available');
     }
 
     var streams = args.inputFileObj.ffProbeData.streams;
     if (!Array.isArray(streams)) {
-        args.jobLog('ERROR: ffprobe streams is not an array');
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('ffprobe streams is not an array');
     }
 
     // First pass: find first audio track with valid language
@@ -313,7 +206,7 @@ var plugin = function (args) {
         var stream = streams[i];
         if (stream.codec_type === 'audio') {
             var lang = stream.tags && stream.tags.language;
-            if (isValidLanguage(lang)) {
+            if (audioPrepUtils_1.isValidLanguage(lang)) {
                 inheritedLanguage = lang;
                 args.jobLog('Inherited language from first track: ' + lang);
                 break;
@@ -321,9 +214,40 @@ var plugin = function (args) {
         }
     }
 
+    // Work out the original language; only its main track is marked "Original"
+    var audioTracks = streams.filter(function(st) { return st.codec_type === 'audio'; }).map(function(st) {
+        return { language: st.tags && st.tags.language, disposition: st.disposition };
+    });
+    var originalLanguage = audioPrepUtils_1.detectOriginalLanguage(inputFile, args.inputs.originalLanguage, audioTracks, defaultLanguage);
+    args.jobLog('Original language: ' + originalLanguage.language + ' (from ' + originalLanguage.source + ')');
+    audioPrepUtils_1.setAudioPrepVariable(args, 'originalLanguage', originalLanguage);
+    titlesResult.originalLanguage = originalLanguage.language;
+
+    // Work out which track of that language is its main track
+    var originalCandidates = [];
+    streams.forEach(function(st, streamIndex) {
+        if (st.codec_type !== 'audio') return;
+        var candidateLang = st.tags && st.tags.language;
+        if (audioPrepUtils_1.normalizeLangCode(audioPrepUtils_1.isValidLanguage(candidateLang) ? candidateLang : inheritedLanguage) !== originalLanguage.language) return;
+        var candidateRole = audioPrepUtils_1.detectTrackRole(st.tags && st.tags.title, st.disposition);
+        originalCandidates.push({
+            index: streamIndex,
+            codec: st.codec_name,
+            channels: st.channels || 0,
+            // mkv stores bitrate in the statistics tags rather than bit_rate
+            bitrate: parseInt(st.bit_rate || (st.tags && (st.tags.BPS || st.tags['BPS-eng'])), 10) || 0,
+            isDefault: !!(st.disposition && st.disposition.default === 1),
+            isFlagged: candidateRole.flags.original,
+            descriptor: candidateRole.descriptor || (audioPrepUtils_1.getDownmixType(st) === 'night' ? 'Night Mode' : ''),
+        });
+    });
+    var codecPriority = (args.inputs.codecs || 'eac3,dts,aac').split(',').map(function(s) {
+        return audioPrepUtils_1.normalizeCodecForSort(s.trim());
+    });
+    var originalStreamIndex = audioPrepUtils_1.selectOriginalTrack(originalCandidates, codecPriority);
+
     // Second pass: build metadata for each audio stream
     var audioMetadata = [];
-    var seenLanguages = {}; // Track first occurrence per language for "Original" marker
     var audioIndex = 0;
 
     for (var j = 0; j < streams.length; j++) {
@@ -332,83 +256,79 @@ var plugin = function (args) {
 
         // Get language (use stream tag or inherit)
         var streamLang = audioStream.tags && audioStream.tags.language;
-        var effectiveLang = isValidLanguage(streamLang) ? streamLang : inheritedLanguage;
-        var langCode = effectiveLang.toLowerCase();
-
-        // Normalize language code for grouping (handle variants)
-        var langKey = langCode;
-        if (langCode === 'fra') langKey = 'fre';
-        if (langCode === 'deu') langKey = 'ger';
-        if (langCode === 'zho') langKey = 'chi';
-        if (langCode === 'ces') langKey = 'cze';
-        if (langCode === 'nld') langKey = 'dut';
-        if (langCode === 'ell') langKey = 'gre';
-        if (langCode === 'msa') langKey = 'may';
-        if (langCode === 'ron') langKey = 'rum';
-
-        // Determine if this is the "Original" track (first of this language)
-        var isOriginal = !seenLanguages[langKey];
-        seenLanguages[langKey] = true;
-
-        // Get existing title for descriptor detection
-        var existingTitle = audioStream.tags && audioStream.tags.title;
-        var descriptor = detectDescriptor(existingTitle);
+        var effectiveLang = audioPrepUtils_1.isValidLanguage(streamLang) ? streamLang : inheritedLanguage;
 
-        // If has descriptor like Commentary, don't mark as Original
-        if (descriptor) {
-            isOriginal = false;
-        }
+        // Get existing title and dispositions for descriptor detection
+        var existingTitle = audioStream.tags && audioStream.tags.title;
+        var role = audioPrepUtils_1.detectTrackRole(existingTitle, audioStream.disposition);
+        // A night mode downmix is known by its tag, whatever it is titled
+        var descriptor = role.descriptor || (audioPrepUtils_1.getDownmixType(audioStream) === 'night' ? 'Night Mode' : '');
 
-        // Build components
-        var languageName = getLanguageName(effectiveLang, defaultLanguage);
-        var codecName = getCodecDisplayName(audioStream.codec_name, audioStream.profile);
-        var channelDisplay = getChannelDisplay(audioStream.channels, audioStream.profile, audioStream.channel_layout);
-
-        // Handle Atmos - don't duplicate "Atmos" in title
-        // If codec is "DD+ Atmos" or "TrueHD Atmos", channel display shouldn't also say "Atmos"
-        if ((codecName.indexOf('Atmos') !== -1) && channelDisplay === 'Atmos') {
-            // Use the channel count instead
-            if (audioStream.channels === 8) channelDisplay = '7.1';
-            else if (audioStream.channels === 6) channelDisplay = '5.1';
-            else channelDisplay = audioStream.channels + 'ch';
-        }
+        // "Original" goes to one track only, picked above. Descriptor tracks like Commentary never get it.
+        var isOriginal = j === originalStreamIndex;
 
         // Build title
-        var titleParts = [languageName];
-        if (isOriginal) titleParts.push('Original');
-        if (descriptor) titleParts.push(descriptor);
-
-        var title = titleParts.join(' ') + ' - ' + codecName + ' - ' + channelDisplay;
+        var title = audioPrepUtils_1.renderTitleTemplate(titleTemplate, audioPrepUtils_1.buildTitleTokens({
+            language: effectiveLang,
+            defaultLanguage: defaultLanguage,
+            codec: audioStream.codec_name,
+            profile: audioStream.profile,
+            channels: audioStream.channels,
+            channelLayout: audioStream.channel_layout,
+            // mkv stores bitrate in the statistics tags rather than bit_rate
+            bitrate: audioStream.bit_rate || (audioStream.tags && (audioStream.tags.BPS || audioStream.tags['BPS-eng'])),
+            sampleRate: audioStream.sample_rate,
+            descriptor: descriptor,
+            isOriginal: isOriginal,
+        }));
 
         audioMetadata.push({
             index: audioIndex,
             title: title,
             language: effectiveLang,
-            originalTitle: existingTitle || ''
+            originalTitle: existingTitle || '',
+            codec: audioStream.codec_name || 'unknown',
+            channels: audioStream.channels || 0,
+            currentDisposition: audioStream.disposition || {},
+            // Only rewrite dispositions when the title told us something the flags didn't
+            disposition: role.inferred.length > 0 ?
+                audioPrepUtils_1.buildDispositionValue(audioStream.disposition, role.flags, !!(audioStream.disposition && audioStream.disposition.default === 1)) : null,
         });
 
-        args.jobLog('Audio ' + audioIndex + ': "' + title + '" (was: "' + (existingTitle || 'none') + '")');
+        args.jobLog('Audio ' + audioIndex + ': "' + title + '" (was: "' + (existingTitle || 'none') + '")' +
+            (role.inferred.length > 0 ? ', adding disposition ' + role.inferred.join('+') : ''));
         audioIndex++;
     }
 
     if (audioMetadata.length === 0) {
         args.jobLog('No audio streams found');
+        titlesResult.status = 'not-needed';
+        titlesResult.reason = 'no audio streams';
         return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
     }
 
+    titlesResult.tracks = audioMetadata.map(function(meta) {
+        return {
+            index: meta.index,
+            title: meta.title,
+            previousTitle: meta.originalTitle,
+            language: meta.language,
+            writtenDisposition: meta.disposition,
+        };
+    });
+    titlesResult.trackTitles = audioMetadata.map(function(meta) { return meta.title; }).join(' | ');
+    titlesResult.changed = audioMetadata.filter(function(meta) {
+        return meta.title !== meta.originalTitle || meta.disposition;
+    }).length;
+
     // Check if any titles actually need changing
-    var needsUpdate = false;
-    for (var checkIdx = 0; checkIdx < audioMetadata.length; checkIdx++) {
-        var checkMeta = audioMetadata[checkIdx];
-        if (checkMeta.title !== checkMeta.originalTitle) {
-            needsUpdate = true;
-            break;
-        }
-    }
+    var needsUpdate = titlesResult.changed > 0;
 
     if (!needsUpdate) {
-        args.jobLog('All audio titles are already correct, skipping remux');
-        return { outputFileObj: args.inputFileObj, outputNumber: 1, variables: args.variables };
+        args.jobLog('All audio titles and dispositions are already correct, skipping remux');
+        titlesResult.status = 'not-needed';
+        titlesResult.reason = 'titles and dispositions already correct';
+        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
     }
 
     args.jobLog('Title changes needed, proceeding with remux');
@@ -426,6 +346,8 @@ var plugin = function (args) {
 
     var ext = path.extname(inputFile);
     var tempFile = path.join(workDir, 'normalize_' + uniqueId + ext);
+    var stagingFile = inputFile + '.staging_' + uniqueId;
+    var backupFile = inputFile + '.backup_' + uniqueId;
 
     // Get ffmpeg path
     var ffmpegCli = args.ffmpegPath;
@@ -449,26 +371,116 @@ var plugin = function (args) {
         var meta = audioMetadata[k];
         spawnArgs.push('-metadata:s:a:' + meta.index, 'title=' + meta.title);
         spawnArgs.push('-metadata:s:a:' + meta.index, 'language=' + meta.language);
+        if (meta.disposition) {
+            spawnArgs.push('-disposition:a:' + meta.index, meta.disposition);
+        }
     }
 
     spawnArgs.push(tempFile);
 
+    if (planOnly) {
+        audioPrepUtils_1.recordPlan(args, {
+            plugin: 'normalizeAudioTitles',
+            file: inputFile,
+            audio: audioMetadata.map(function(planMeta) {
+                var planDisposition = planMeta.currentDisposition;
+                if (planMeta.disposition) {
+                    planDisposition = {};
+                    planMeta.disposition.split('+').forEach(function(flag) {
+                        if (flag !== '0') planDisposition[flag] = 1;
+                    });
+                }
+                return {
+                    position: planMeta.index,
+                    source: '0:a:' + planMeta.index,
+                    action: 'copy',
+                    codec: planMeta.codec,
+                    channels: planMeta.channels,
+                    language: planMeta.language,
+                    title: planMeta.title,
+                    previousTitle: planMeta.originalTitle,
+                    disposition: planDisposition,
+                    filter: '',
+                };
+            }),
+            filterComplex: '',
+            ffmpegArgs: [ffmpegCli].concat(spawnArgs),
+        });
+        titlesResult.status = 'planned';
+        return { outputFileObj: args.inputFileObj, outputNumber: 3, variables: args.variables };
+    }
+
     args.jobLog('Executing ffmpeg to update metadata...');
     args.jobLog('Input: ' + path.basename(inputFile));
 
-    var result = spawn(ffmpegCli, spawnArgs, {
-        encoding: 'utf8',
-        maxBuffer: 50 * 1024 * 1024,
-        timeout: 10 * 60 * 1000 // 10 minute timeout for remux
+    var cancelled = false;
+    var cancelController = new AbortController();
+    stopCancelWatch = audioPrepUtils_1.watchForCancel(function(reason) {
+        cancelled = true;
+        args.jobLog('Job cancelled (' + reason + '): stopping ffmpeg and cleaning up');
+        cancelController.abort();
+        try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
+        try { fs.unlinkSync(stagingFile); } catch (e) { /* ignore */ }
+        audioPrepUtils_1.releaseLock(heldLock);
+        heldLock = null;
+    });
+
+    if (['work-dir', 'media-dir', 'shared-dir'].indexOf(lockLocation) === -1) {
+        throw fail('Invalid lock location "' + lockLocation + '"');
+    }
+    if (lockLocation === 'shared-dir') {
+        if (!sharedLockDir) {
+            throw fail('Shared Lock Directory is required for the shared-dir lock location');
+        }
+        try {
+            fs.mkdirSync(sharedLockDir, { recursive: true });
+        } catch (e) {
+            throw fail('Could not create Shared Lock Directory: ' + e.message);
+        }
+    }
+    var lockFile = audioPrepUtils_1.getLockFile(lockLocation, sharedLockDir, workDir, inputFile);
+    args.jobLog('Acquiring lock: ' + lockFile);
+    var lockResult = await audioPrepUtils_1.acquireLock(lockFile, audioPrepUtils_1.getLockOwner(args), 30000, args.jobLog,
+        cancelController.signal);
+    if (lockResult.lock) heldLock = lockResult.lock;
+    if (cancelled) {
+        throw fail('Job cancelled');
+    }
+    if (lockResult.error) {
+        throw fail('Could not create lock ' + lockFile + ': ' + lockResult.error);
+    }
+    if (!heldLock) {
+        throw fail('Could not acquire lock - file is being processed by ' + audioPrepUtils_1.describeLockOwner(lockResult.holder));
+    }
+
+    var startTime = Date.now();
+    var cli = new cliUtils_1.CLI({
+        cli: ffmpegCli,
+        spawnArgs: spawnArgs,
+        spawnOpts: { timeout: REMUX_TIMEOUT_MS, signal: cancelController.signal },
+        jobLog: args.jobLog,
+        outputFilePath: tempFile,
+        inputFileObj: args.inputFileObj,
+        logFullCliOutput: args.logFullCliOutput,
+        updateWorker: args.updateWorker,
+        args: args,
     });
 
-    if (result.status !== 0) {
-        var errorOutput = (result.stderr || '').slice(-3000);
-        args.jobLog('FFmpeg error (exit code ' + result.status + '):');
-        args.jobLog(errorOutput);
+    var cliResult = await cli.runCli();
+
+    if (cancelled) {
+        try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
+        throw fail('Job cancelled');
+    }
+    if (cliResult.cliExitCode !== 0) {
+        args.jobLog('FFmpeg error output:');
+        args.jobLog((cliResult.errorLogFull || []).join('').slice(-3000));
         // Cleanup temp file
         try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        if (Date.now() - startTime >= REMUX_TIMEOUT_MS) {
+            throw fail('FFmpeg timed out after ' + (REMUX_TIMEOUT_MS / 60000) + ' minutes');
+        }
+        throw fail('FFmpeg failed with exit code ' + cliResult.cliExitCode);
     }
 
     // Verify output exists
@@ -476,8 +488,7 @@ var plugin = function (args) {
     try {
         outputStats = fs.statSync(tempFile);
     } catch (e) {
-        args.jobLog('ERROR: Output file not created');
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('Output file not created');
     }
 
     // Check output is reasonable size (at least 90% of input)
@@ -485,52 +496,28 @@ var plugin = function (args) {
     try {
         inputStats = fs.statSync(inputFile);
     } catch (e) {
-        args.jobLog('ERROR: Could not stat input file');
         try { fs.unlinkSync(tempFile); } catch (e2) { /* ignore */ }
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('Could not stat input file');
     }
 
     if (outputStats.size < inputStats.size * 0.9) {
-        args.jobLog('ERROR: Output too small (' + Math.round(outputStats.size / 1024 / 1024) +
-            'MB vs input ' + Math.round(inputStats.size / 1024 / 1024) + 'MB)');
         try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('Output too small (' + Math.round(outputStats.size / 1024 / 1024) +
+            'MB vs input ' + Math.round(inputStats.size / 1024 / 1024) + 'MB)');
     }
 
     // Replace original with temp
-    var backupFile = inputFile + '.backup_' + uniqueId;
     try {
-        // Backup original
-        fs.renameSync(inputFile, backupFile);
-
-        try {
-            // Move temp to original location
-            try {
-                fs.renameSync(tempFile, inputFile);
-            } catch (renameErr) {
-                // Cross-filesystem, copy then delete
-                fs.copyFileSync(tempFile, inputFile);
-                fs.unlinkSync(tempFile);
-            }
-            // Success - remove backup
-            fs.unlinkSync(backupFile);
-        } catch (moveErr) {
-            // Restore backup
-            args.jobLog('ERROR moving file: ' + moveErr.message);
-            try {
-                fs.renameSync(backupFile, inputFile);
-            } catch (restoreErr) {
-                args.jobLog('CRITICAL: Could not restore backup: ' + restoreErr.message);
-            }
-            try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
-            return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
-        }
-    } catch (backupErr) {
-        args.jobLog('ERROR creating backup: ' + backupErr.message);
-        try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        await audioPrepUtils_1.replaceFile(inputFile, tempFile, stagingFile, backupFile, heldLock,
+            cancelController.signal, args.jobLog);
+    } catch (e) {
+        throw fail(e.message);
     }
 
+    stopCancelWatch();
+    audioPrepUtils_1.releaseLock(heldLock);
+    heldLock = null;
+    titlesResult.status = 'processed';
     args.jobLog('SUCCESS: Audio titles normalized');
 
     return {
@@ -3,10 +3,44 @@
  * Process Audio Complete
  *
  * Combines all audio processing into a single ffmpeg pass:
- * - DTS→DD+ conversion (if DTS present)
- * - Stereo downmix creation (if multichannel and no stereo exists)
+ * - Rule-based conversion (DTS→DD+ by default; TrueHD, PCM, ... configurable)
+ * - Stereo downmix creation (if multichannel and no stereo exists in that language),
+ *   for the main track or every priority language, optionally with a
+ *   dynamic-range-compressed night mode track
+ * - Optional pruning of unwanted languages, duplicates and redundant lossy tracks
  * - Stream reordering by language/codec
- * - Title normalization
+ * - Title normalization ("Original" only on the original language's main track),
+ *   with descriptors and role dispositions (commentary,
+ *   audio description, hearing impaired, dub, original) kept in sync
+ *
+ * What was done (main track, conversions, downmixes, removed tracks and the final
+ * track list) is published in args.variables.audioPrep.processAudioComplete.
+ *
+ * Plan only mode stops before ffmpeg and reports the output layout and command
+ * (job log + audioPrep.plans.processAudioComplete) on output 3.
+ *
+ * The output container follows the source (MP4/M4V stay MP4/M4V, anything else
+ * becomes MKV) or the Output Container input. Subtitles the container can't hold are
+ * converted (text to mov_text in MP4, mov_text to SRT in MKV) or dropped, MP4 drops
+ * attachments, and MP4 tracks get ISO 639-2/T languages and a handler_name.
+ *
+ * Cancelling the job (or the worker shutting down) kills ffmpeg and removes the
+ * partial output from the work directory.
+ *
+ * The output is ffprobed and checked stream by stream against the input and the
+ * planned audio layout (counts and codecs per type, audio channels, languages,
+ * titles, dispositions, durations and chapters); any mismatch fails the job with a
+ * diff of expected vs actual in the job log. With Decode Check New Tracks on, every
+ * converted or created track is also decoded to a null sink and must be free of decode
+ * errors, as long as the video and without long digital silence.
+ *
+ * Broken Source Tracks checks the source audio (silence, dead channels, truncation,
+ * clipping; same analysis and results as Check Audio Track Health) and keeps broken
+ * tracks out of downmixes, removes them, or routes the file to review untouched.
+ *
+ * Outputs: 1 = processed, 2 = nothing to do, 3 = plan only, 4 = review (broken
+ * source tracks). Real errors (bad inputs, missing probe data, ffmpeg or output
+ * checks failing) throw.
  *
  * This dramatically reduces disk I/O by doing everything in one pass.
  */
@@ -14,10 +48,11 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.plugin = exports.details = void 0;
 var cliUtils_1 = require("../../../../FlowHelpers/1.0.0/cliUtils");
 var fileUtils_1 = require("../../../../FlowHelpers/1.0.0/fileUtils");
+var audioPrepUtils_1 = require("../../../../LocalFlowHelpers/1.0.0/audioPrepUtils");
 
 var details = function () { return ({
     name: 'Process Audio Complete',
-    description: 'All-in-one audio processing: DTS→DD+, stereo downmix, reorder, and title normalization in a single ffmpeg pass.',
+    description: 'All-in-one audio processing: rule-based conversion (DTS→DD+ by default), stereo downmix, reorder, and title normalization in a single ffmpeg pass.',
     style: {
         borderColor: '#e74c3c',
     },
@@ -29,12 +64,39 @@ var details = function () { return ({
     icon: '',
     inputs: [
         {
-            label: 'Create DD+ from DTS',
+            label: 'Convert Audio (Rule Table)',
             name: 'createDDP',
             type: 'boolean',
             defaultValue: true,
             inputUI: { type: 'switch' },
-            tooltip: 'Convert DTS to DD+ (EAC3) at 640kbps',
+            tooltip: 'Add a converted copy of matching tracks using the Conversion Rules below (default: DTS to DD+ at 640kbps). The source track is kept',
+        },
+        {
+            label: 'Conversion Rules',
+            name: 'conversionRules',
+            type: 'string',
+            defaultValue: 'dts>eac3:640k',
+            inputUI: { type: 'text' },
+            tooltip: 'Rules separated by ; as source>codec:bitrate, e.g. truehd>eac3:768k; dts-hd ma>eac3:1024k; pcm>flac; dts>ac3:640k. Sources: codec names (truehd, dts, pcm, flac, ac3, eac3, ...) or DTS profiles (dts-hd ma, dts-hd hra, dts:x); a profile rule beats a codec rule. Targets: eac3, ac3, aac, flac. Bitrate can depend on channels: dts>eac3:2=256k/6=640k/8=1024k',
+        },
+        {
+            label: 'Convert Tracks',
+            name: 'convertScope',
+            type: 'string',
+            defaultValue: 'main',
+            inputUI: {
+                type: 'dropdown',
+                options: ['main', 'all'],
+            },
+            tooltip: 'main: only convert the main audio track. all: convert every track matching a rule',
+        },
+        {
+            label: 'Convert Atmos / DTS:X Sources',
+            name: 'convertObjectAudio',
+            type: 'boolean',
+            defaultValue: false,
+            inputUI: { type: 'switch' },
+            tooltip: 'Object-based sources (TrueHD Atmos, DD+ JOC, DTS:X) are left alone by default. Enable to convert them anyway; the result only keeps the channel bed',
         },
         {
             label: 'Create Stereo Downmix',
@@ -44,6 +106,17 @@ var details = function () { return ({
             inputUI: { type: 'switch' },
             tooltip: 'Create AAC stereo downmix from multichannel audio',
         },
+        {
+            label: 'Stereo For',
+            name: 'stereoScope',
+            type: 'string',
+            defaultValue: 'main',
+            inputUI: {
+                type: 'dropdown',
+                options: ['main', 'all-languages'],
+            },
+            tooltip: 'main: downmix only the main audio track. all-languages: also downmix the best multichannel track of every language in the priority list that has no stereo yet, all in the same pass',
+        },
         {
             label: 'Stereo Bitrate (kbps)',
             name: 'stereoBitrate',
@@ -55,6 +128,25 @@ var details = function () { return ({
             },
             tooltip: 'AAC bitrate for stereo track',
         },
+        {
+            label: 'Downmix Preset',
+            name: 'downmixPreset',
+            type: 'string',
+            defaultValue: 'dialogue',
+            inputUI: {
+                type: 'dropdown',
+                options: ['dialogue', 'itu-bs775', 'dpl2', 'night', 'no-lfe', 'custom'],
+            },
+            tooltip: 'dialogue: boosted center for clarity. itu-bs775: ITU-R BS.775 standard downmix. dpl2: Dolby Pro Logic II Lt/Rt (surround-encoded). night: heavy center boost, quiet surrounds. no-lfe: dialogue without LFE. custom: use the Custom Matrix below',
+        },
+        {
+            label: 'Custom Matrix',
+            name: 'customMatrix',
+            type: 'string',
+            defaultValue: '',
+            inputUI: { type: 'text' },
+            tooltip: 'Only used with the custom preset. Per-output gains in pan syntax, e.g. FL=1.0*FL+0.707*FC+0.707*SL|FR=1.0*FR+0.707*FC+0.707*SR. Use < instead of = to let ffmpeg normalize the gains. Channels must exist in the source layout.',
+        },
         {
             label: 'Normalize Audio (Stereo)',
             name: 'normalize',
@@ -74,6 +166,61 @@ var details = function () { return ({
             },
             tooltip: 'Target loudness for stereo track',
         },
+        {
+            label: 'Night Mode Track',
+            name: 'nightMode',
+            type: 'string',
+            defaultValue: 'off',
+            inputUI: {
+                type: 'dropdown',
+                options: ['off', 'add', 'replace'],
+            },
+            tooltip: 'off: plain stereo only. add: also create a dynamic-range-compressed night mode track in the same pass. replace: create only the night mode track instead of plain stereo',
+        },
+        {
+            label: 'Night Mode Compression Ratio',
+            name: 'drcRatio',
+            type: 'string',
+            defaultValue: '4',
+            inputUI: {
+                type: 'dropdown',
+                options: ['2', '3', '4', '6', '8'],
+            },
+            tooltip: 'Compressor ratio for the night mode track. Higher squashes loud effects harder',
+        },
+        {
+            label: 'Night Mode Threshold (dB)',
+            name: 'drcThreshold',
+            type: 'string',
+            defaultValue: '-24',
+            inputUI: {
+                type: 'dropdown',
+                options: ['-36', '-30', '-24', '-20', '-16'],
+            },
+            tooltip: 'Level above which the compressor starts reducing gain',
+        },
+        {
+            label: 'Night Mode Dialogue Emphasis (dB)',
+            name: 'dialogueEmphasis',
+            type: 'string',
+            defaultValue: '3',
+            inputUI: {
+                type: 'dropdown',
+                options: ['0', '2', '3', '4', '6'],
+            },
+            tooltip: 'Presence boost in the speech band (around 2.5kHz) applied before compression. 0 disables',
+        },
+        {
+            label: 'Loudnorm Mode',
+            name: 'loudnormMode',
+            type: 'string',
+            defaultValue: 'dynamic',
+            inputUI: {
+                type: 'dropdown',
+                options: ['dynamic', 'two-pass'],
+            },
+            tooltip: 'dynamic: single-pass loudnorm. two-pass: measure the downmix first, then apply linear loudnorm with the measured values (no pumping, hits the target, extra decode pass)',
+        },
         {
             label: 'Language Priority',
             name: 'languages',
@@ -98,113 +245,481 @@ var details = function () { return ({
             inputUI: { type: 'text' },
             tooltip: 'Default language code for tracks without language tag',
         },
+        {
+            label: 'Original Language Override',
+            name: 'originalLanguage',
+            type: 'string',
+            defaultValue: '',
+            inputUI: { type: 'text' },
+            tooltip: 'Language code of the original version (e.g. eng, jpn). Leave empty to detect it from an original disposition, a .nfo sidecar (<originallanguage>/<language>) or the first audio track',
+        },
+        {
+            label: 'Title Template',
+            name: 'titleTemplate',
+            type: 'string',
+            defaultValue: '{lang}[ {original}][ {descriptor}] - {codec} - {channels}',
+            inputUI: { type: 'text' },
+            tooltip: 'Tokens: {lang} {lang_native} {iso} {codec} {channels} {layout} {bitrate} {descriptor} {original} {samplerate}. Text inside [ ] is dropped when a token in it is empty. Use the same template in Normalize Audio Titles so titles stay stable',
+        },
+        {
+            label: 'Prune Audio Tracks',
+            name: 'pruneTracks',
+            type: 'boolean',
+            defaultValue: false,
+            inputUI: { type: 'switch' },
+            tooltip: 'Remove unwanted original tracks using the pruning options below. The main track and the original language are always kept',
+        },
+        {
+            label: 'Prune: Unlisted Languages',
+            name: 'pruneLanguages',
+            type: 'boolean',
+            defaultValue: true,
+            inputUI: { type: 'switch' },
+            tooltip: 'Remove tracks whose language is not in the Language Priority list (the original language is always kept)',
+        },
+        {
+            label: 'Prune: Exact Duplicates',
+            name: 'pruneDuplicates',
+            type: 'boolean',
+            defaultValue: true,
+            inputUI: { type: 'switch' },
+            tooltip: 'Remove tracks with the same codec, language, channels and bitrate as a track that is kept',
+        },
+        {
+            label: 'Prune: Lossy Cores',
+            name: 'pruneLossyCores',
+            type: 'boolean',
+            defaultValue: false,
+            inputUI: { type: 'switch' },
+            tooltip: 'Remove lossy tracks (DTS, DD, ...) when a lossless track (TrueHD, DTS-HD MA, FLAC, PCM) with the same language and channel count exists',
+        },
+        {
+            label: 'Prune: Max Tracks Per Language',
+            name: 'maxTracksPerLanguage',
+            type: 'string',
+            defaultValue: '0',
+            inputUI: {
+                type: 'dropdown',
+                options: ['0', '1', '2', '3', '4', '5'],
+            },
+            tooltip: 'Keep at most this many original tracks per language (0 = no limit). Main track first, extras (commentary, audio description, isolated score) last, then lossless, then most channels',
+        },
+        {
+            label: 'Output Container',
+            name: 'outputContainer',
+            type: 'string',
+            defaultValue: 'source',
+            inputUI: {
+                type: 'dropdown',
+                options: ['source', 'mkv', 'mp4'],
+            },
+            tooltip: 'source: MP4/M4V stays MP4/M4V, everything else becomes MKV. Subtitles the output cannot hold are converted (text to mov_text for MP4, mov_text to SRT for MKV) or dropped (PGS, DVB in MP4), and MP4 gets no attachments; each is logged. Only applies when the audio needs processing',
+        },
+        {
+            label: 'Broken Source Tracks',
+            name: 'brokenTrackAction',
+            type: 'string',
+            defaultValue: 'off',
+            inputUI: {
+                type: 'dropdown',
+                options: ['off', 'exclude', 'remove', 'review'],
+            },
+            tooltip: 'Check source tracks for silence, dead channels, truncation and clipping. exclude: never downmix from them. remove: drop them from the output. review: route the file to output 4 untouched. Uses Check Audio Track Health results (and thresholds) when that plugin ran on this file earlier in the flow, otherwise analyzes with its defaults',
+        },
+        {
+            label: 'Decode Check New Tracks',
+            name: 'decodeCheck',
+            type: 'boolean',
+            defaultValue: false,
+            inputUI: { type: 'switch' },
+            tooltip: 'After the output checks, decode every converted or created track to a null sink and fail on decode errors, a track shorter than the video, or long digital silence. Costs one extra decode pass per track',
+        },
+        {
+            label: 'Max Digital Silence (seconds)',
+            name: 'maxSilenceSeconds',
+            type: 'string',
+            defaultValue: '30',
+            inputUI: { type: 'text' },
+            tooltip: 'Decode check fails when a converted or created track has a stretch of digital silence (below -90dB) at least this long',
+        },
+        {
+            label: 'Plan Only',
+            name: 'planOnly',
+            type: 'boolean',
+            defaultValue: false,
+            inputUI: { type: 'switch' },
+            tooltip: 'Work out the full output audio layout (order, codecs, titles, languages, dispositions, filters) and the exact ffmpeg command, log them and store them in audioPrep.plans.processAudioComplete without running ffmpeg. Routes to output 3',
+        },
     ],
     outputs: [
-        { number: 1, tooltip: 'Processing completed successfully' },
-        { number: 2, tooltip: 'No processing needed or error' },
+        { number: 1, tooltip: 'Processed: file rewritten with the new audio layout' },
+        { number: 2, tooltip: 'Not needed: no audio or file already optimal. Errors go to the error output' },
+        { number: 3, tooltip: 'Plan only: changes planned but not applied' },
+        { number: 4, tooltip: 'Review: broken source tracks found (Broken Source Tracks = review, or remove would leave no audio)' },
     ],
 }); };
 exports.details = details;
 
-// Language code to display name
-var LANGUAGE_MAP = {
-    'eng': 'English', 'en': 'English',
-    'fre': 'French', 'fra': 'French', 'fr': 'French',
-    'spa': 'Spanish', 'es': 'Spanish',
-    'ger': 'German', 'deu': 'German', 'de': 'German',
-    'ita': 'Italian', 'it': 'Italian',
-    'jpn': 'Japanese', 'ja': 'Japanese',
-    'por': 'Portuguese', 'pt': 'Portuguese',
-    'rus': 'Russian', 'ru': 'Russian',
-    'chi': 'Chinese', 'zho': 'Chinese', 'zh': 'Chinese',
-    'kor': 'Korean', 'ko': 'Korean',
-    'dut': 'Dutch', 'nld': 'Dutch', 'nl': 'Dutch',
-};
+// First working ffprobe: Tdarr's own, then the usual bundled / system locations
+async function findFfprobe(args, signal) {
+    var candidates = [
+        args.deps && args.deps.ffprobePath,
+        '/app/Tdarr_Node/assets/app/ffmpeg/linux_x64/ffprobe',
+        '/usr/lib/jellyfin-ffmpeg/ffprobe',
+        'ffprobe',
+    ];
+    for (var i = 0; i < candidates.length; i++) {
+        if (!candidates[i]) continue;
+        var result = await audioPrepUtils_1.runCapture(candidates[i], ['-version'], 0, signal);
+        if (result.status === 0) return candidates[i];
+    }
+    return null;
+}
 
-function getLanguageName(code, defaultLang) {
-    if (!code || code === 'und' || code === 'unk') {
-        return LANGUAGE_MAP[defaultLang] || 'Unknown';
+async function probeFile(ffprobeCli, file, signal) {
+    var result = await audioPrepUtils_1.runCapture(ffprobeCli, ['-v', 'quiet', '-print_format', 'json',
+        '-show_format', '-show_streams', '-show_chapters', file], 0, signal);
+    if (result.status !== 0) {
+        return { error: 'ffprobe exit code ' + result.status + (result.error ? ' (' + result.error.message + ')' : '') };
+    }
+    try {
+        return { probe: JSON.parse(result.stdout) };
+    } catch (e) {
+        return { error: 'could not parse ffprobe output: ' + e.message };
     }
-    return LANGUAGE_MAP[code.toLowerCase()] || code;
 }
 
-function getCodecDisplayName(codecName, profile) {
+// Flags Matroska can store. dub has no Matroska flag, so it can't be checked after muxing.
+var VERIFIED_DISPOSITIONS = ['default', 'forced', 'original', 'comment', 'hearing_impaired', 'visual_impaired', 'descriptions'];
+// MP4 only has the track enabled flag, which comes back as default
+var VERIFIED_DISPOSITIONS_MP4 = ['default'];
+
+// Source extensions kept as MP4 when the output container follows the source
+var MP4_EXTENSIONS = ['.mp4', '.m4v'];
+
+// Audio codecs the MP4 muxer takes without -strict experimental
+var MP4_AUDIO_CODECS = ['aac', 'ac3', 'eac3', 'mp3', 'mp2', 'alac', 'flac', 'opus', 'dts'];
+
+// Text subtitles ffmpeg can turn into MP4 timed text (ASS/SSA lose their styling)
+var MP4_TEXT_SUBTITLES = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'text'];
+
+// MP4 stores ISO 639-2/T codes (fra, deu); Matroska conventionally uses 639-2/B (fre, ger)
+var ISO639_2_TERMINOLOGY = {
+    alb: 'sqi', arm: 'hye', baq: 'eus', bur: 'mya', chi: 'zho', cze: 'ces', dut: 'nld', fre: 'fra',
+    geo: 'kat', ger: 'deu', gre: 'ell', ice: 'isl', mac: 'mkd', mao: 'mri', may: 'msa', per: 'fas',
+    rum: 'ron', slo: 'slk', tib: 'bod', wel: 'cym',
+};
+
+function toTerminologyCode(code) {
+    var c = audioPrepUtils_1.normalizeLangCode(code);
+    return ISO639_2_TERMINOLOGY[c] || c;
+}
+
+// What happens to one subtitle stream in the output container: copied, converted
+// (encoder + resulting codec_name) or dropped because the container can't hold it
+function planSubtitleStream(codecName, container) {
     var codec = (codecName || '').toLowerCase();
-    var prof = (profile || '').toLowerCase();
-
-    if (codec === 'eac3') {
-        if (prof.indexOf('joc') !== -1) return 'DD+ Atmos';
-        return 'DD+';
-    }
-    if (codec === 'ac3') return 'DD';
-    if (codec === 'dts' || codec === 'dca') {
-        if (prof.indexOf('ma') !== -1 || prof.indexOf('master') !== -1) return 'DTS-HD MA';
-        if (prof.indexOf('hra') !== -1) return 'DTS-HD HRA';
-        if (prof.indexOf('x') !== -1 && prof.indexOf('express') === -1) return 'DTS:X';
-        return 'DTS';
-    }
-    if (codec === 'truehd') {
-        if (prof.indexOf('atmos') !== -1) return 'TrueHD Atmos';
-        return 'TrueHD';
-    }
-    if (codec === 'aac') return 'AAC';
-    if (codec === 'flac') return 'FLAC';
-    if (codec === 'opus') return 'Opus';
-    if (codec.indexOf('pcm') !== -1) return 'PCM';
-    return codec.toUpperCase();
+    if (container === 'mp4') {
+        if (codec === 'mov_text' || codec === 'dvd_subtitle') return { action: 'copy', codec: codec };
+        if (MP4_TEXT_SUBTITLES.indexOf(codec) !== -1) return { action: 'convert', encoder: 'mov_text', codec: 'mov_text' };
+        return { action: 'drop', codec: codec };
+    }
+    // Matroska takes every subtitle format except MP4 timed text
+    if (codec === 'mov_text') return { action: 'convert', encoder: 'srt', codec: 'subrip' };
+    return { action: 'copy', codec: codec };
+}
+
+function formatDuration(seconds) {
+    return seconds ? seconds.toFixed(2) + 's' : 'unknown';
+}
+
+// Check Audio Track Health settings, used when that plugin hasn't run on this file
+var HEALTH_DEFAULTS = { silenceThreshold: -70, deadChannels: 'center', truncationTolerance: 2, clipPeakCount: 100 };
+
+// Check Audio Track Health results, as long as they describe this file as it is now
+function getReusableTrackHealth(args, inputFile, audioStreams) {
+    var health = args.variables && args.variables.audioPrep && args.variables.audioPrep.trackHealth;
+    if (!health || health.file !== inputFile || !Array.isArray(health.tracks)) return null;
+    var signature = audioStreams.map(function(as) { return as.codecLower + '/' + (as.channels || 0); }).join(',');
+    return health.signature === signature && health.tracks.length === audioStreams.length ? health : null;
+}
+
+function durationsMatch(expected, actual) {
+    if (!expected || !actual) return true; // Unknown on one side, nothing to compare
+    return Math.abs(expected - actual) <= Math.max(1, expected * 0.005);
+}
+
+// Compare the encoded file against what was asked for. Returns one entry per check
+// ({ name, expected, actual, ok }) so the caller can log a diff of the mismatches.
+function verifyOutput(inputProbe, outputProbe, expectedTracks, container) {
+    var checks = [];
+    var add = function(name, expected, actual, ok) {
+        checks.push({ name: name, expected: String(expected), actual: String(actual), ok: ok === undefined ? String(expected) === String(actual) : ok });
+    };
+    var ofType = function(probe, type) {
+        return (probe.streams || []).filter(function(st) { return st.codec_type === type; });
+    };
+    var codecList = function(streams) {
+        return streams.map(function(st) { return st.codec_name || '?'; }).join(', ') || '(none)';
+    };
+    var isMp4 = container.format === 'mp4';
+    var flagList = function(disposition) {
+        return (isMp4 ? VERIFIED_DISPOSITIONS_MP4 : VERIFIED_DISPOSITIONS).filter(function(flag) {
+            return disposition[flag] === 1;
+        }).join('+') || 'none';
+    };
+
+    // Video is stream-copied, so it must come through unchanged
+    var videoBefore = ofType(inputProbe, 'video');
+    var videoAfter = ofType(outputProbe, 'video');
+    add('video streams', videoBefore.length, videoAfter.length);
+    add('video codecs', codecList(videoBefore), codecList(videoAfter));
+    // Subtitles and attachments as planned for the container (copied, converted or dropped)
+    var keptSubtitles = container.subtitles.filter(function(sub) { return sub.action !== 'drop'; });
+    var subtitlesAfter = ofType(outputProbe, 'subtitle');
+    add('subtitle streams', keptSubtitles.length, subtitlesAfter.length);
+    add('subtitle codecs', keptSubtitles.map(function(sub) { return sub.codec || '?'; }).join(', ') || '(none)', codecList(subtitlesAfter));
+    add('attachment streams', container.dropAttachments ? 0 : ofType(inputProbe, 'attachment').length,
+        ofType(outputProbe, 'attachment').length);
+    add('chapters', (inputProbe.chapters || []).length, (outputProbe.chapters || []).length);
+
+    var inputDuration = parseFloat(inputProbe.format && inputProbe.format.duration) || 0;
+    var outputDuration = parseFloat(outputProbe.format && outputProbe.format.duration) || 0;
+    add('duration', formatDuration(inputDuration), formatDuration(outputDuration), durationsMatch(inputDuration, outputDuration));
+
+    var sourceAudio = ofType(inputProbe, 'audio');
+    var outputAudio = ofType(outputProbe, 'audio');
+    add('audio streams', expectedTracks.length, outputAudio.length);
+    expectedTracks.forEach(function(track, pos) {
+        var actual = outputAudio[pos];
+        var prefix = 'a:' + pos + ' ';
+        if (!actual) {
+            add(prefix + 'stream', track.codec + ' ' + track.channels + 'ch', '(missing)', false);
+            return;
+        }
+        var expectedFlags = {};
+        (track.disposition || '0').split('+').forEach(function(flag) { expectedFlags[flag] = 1; });
+        add(prefix + 'codec', track.codec, actual.codec_name || '?');
+        add(prefix + 'channels', track.channels, actual.channels);
+        var actualTags = actual.tags || {};
+        if (isMp4) {
+            add(prefix + 'language', toTerminologyCode(track.language), toTerminologyCode(actualTags.language || 'und'));
+            add(prefix + 'title', track.title, actualTags.title || actualTags.handler_name || '');
+        } else {
+            add(prefix + 'language', track.language, audioPrepUtils_1.normalizeLangCode(actualTags.language || 'und'));
+            add(prefix + 'title', track.title, actualTags.title || '');
+        }
+        add(prefix + 'disposition', flagList(expectedFlags), flagList(actual.disposition || {}));
+        var sourceStream = sourceAudio[parseInt(track.source.split(':')[2], 10)];
+        var sourceDuration = audioPrepUtils_1.getStreamDuration(sourceStream);
+        var actualDuration = audioPrepUtils_1.getStreamDuration(actual);
+        add(prefix + 'duration', formatDuration(sourceDuration), formatDuration(actualDuration),
+            durationsMatch(sourceDuration, actualDuration));
+    });
+    return checks;
 }
 
-function getChannelDisplay(channels, profile) {
-    var prof = (profile || '').toLowerCase();
-    if (prof.indexOf('joc') !== -1 || prof.indexOf('atmos') !== -1) return 'Atmos';
-    if (channels === 8) return '7.1';
-    if (channels === 7) return '6.1';
-    if (channels === 6) return '5.1';
-    if (channels === 2) return 'Stereo';
-    if (channels === 1) return 'Mono';
-    return channels + 'ch';
+// Unchanged checks as context lines, mismatches as -expected / +actual pairs
+function formatVerificationDiff(checks) {
+    var lines = [];
+    checks.forEach(function(check) {
+        if (check.ok) {
+            lines.push('  ' + check.name + ': ' + check.expected);
+        } else {
+            lines.push('- ' + check.name + ': ' + check.expected);
+            lines.push('+ ' + check.name + ': ' + check.actual);
+        }
+    });
+    return lines;
 }
 
-// Get pan filter for stereo downmix (layout-aware)
-function getPanFilter(channels) {
-    if (channels === 8) {
-        // 7.1: FL FR FC LFE BL BR SL SR
-        return 'pan=stereo|FL=0.70*FL+0.70*FC+0.25*SL+0.20*BL+0.20*LFE|FR=0.70*FR+0.70*FC+0.25*SR+0.20*BR+0.20*LFE';
+// Pick the track to downmix for a language: default first, then most channels, then first seen.
+// Commentary, AD, isolated scores and pruned tracks are never used as a source.
+function findDownmixSource(audioStreams, langKey) {
+    var best = null;
+    for (var i = 0; i < audioStreams.length; i++) {
+        var as = audioStreams[i];
+        if (as.pruned || as.broken || as.langKey !== langKey || !(as.channels > 2)) continue;
+        if (as.role.secondary) continue;
+        if (!best ||
+            (as.isDefault && !best.isDefault) ||
+            (as.isDefault === best.isDefault && as.channels > best.channels)) {
+            best = as;
+        }
     }
-    if (channels === 7) {
-        // 6.1: FL FR FC LFE BC SL SR (back center)
-        return 'pan=stereo|FL=0.70*FL+0.70*FC+0.30*SL+0.15*BC+0.20*LFE|FR=0.70*FR+0.70*FC+0.30*SR+0.15*BC+0.20*LFE';
+    return best;
+}
+
+// Codecs the rule table can convert to, with the bitrate used when a rule gives none
+var CONVERSION_CODECS = {
+    eac3: { lossless: false, defaultBitrate: 640, maxChannels: 6 },
+    ac3: { lossless: false, defaultBitrate: 640, maxChannels: 6 },
+    aac: { lossless: false, defaultBitrate: 256, maxChannels: 8 },
+    flac: { lossless: true, defaultBitrate: null, maxChannels: 8 },
+};
+
+// Parse "truehd>eac3:768k; dts>eac3:2=256k/6=640k" into rules.
+// Returns {rules: [{source, codec, bitrates: [{channels, kbps}]}], error}
+function parseConversionRules(text) {
+    var rules = [];
+    var parts = String(text || '').split(/[;\n]/);
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i].trim().toLowerCase();
+        if (!part) continue;
+        var m = /^([a-z0-9:_\- ]+?)\s*>\s*([a-z0-9]+)\s*(?::\s*(.+))?$/.exec(part);
+        if (!m) {
+            return { rules: [], error: 'invalid rule "' + part + '" (expected source>codec:bitrate)' };
+        }
+        var codec = m[2];
+        if (!CONVERSION_CODECS[codec]) {
+            return { rules: [], error: 'unsupported target codec "' + codec + '" in rule "' + part + '"' };
+        }
+        var bitrates = [];
+        if (m[3]) {
+            if (CONVERSION_CODECS[codec].lossless) {
+                return { rules: [], error: codec + ' is lossless and takes no bitrate in rule "' + part + '"' };
+            }
+            var entries = m[3].split('/');
+            for (var e = 0; e < entries.length; e++) {
+                var b = /^(?:(\d+)\s*=\s*)?(\d+)k?$/.exec(entries[e].trim());
+                if (!b || (entries.length > 1 && !b[1])) {
+                    return { rules: [], error: 'invalid bitrate "' + entries[e].trim() + '" in rule "' + part + '"' };
+                }
+                bitrates.push({ channels: b[1] ? parseInt(b[1], 10) : 0, kbps: parseInt(b[2], 10) });
+            }
+            bitrates.sort(function(x, y) { return x.channels - y.channels; });
+        }
+        rules.push({ source: m[1].trim(), codec: codec, bitrates: bitrates, text: part });
     }
-    if (channels === 6) {
-        // 5.1: FL FR FC LFE SL SR (no back channels)
-        return 'pan=stereo|FL=0.70*FL+0.70*FC+0.35*SL+0.20*LFE|FR=0.70*FR+0.70*FC+0.35*SR+0.20*LFE';
+    return { rules: rules, error: null };
+}
+
+// Rule source keys a track answers to, most specific first
+function getConversionSourceKeys(codecLower, profile) {
+    var codec = audioPrepUtils_1.normalizeCodecForSort(codecLower);
+    var display = audioPrepUtils_1.getCodecDisplayName(codec, profile).toLowerCase();
+    var keys = [];
+    if (display !== codec) keys.push(display);
+    if (codec.indexOf('pcm') === 0 && codec !== 'pcm') keys.push(codec);
+    keys.push(codec.indexOf('pcm') === 0 ? 'pcm' : codec);
+    return keys;
+}
+
+function findConversionRule(rules, codecLower, profile) {
+    var keys = getConversionSourceKeys(codecLower, profile);
+    for (var k = 0; k < keys.length; k++) {
+        for (var r = 0; r < rules.length; r++) {
+            if (rules[r].source === keys[k]) return rules[r];
+        }
     }
-    if (channels > 2) {
-        // Quad or other: FL FR FC (maybe more)
-        return 'pan=stereo|FL=0.70*FL+0.70*FC|FR=0.70*FR+0.70*FC';
+    return null;
+}
+
+// Pick the bitrate for a channel count: the entry for the largest count not above it,
+// else the smallest entry
+function getRuleBitrate(rule, channels) {
+    if (CONVERSION_CODECS[rule.codec].lossless) return null;
+    if (rule.bitrates.length === 0) return CONVERSION_CODECS[rule.codec].defaultBitrate;
+    var chosen = rule.bitrates[0];
+    for (var i = 0; i < rule.bitrates.length; i++) {
+        if (rule.bitrates[i].channels <= channels) chosen = rule.bitrates[i];
     }
-    return 'aformat=channel_layouts=stereo';
+    return chosen.kbps;
 }
 
-// Normalize language code for comparison (handles both 2-letter ISO 639-1 and 3-letter codes)
-function normalizeLangCode(code) {
-    if (!code) return 'und';
-    var c = code.toLowerCase();
-
-    // 2-letter ISO 639-1 → 3-letter bibliographic
-    var map2 = {
-        en: 'eng', fr: 'fre', es: 'spa', de: 'ger', it: 'ita',
-        pt: 'por', nl: 'dut', sv: 'swe', no: 'nor', da: 'dan',
-        fi: 'fin', pl: 'pol', cs: 'cze', ja: 'jpn', ko: 'kor',
-        zh: 'chi', ar: 'ara', ru: 'rus', uk: 'ukr'
-    };
-    if (c.length === 2 && map2[c]) return map2[c];
+function isLosslessAudio(codecLower, profile) {
+    var codec = audioPrepUtils_1.normalizeCodecForSort(codecLower);
+    if (codec === 'truehd' || codec === 'flac' || codec === 'alac' || codec === 'mlp') return true;
+    if (codec.indexOf('pcm') === 0) return true;
+    return codec === 'dts' && audioPrepUtils_1.getCodecDisplayName(codec, profile) === 'DTS-HD MA';
+}
+
+// What a track is beyond language and format, from detectTrackRole: the role flags plus
+// whether it is an extra, so a commentary never counts as a copy of the main track
+function getRoleKey(as) {
+    var names = audioPrepUtils_1.ROLE_DISPOSITIONS.filter(function(name) { return as.role.flags[name]; });
+    return names.join('+') + (as.role.secondary ? '/secondary' : '');
+}
+
+// Mark tracks to drop as {pruned: true, pruneReason}. Rules run in order: unlisted
+// languages, exact duplicates, lossy cores, max tracks per language. The main track
+// and the original language are never dropped, so at least one track always survives.
+function pruneAudioTracks(audioStreams, mainAudioIndex, originalLang, languagePriority, opts) {
+    var pruned = [];
+    function drop(as, reason) {
+        as.pruned = true;
+        as.pruneReason = reason;
+        pruned.push(as);
+    }
+    function kept() {
+        return audioStreams.filter(function(as) { return !as.pruned; });
+    }
+    var main = audioStreams[mainAudioIndex];
 
-    // 3-letter terminology → bibliographic (where they differ)
-    var map3 = { fra: 'fre', deu: 'ger', nld: 'dut', zho: 'chi', ces: 'cze', ron: 'rum' };
-    if (map3[c]) return map3[c];
+    if (opts.languages) {
+        audioStreams.forEach(function(as) {
+            if (as.pruned || as === main || as.langKey === originalLang) return;
+            if (languagePriority.indexOf(as.langKey) === -1) {
+                drop(as, 'language ' + as.langKey + ' not in priority list');
+            }
+        });
+    }
 
-    return c;
+    if (opts.duplicates) {
+        // Main and default tracks win a duplicate group, otherwise the first one seen
+        var candidates = kept().sort(function(a, b) {
+            var aRank = a === main ? 0 : (a.isDefault ? 1 : 2);
+            var bRank = b === main ? 0 : (b.isDefault ? 1 : 2);
+            return aRank !== bRank ? aRank - bRank : a.audioIndex - b.audioIndex;
+        });
+        var seen = {};
+        candidates.forEach(function(as) {
+            var key = [as.codecLower, as.profile, as.langKey, as.channels, as.bitrate, getRoleKey(as)].join('|');
+            if (seen[key] !== undefined && as !== main) {
+                drop(as, 'duplicate of audio ' + seen[key]);
+            } else if (seen[key] === undefined) {
+                seen[key] = as.audioIndex;
+            }
+        });
+    }
+
+    if (opts.lossyCores) {
+        var lossless = kept().filter(function(as) { return isLosslessAudio(as.codecLower, as.profile); });
+        kept().forEach(function(as) {
+            if (as === main || isLosslessAudio(as.codecLower, as.profile) || as.role.secondary) return;
+            for (var l = 0; l < lossless.length; l++) {
+                if (lossless[l].langKey === as.langKey && lossless[l].channels === as.channels &&
+                    getRoleKey(lossless[l]) === getRoleKey(as)) {
+                    drop(as, 'lossy core of lossless audio ' + lossless[l].audioIndex);
+                    return;
+                }
+            }
+        });
+    }
+
+    if (opts.maxPerLanguage > 0) {
+        var byLanguage = {};
+        kept().forEach(function(as) {
+            if (!byLanguage[as.langKey]) byLanguage[as.langKey] = [];
+            byLanguage[as.langKey].push(as);
+        });
+        Object.keys(byLanguage).forEach(function(langKey) {
+            var group = byLanguage[langKey].sort(function(a, b) {
+                if ((a === main) !== (b === main)) return a === main ? -1 : 1;
+                if (a.role.secondary !== b.role.secondary) return a.role.secondary ? 1 : -1;
+                var aLossless = isLosslessAudio(a.codecLower, a.profile);
+                var bLossless = isLosslessAudio(b.codecLower, b.profile);
+                if (aLossless !== bLossless) return aLossless ? -1 : 1;
+                if ((a.channels || 0) !== (b.channels || 0)) return (b.channels || 0) - (a.channels || 0);
+                return a.audioIndex - b.audioIndex;
+            });
+            for (var g = opts.maxPerLanguage; g < group.length; g++) {
+                drop(group[g], 'over the limit of ' + opts.maxPerLanguage + ' tracks for ' + langKey);
+            }
+        });
+    }
+
+    return pruned;
 }
 
 // Parse audio index from source string like "0:a:2"
@@ -213,47 +728,118 @@ function parseAudioIndexFromSource(source) {
     return m ? parseInt(m[1], 10) : -1;
 }
 
-// Normalize codec name for sorting (handles ffprobe variations)
-function normalizeCodecForSort(codec) {
-    var c = (codec || '').toLowerCase();
-    if (c === 'dca') return 'dts';  // ffprobe sometimes reports DTS as dca
-    return c;
-}
-
 var plugin = async function (args) {
     var fs = require('fs');
+    var path = require('path');
     var lib = require('../../../../../methods/lib')();
 
     try {
         args.inputs = lib.loadDefaultValues(args.inputs, details);
     } catch (e) {
-        args.jobLog('ERROR: Failed to load default values: ' + e.message);
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw new Error('Failed to load default values: ' + e.message);
+    }
+
+    // Get ffmpeg path
+    var ffmpegCli = args.ffmpegPath;
+    if (!ffmpegCli && args.deps && args.deps.ffmpegPath) {
+        ffmpegCli = args.deps.ffmpegPath;
+    }
+    if (!ffmpegCli) {
+        ffmpegCli = 'tdarr-ffmpeg';
     }
 
     var createDDP = args.inputs.createDDP === true || args.inputs.createDDP === 'true';
+    var convertAllTracks = String(args.inputs.convertScope) === 'all';
+    var convertObjectAudio = args.inputs.convertObjectAudio === true || args.inputs.convertObjectAudio === 'true';
+    var conversionRules = parseConversionRules(args.inputs.conversionRules);
+    if (conversionRules.error) {
+        throw new Error('Invalid conversion rules: ' + conversionRules.error);
+    }
     var createStereo = args.inputs.createStereo === true || args.inputs.createStereo === 'true';
+    var allLanguageStereo = String(args.inputs.stereoScope) === 'all-languages';
     var stereoBitrate = parseInt(args.inputs.stereoBitrate, 10) || 256;
     var normalize = args.inputs.normalize === true || args.inputs.normalize === 'true';
     var loudnormTarget = parseInt(args.inputs.loudnormTarget, 10) || -16;
+    var twoPassLoudnorm = String(args.inputs.loudnormMode) === 'two-pass';
+    var downmixPreset = String(args.inputs.downmixPreset || 'dialogue');
+    var customMatrix = String(args.inputs.customMatrix || '');
+    var nightMode = String(args.inputs.nightMode || 'off');
+    if (['off', 'add', 'replace'].indexOf(nightMode) === -1) nightMode = 'off';
+    var drcRatio = audioPrepUtils_1.parseNumberInRange(args.inputs.drcRatio, 1, 20, 4);
+    var drcThreshold = audioPrepUtils_1.parseNumberInRange(args.inputs.drcThreshold, -60, 0, -24);
+    var dialogueEmphasis = audioPrepUtils_1.parseNumberInRange(args.inputs.dialogueEmphasis, 0, 12, 3);
+    if (downmixPreset !== 'custom' && !audioPrepUtils_1.DOWNMIX_PRESETS[downmixPreset]) {
+        args.jobLog('WARNING: Unknown downmix preset "' + downmixPreset + '", using dialogue');
+        downmixPreset = 'dialogue';
+    }
     // Normalize priority lists so "en,fr" works the same as "eng,fre"
     var languagePriority = (args.inputs.languages || 'eng').split(',').map(function(s) {
-        return normalizeLangCode(s.trim());
+        return audioPrepUtils_1.normalizeLangCode(s.trim());
     });
     var codecPriority = (args.inputs.codecs || 'eac3,dts,aac').split(',').map(function(s) {
-        return normalizeCodecForSort(s.trim());
+        return audioPrepUtils_1.normalizeCodecForSort(s.trim());
     });
-    var defaultLanguage = normalizeLangCode(args.inputs.defaultLanguage || 'eng');
+    var defaultLanguage = audioPrepUtils_1.normalizeLangCode(args.inputs.defaultLanguage || 'eng');
+    var titleTemplate = String(args.inputs.titleTemplate || audioPrepUtils_1.DEFAULT_TITLE_TEMPLATE);
+    var decodeCheck = args.inputs.decodeCheck === true || args.inputs.decodeCheck === 'true';
+    var maxSilenceSeconds = audioPrepUtils_1.parseNumberInRange(args.inputs.maxSilenceSeconds, 1, 3600, 30);
+    var outputContainer = String(args.inputs.outputContainer || 'source');
+    if (['source', 'mkv', 'mp4'].indexOf(outputContainer) === -1) {
+        throw new Error('Invalid output container "' + outputContainer + '", must be source/mkv/mp4');
+    }
+    var brokenTrackAction = String(args.inputs.brokenTrackAction || 'off');
+    if (['off', 'exclude', 'remove', 'review'].indexOf(brokenTrackAction) === -1) {
+        throw new Error('Invalid broken source tracks action "' + brokenTrackAction + '", must be off/exclude/remove/review');
+    }
+    var planOnly = args.inputs.planOnly === true || args.inputs.planOnly === 'true';
+
+    // Published up front and filled in as we go, so every exit leaves a status behind
+    var completeResult = {
+        status: 'error',
+        reason: '',
+        mainAudioIndex: -1,
+        mainCodec: '',
+        mainChannels: 0,
+        mainLanguage: '',
+        originalLanguage: '',
+        ddpCreated: false,
+        stereoCreated: false,
+        nightCreated: false,
+        conversions: [],
+        removed: [],
+        brokenTracks: [],
+        container: '',
+        subtitles: [],
+        droppedAttachments: 0,
+        reordered: false,
+        retitled: false,
+        tracks: [],
+        trackTitles: '',
+    };
+    audioPrepUtils_1.setAudioPrepVariable(args, 'processAudioComplete', completeResult);
+    // Real errors throw so the flow's error output fires; output 2 only means nothing to do
+    var stopCancelWatch = function() {};
+    var fail = function(message) {
+        stopCancelWatch();
+        completeResult.status = 'error';
+        completeResult.reason = message;
+        return new Error(message);
+    };
+    var pruneTracks = args.inputs.pruneTracks === true || args.inputs.pruneTracks === 'true';
+    var pruneOptions = {
+        languages: args.inputs.pruneLanguages === true || args.inputs.pruneLanguages === 'true',
+        duplicates: args.inputs.pruneDuplicates === true || args.inputs.pruneDuplicates === 'true',
+        lossyCores: args.inputs.pruneLossyCores === true || args.inputs.pruneLossyCores === 'true',
+        maxPerLanguage: parseInt(args.inputs.maxTracksPerLanguage, 10) || 0,
+    };
 
     var inputFile = args.inputFileObj._id || args.inputFileObj.file;
     if (!inputFile) {
-        args.jobLog('ERROR: Could not determine input file path');
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('Could not determine input file path');
     }
 
     if (!args.inputFileObj.ffProbeData || !args.inputFileObj.ffProbeData.streams) {
-        args.jobLog('ERROR: No ffprobe data available');
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('No ffprobe data available');
     }
 
     var streams = args.inputFileObj.ffProbeData.streams;
@@ -261,7 +847,8 @@ var plugin = async function (args) {
     // Analyze audio streams
     var audioStreams = [];
     var hasMultichannel = false;
-    var hasEnglishStereo = false;
+    var stereoLanguages = {};    // languages that already have a plain stereo track
+    var nightLanguages = {};     // languages that already have a night mode track
     var mainAudioIndex = 0;      // index into audioStreams array
     var mainAudioChannels = 0;
     var mainAudioLang = defaultLanguage;
@@ -271,7 +858,7 @@ var plugin = async function (args) {
         var s = streams[i];
         if (s.codec_type === 'audio') {
             var lang = (s.tags && s.tags.language) || '';
-            var normLang = normalizeLangCode(lang);
+            var normLang = audioPrepUtils_1.normalizeLangCode(lang);
             var codecLower = (s.codec_name || '').toLowerCase();
             var currentAudioIdx = audioStreams.length;
 
@@ -285,65 +872,275 @@ var plugin = async function (args) {
                 normLang: normLang,
                 profile: s.profile || '',
                 title: (s.tags && s.tags.title) || '',
+                channelLayout: s.channel_layout || '',
+                // mkv stores bitrate in the statistics tags rather than bit_rate
+                bitrate: parseInt(s.bit_rate || (s.tags && (s.tags.BPS || s.tags['BPS-eng'])), 10) || 0,
+                sampleRate: parseInt(s.sample_rate, 10) || 0,
                 isDefault: s.disposition && s.disposition.default === 1,
+                disposition: s.disposition || {},
+                role: audioPrepUtils_1.detectTrackRole((s.tags && s.tags.title) || '', s.disposition),
+                downmixType: audioPrepUtils_1.getDownmixType(s),
+                // Untagged tracks are treated as the default language
+                langKey: normLang === 'und' ? defaultLanguage : normLang,
             });
 
             if (s.channels > 2) {
                 hasMultichannel = true;
             }
 
-            // Track main audio (first audio, or one with default disposition)
-            if (currentAudioIdx === 0 || (s.disposition && s.disposition.default === 1)) {
-                mainAudioIndex = currentAudioIdx;
-                mainAudioChannels = s.channels || 2;
-                mainAudioLang = normLang || defaultLanguage;
-                mainAudioCodec = codecLower;
-            }
-
-            // Check for existing English stereo
-            if (s.channels === 2 && (normLang === 'eng' || !lang || lang === 'und')) {
-                hasEnglishStereo = true;
-            }
         }
     }
 
     if (audioStreams.length === 0) {
         args.jobLog('No audio streams found');
+        completeResult.status = 'not-needed';
+        completeResult.reason = 'no audio streams';
         return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
     }
 
-    // Determine what needs to be done based on MAIN audio track (not any random track)
-    var mainIsDTS = (mainAudioCodec === 'dts' || mainAudioCodec === 'dca');
-    var needsDDP = createDDP && mainIsDTS;
-    var needsStereo = createStereo && (mainAudioChannels > 2) && !hasEnglishStereo;
+    // Broken source tracks (silent, dead channels, truncated, clipped): reuse Check Audio
+    // Track Health results for this file when present, else run the same analysis now
+    if (brokenTrackAction !== 'off') {
+        var trackHealth = null;
+        var reusableHealth = getReusableTrackHealth(args, inputFile, audioStreams);
+        if (reusableHealth) {
+            args.jobLog('Source track health: using Check Audio Track Health results');
+            trackHealth = reusableHealth.tracks;
+        } else if (planOnly) {
+            args.jobLog('Plan only mode: skipping source track analysis (run Check Audio Track Health first to include it)');
+        } else {
+            args.jobLog('Source track health: analyzing ' + audioStreams.length + ' track(s) with astats...');
+            var healthController = new AbortController();
+            stopCancelWatch = audioPrepUtils_1.watchForCancel(function(reason) {
+                args.jobLog('Job cancelled (' + reason + '): stopping source track analysis');
+                healthController.abort();
+            });
+            var healthAnalysis = await audioPrepUtils_1.analyzeAudioTracks(ffmpegCli, inputFile, audioStreams, 0, healthController.signal);
+            stopCancelWatch();
+            if (healthController.signal.aborted) {
+                throw fail('Job cancelled');
+            }
+            if (healthAnalysis.error) {
+                throw fail('Source track analysis failed: ' + healthAnalysis.error);
+            }
+            var healthReference = audioPrepUtils_1.getReferenceDuration(args.inputFileObj.ffProbeData);
+            trackHealth = audioStreams.map(function(as, h) {
+                return audioPrepUtils_1.evaluateTrackHealth(as, healthAnalysis.reports[h], healthReference, HEALTH_DEFAULTS);
+            });
+        }
+
+        (trackHealth || []).forEach(function(health) {
+            if (health.problems.length === 0) return;
+            var brokenTrack = audioStreams[health.audioIndex];
+            brokenTrack.broken = true;
+            completeResult.brokenTracks.push({ audioIndex: health.audioIndex, problems: health.problems });
+            args.jobLog('  Broken source audio ' + health.audioIndex + ' (' + audioPrepUtils_1.getLanguageName(brokenTrack.language, defaultLanguage) + ' ' +
+                audioPrepUtils_1.getCodecDisplayName(brokenTrack.codecLower, brokenTrack.profile) + ' ' + audioPrepUtils_1.getChannelDisplay(brokenTrack.channels, brokenTrack.profile) +
+                (brokenTrack.title ? ', "' + brokenTrack.title + '"' : '') + '): ' + health.problems.join(', '));
+        });
+
+        var brokenCount = completeResult.brokenTracks.length;
+        if (brokenCount > 0 && (brokenTrackAction === 'review' || (brokenTrackAction === 'remove' && brokenCount === audioStreams.length))) {
+            completeResult.status = 'review';
+            completeResult.reason = brokenCount === audioStreams.length ? 'every audio track is broken' : brokenCount + ' broken source track(s)';
+            args.jobLog('Routing to review (output 4): ' + completeResult.reason);
+            return { outputFileObj: args.inputFileObj, outputNumber: 4, variables: args.variables };
+        }
+        if (brokenTrackAction === 'remove') {
+            audioStreams.forEach(function(as) {
+                if (!as.broken) return;
+                as.pruned = true;
+                as.pruneReason = 'broken source: ' + completeResult.brokenTracks.filter(function(bt) {
+                    return bt.audioIndex === as.audioIndex;
+                })[0].problems.join(', ');
+            });
+        } else if (brokenCount > 0) {
+            args.jobLog('Broken source tracks are kept but never used for a downmix');
+        }
+    }
+
+    // Track main audio (one with default disposition, else the first audio).
+    // Commentary, AD and isolated scores only qualify when nothing else exists;
+    // tracks removed as broken never do.
+    mainAudioIndex = -1;
+    for (var ma = 0; ma < audioStreams.length; ma++) {
+        if (audioStreams[ma].role.secondary || audioStreams[ma].pruned) continue;
+        if (mainAudioIndex === -1 || (audioStreams[ma].isDefault && !audioStreams[mainAudioIndex].isDefault)) {
+            mainAudioIndex = ma;
+        }
+    }
+    for (var fm = 0; fm < audioStreams.length && mainAudioIndex === -1; fm++) {
+        if (!audioStreams[fm].pruned) mainAudioIndex = fm;
+    }
+    mainAudioChannels = audioStreams[mainAudioIndex].channels || 2;
+    mainAudioLang = audioStreams[mainAudioIndex].normLang || defaultLanguage;
+    mainAudioCodec = audioStreams[mainAudioIndex].codecLower;
+    completeResult.mainAudioIndex = mainAudioIndex;
+    completeResult.mainCodec = mainAudioCodec;
+    completeResult.mainChannels = audioStreams[mainAudioIndex].channels || 0;
+    completeResult.mainLanguage = mainAudioLang;
+
+    // Work out the original language; it survives pruning and only its main track is "Original"
+    var originalLanguage = audioPrepUtils_1.detectOriginalLanguage(inputFile, args.inputs.originalLanguage, audioStreams.map(function(as) {
+        return { language: as.language, disposition: as.disposition };
+    }), defaultLanguage);
+    var originalLang = originalLanguage.language;
+    args.jobLog('Original language: ' + originalLang + ' (from ' + originalLanguage.source + ')');
+    audioPrepUtils_1.setAudioPrepVariable(args, 'originalLanguage', originalLanguage);
+    completeResult.originalLanguage = originalLang;
+
+    // Prune before anything else so dropped tracks are never converted, downmixed or counted
+    var prunedTracks = audioStreams.filter(function(as) { return as.pruned; });
+    if (pruneTracks) {
+        prunedTracks = prunedTracks.concat(pruneAudioTracks(audioStreams, mainAudioIndex, originalLang, languagePriority, pruneOptions));
+    }
+    if (pruneTracks || prunedTracks.length > 0) {
+        args.jobLog('Pruning: ' + prunedTracks.length + ' of ' + audioStreams.length + ' audio tracks removed');
+        for (var pr = 0; pr < prunedTracks.length; pr++) {
+            var pt = prunedTracks[pr];
+            args.jobLog('  Remove audio ' + pt.audioIndex + ' (' + audioPrepUtils_1.getLanguageName(pt.language, defaultLanguage) + ' ' +
+                audioPrepUtils_1.getCodecDisplayName(pt.codecLower, pt.profile) + ' ' + audioPrepUtils_1.getChannelDisplay(pt.channels, pt.profile) +
+                (pt.bitrate ? ' ' + Math.round(pt.bitrate / 1000) + 'k' : '') + (pt.title ? ', "' + pt.title + '"' : '') +
+                '): ' + pt.pruneReason);
+        }
+    }
+    var needsPrune = prunedTracks.length > 0;
+    completeResult.removed = prunedTracks.map(function(pt) {
+        return { audioIndex: pt.audioIndex, codec: pt.codecLower, language: pt.language, title: pt.title, reason: pt.pruneReason };
+    });
+
+    // Record existing stereo per language (night mode tracks, known by their downmix tag
+    // rather than the title, counted separately when requested)
+    for (var st = 0; st < audioStreams.length; st++) {
+        // A stereo commentary or score is no substitute for a stereo main mix
+        if (audioStreams[st].pruned || audioStreams[st].broken || audioStreams[st].channels !== 2 || audioStreams[st].role.secondary) continue;
+        if (nightMode !== 'off' && audioStreams[st].downmixType === 'night') {
+            nightLanguages[audioStreams[st].langKey] = true;
+        } else {
+            stereoLanguages[audioStreams[st].langKey] = true;
+        }
+    }
+
+    // Determine what needs to be done based on MAIN audio track (not any random track),
+    // or every track when converting all
+    var conversions = [];
+    var skippedObjectAudio = [];
+    if (createDDP) {
+        var convertCandidates = convertAllTracks ? audioStreams : [audioStreams[mainAudioIndex]];
+        for (var ci = 0; ci < convertCandidates.length; ci++) {
+            var candidate = convertCandidates[ci];
+            if (candidate.pruned) continue;
+            var rule = findConversionRule(conversionRules.rules, candidate.codecLower, candidate.profile);
+            if (!rule || rule.codec === audioPrepUtils_1.normalizeCodecForSort(candidate.codecLower)) continue;
+            if (audioPrepUtils_1.isObjectBasedAudio(candidate.profile, candidate.title) && !convertObjectAudio) {
+                skippedObjectAudio.push(candidate);
+                continue;
+            }
+            var maxChannels = CONVERSION_CODECS[rule.codec].maxChannels;
+            conversions.push({
+                track: candidate,
+                rule: rule,
+                bitrate: getRuleBitrate(rule, candidate.channels),
+                channels: Math.min(candidate.channels || 2, maxChannels),
+            });
+        }
+    }
+    var needsConversion = conversions.length > 0;
+    completeResult.conversions = conversions.map(function(conv) {
+        return { audioIndex: conv.track.audioIndex, from: conv.track.codecLower, codec: conv.rule.codec, bitrate: conv.bitrate, channels: conv.channels };
+    });
+    completeResult.ddpCreated = conversions.some(function(conv) { return conv.rule.codec === 'eac3'; });
+
+    // Downmix sources: the main track, plus the best multichannel track of every other
+    // priority language when all-languages is selected
+    var downmixSources = [];
+    if (createStereo) {
+        var mainLangKey = audioStreams[mainAudioIndex].langKey;
+        var sourceLanguages = [mainLangKey];
+        if (allLanguageStereo) {
+            for (var pl = 0; pl < languagePriority.length; pl++) {
+                if (sourceLanguages.indexOf(languagePriority[pl]) === -1) sourceLanguages.push(languagePriority[pl]);
+            }
+        }
+        for (var sl = 0; sl < sourceLanguages.length; sl++) {
+            var srcLang = sourceLanguages[sl];
+            var srcTrack = srcLang === mainLangKey && !audioStreams[mainAudioIndex].broken ?
+                audioStreams[mainAudioIndex] : findDownmixSource(audioStreams, srcLang);
+            if (!srcTrack || !(srcTrack.channels > 2)) continue;
+            var wantStereo = nightMode !== 'replace' && !stereoLanguages[srcLang];
+            var wantNight = nightMode !== 'off' && !nightLanguages[srcLang];
+            if (!wantStereo && !wantNight) continue;
+            downmixSources.push({ track: srcTrack, language: srcLang, stereo: wantStereo, night: wantNight, pan: null });
+        }
+    }
+    var needsDownmix = downmixSources.length > 0;
 
     args.jobLog('Analysis: ' + audioStreams.length + ' audio streams, main is index ' + mainAudioIndex);
     args.jobLog('  Main codec: ' + mainAudioCodec + ', channels: ' + mainAudioChannels);
-    args.jobLog('  Main is DTS: ' + mainIsDTS + ' → Create DD+: ' + needsDDP);
-    args.jobLog('  Has Stereo: ' + hasEnglishStereo + ' → Create Stereo: ' + needsStereo);
+    for (var cl = 0; cl < conversions.length; cl++) {
+        var conv = conversions[cl];
+        args.jobLog('  Convert audio ' + conv.track.audioIndex + ' (' + audioPrepUtils_1.getCodecDisplayName(conv.track.codecLower, conv.track.profile) +
+            ', ' + conv.track.channels + 'ch) → ' + conv.rule.codec.toUpperCase() + (conv.bitrate ? ' ' + conv.bitrate + 'k' : '') +
+            (conv.channels < conv.track.channels ? ' (' + conv.channels + 'ch max)' : '') + ' [rule ' + conv.rule.text + ']');
+    }
+    for (var so = 0; so < skippedObjectAudio.length; so++) {
+        args.jobLog('  Keeping object-based audio ' + skippedObjectAudio[so].audioIndex + ' (' +
+            audioPrepUtils_1.getCodecDisplayName(skippedObjectAudio[so].codecLower, skippedObjectAudio[so].profile) + ') as-is, conversion not enabled for Atmos/DTS:X');
+    }
+    if (!needsConversion) {
+        args.jobLog('  Convert: none');
+    }
+    args.jobLog('  Existing stereo: ' + (Object.keys(stereoLanguages).join(', ') || 'none') +
+        (nightMode !== 'off' ? ', night mode: ' + (Object.keys(nightLanguages).join(', ') || 'none') : ''));
+    if (!needsDownmix) {
+        args.jobLog('  Create Stereo: false');
+    }
+
+    // Resolve and validate the downmix matrix for each source before building anything
+    for (var ds = 0; ds < downmixSources.length; ds++) {
+        var dsrc = downmixSources[ds];
+        var created = [];
+        if (dsrc.stereo) created.push('stereo');
+        if (dsrc.night) created.push('night mode');
+        args.jobLog('  Create ' + created.join(' + ') + ' for ' + dsrc.language + ' from audio ' + dsrc.track.audioIndex +
+            ' (' + dsrc.track.codecLower + ', ' + dsrc.track.channels + 'ch)');
+        dsrc.pan = audioPrepUtils_1.getPanFilter(dsrc.track.channels, dsrc.track.channelLayout, downmixPreset, customMatrix);
+        if (dsrc.pan.error) {
+            throw fail('Invalid downmix matrix for ' + dsrc.language + ': ' + dsrc.pan.error);
+        }
+        args.jobLog('    Downmix preset: ' + dsrc.pan.preset + ' (' + downmixPreset + '), layout ' + dsrc.pan.branch);
+        args.jobLog('    Pan expression: ' + dsrc.pan.filter);
+    }
 
     // Build output audio track list
     // Structure: [{source, codec, bitrate, filter, title, language, isNew}]
     var outputAudio = [];
 
-    // If creating DD+, add it first (from the main audio track)
-    if (needsDDP) {
+    // Converted tracks (placed next to their source when ordering below)
+    for (var cv = 0; cv < conversions.length; cv++) {
+        var conversion = conversions[cv];
         outputAudio.push({
-            source: '0:a:' + mainAudioIndex,
+            source: '0:a:' + conversion.track.audioIndex,
             filterLabel: null,
-            codec: 'eac3',
-            bitrate: 640,
+            codec: conversion.rule.codec,
+            bitrate: conversion.bitrate,
             title: null, // Will be set later
-            language: mainAudioLang,
-            channels: mainAudioChannels,
+            language: conversion.track.language || mainAudioLang,
+            channels: conversion.channels,
+            forceChannels: conversion.channels < conversion.track.channels ? conversion.channels : null,
+            channelLayout: conversion.channels < conversion.track.channels ?
+                audioPrepUtils_1.DEFAULT_LAYOUT_BY_CHANNELS[conversion.channels] : conversion.track.channelLayout,
+            sourceAudioIndex: conversion.track.audioIndex,
+            convertedFrom: conversion.track.audioIndex,
             isNew: true,
-            isDDP: true,
+            isConverted: true,
         });
     }
 
-    // Add all original audio (will be copied)
+    // Add all original audio that survived pruning (will be copied)
     for (var j = 0; j < audioStreams.length; j++) {
         var as = audioStreams[j];
+        if (as.pruned) continue;
         outputAudio.push({
             source: '0:a:' + as.audioIndex,
             filterLabel: null,
@@ -354,125 +1151,297 @@ var plugin = async function (args) {
             channels: as.channels,
             profile: as.profile,
             originalCodec: as.codec,
+            channelLayout: as.channelLayout,
+            sourceAudioIndex: as.audioIndex,
+            audioIndex: as.audioIndex,
             isNew: false,
-            isDDP: false,
+            isConverted: false,
         });
     }
 
-    // If creating stereo, add it last
-    var stereoFilterLabel = null;
-    if (needsStereo) {
-        stereoFilterLabel = 'stereo_out';
+    // If creating stereo / night mode, add them last in source priority order
+    // (tracks from the same source share the pan, split in the filter graph)
+    var downmixes = [];
+    for (var dsi = 0; dsi < downmixSources.length; dsi++) {
+        var dmSource = downmixSources[dsi];
+        if (dmSource.stereo) {
+            downmixes.push({
+                source: dmSource,
+                type: 'stereo',
+                filterLabel: 'stereo_' + dmSource.language,
+                drcFilter: '',
+                descriptor: '',
+            });
+        }
+        if (dmSource.night) {
+            downmixes.push({
+                source: dmSource,
+                type: 'night',
+                filterLabel: 'night_' + dmSource.language,
+                drcFilter: audioPrepUtils_1.buildNightModeFilter(drcRatio, drcThreshold, dialogueEmphasis),
+                descriptor: 'Night Mode',
+            });
+        }
+    }
+    completeResult.stereoCreated = downmixes.some(function(dm) { return dm.type === 'stereo'; });
+    completeResult.nightCreated = downmixes.some(function(dm) { return dm.type === 'night'; });
+    for (var d = 0; d < downmixes.length; d++) {
         outputAudio.push({
             source: null,
-            filterLabel: stereoFilterLabel,
+            filterLabel: downmixes[d].filterLabel,
             codec: 'aac',
             bitrate: stereoBitrate,
             title: null,
-            language: mainAudioLang,
+            language: downmixes[d].source.track.language ? downmixes[d].source.track.language : mainAudioLang,
             channels: 2,
+            forceChannels: 2,
+            channelLayout: 'stereo',
+            sourceAudioIndex: downmixes[d].source.track.audioIndex,
+            descriptor: downmixes[d].descriptor,
+            downmixType: downmixes[d].type,
             isNew: true,
-            isDDP: false,
+            isConverted: false,
             isStereo: true,
         });
     }
 
     // Sort by language priority, then codec priority
-    // But keep new tracks (DD+, stereo) in their logical positions
+    // But keep new tracks (converted, stereo) in their logical positions
     var originalTracks = outputAudio.filter(function(t) { return !t.isNew; });
-    var newDDP = outputAudio.filter(function(t) { return t.isDDP; });
+    var newConverted = outputAudio.filter(function(t) { return t.isConverted; });
     var newStereo = outputAudio.filter(function(t) { return t.isStereo; });
 
-    // Sort original tracks
+    // Sort original tracks: language, main feature before commentary/AD/score, codec,
+    // then more channels, higher bitrate and the source's default flag
     originalTracks.sort(function(a, b) {
-        var aLangIdx = languagePriority.indexOf(normalizeLangCode(a.language));
-        var bLangIdx = languagePriority.indexOf(normalizeLangCode(b.language));
+        var aStream = audioStreams[a.sourceAudioIndex];
+        var bStream = audioStreams[b.sourceAudioIndex];
+        var aLangIdx = languagePriority.indexOf(audioPrepUtils_1.normalizeLangCode(a.language));
+        var bLangIdx = languagePriority.indexOf(audioPrepUtils_1.normalizeLangCode(b.language));
         if (aLangIdx === -1) aLangIdx = 999;
         if (bLangIdx === -1) bLangIdx = 999;
         if (aLangIdx !== bLangIdx) return aLangIdx - bLangIdx;
 
-        var aCodecIdx = codecPriority.indexOf(normalizeCodecForSort(a.originalCodec));
-        var bCodecIdx = codecPriority.indexOf(normalizeCodecForSort(b.originalCodec));
+        if (aStream.role.secondary !== bStream.role.secondary) return aStream.role.secondary ? 1 : -1;
+
+        var aCodecIdx = codecPriority.indexOf(audioPrepUtils_1.normalizeCodecForSort(a.originalCodec));
+        var bCodecIdx = codecPriority.indexOf(audioPrepUtils_1.normalizeCodecForSort(b.originalCodec));
         if (aCodecIdx === -1) aCodecIdx = 999;
         if (bCodecIdx === -1) bCodecIdx = 999;
-        return aCodecIdx - bCodecIdx;
-    });
+        if (aCodecIdx !== bCodecIdx) return aCodecIdx - bCodecIdx;
 
-    // Final order: DD+ (if created) → sorted originals → stereo (if created)
-    outputAudio = newDDP.concat(originalTracks).concat(newStereo);
+        if ((aStream.channels || 0) !== (bStream.channels || 0)) return (bStream.channels || 0) - (aStream.channels || 0);
+        if (aStream.bitrate !== bStream.bitrate) return bStream.bitrate - aStream.bitrate;
+        if (aStream.isDefault !== bStream.isDefault) return aStream.isDefault ? -1 : 1;
+        return aStream.audioIndex - bStream.audioIndex;
+    });
 
-    // Generate titles and track "Original" status
-    var seenLanguages = {};
+    // Final order: main conversion (if created) → sorted originals, each other conversion
+    // just before its source → stereo (if created)
+    outputAudio = newConverted.filter(function(t) { return t.convertedFrom === mainAudioIndex; });
+    for (var ot = 0; ot < originalTracks.length; ot++) {
+        for (var nc = 0; nc < newConverted.length; nc++) {
+            if (newConverted[nc].convertedFrom !== mainAudioIndex && newConverted[nc].convertedFrom === originalTracks[ot].audioIndex) {
+                outputAudio.push(newConverted[nc]);
+            }
+        }
+        outputAudio.push(originalTracks[ot]);
+    }
+    outputAudio = outputAudio.concat(newStereo);
+
+    // "Original" goes to one kept track of the original language, picked the same way
+    // Normalize Audio Titles picks it
+    var originalAudioIndex = audioPrepUtils_1.selectOriginalTrack(originalTracks.filter(function(t) {
+        return audioStreams[t.sourceAudioIndex].langKey === originalLang;
+    }).map(function(t) {
+        var stream = audioStreams[t.sourceAudioIndex];
+        return {
+            index: stream.audioIndex,
+            codec: t.originalCodec,
+            channels: stream.channels,
+            bitrate: stream.bitrate,
+            isDefault: stream.isDefault,
+            isFlagged: stream.role.flags.original,
+            descriptor: stream.role.descriptor || (stream.downmixType === 'night' ? 'Night Mode' : ''),
+        };
+    }), codecPriority);
+
+    // Generate titles
     for (var k = 0; k < outputAudio.length; k++) {
         var track = outputAudio[k];
-        var lang = normalizeLangCode(track.language) || defaultLanguage;
-        var langName = getLanguageName(track.language, defaultLanguage);
-
-        // Only original (non-new) tracks can be labeled "Original"
-        // Only mark language as seen when we encounter a non-new track
-        var isOriginal = !seenLanguages[lang] && !track.isNew;
-        if (!track.isNew) {
-            seenLanguages[lang] = true;
-        }
-
-        var codecDisplay;
-        if (track.isDDP) {
-            codecDisplay = 'DD+';
-        } else if (track.isStereo) {
-            codecDisplay = 'AAC';
+        var sourceStream = audioStreams[track.sourceAudioIndex];
+
+        // New tracks share their source's role (a converted commentary is still commentary),
+        // but only the source itself can be the original
+        var role = sourceStream.role;
+        track.roleFlags = Object.assign({}, role.flags);
+        if (track.isNew) {
+            track.roleFlags.original = false;
         } else {
-            codecDisplay = getCodecDisplayName(track.originalCodec, track.profile);
+            track.inferredDispositions = role.inferred;
         }
 
-        var channelDisplay = getChannelDisplay(track.channels, track.profile);
+        // Commentary etc. keep their descriptor and are never the "Original"; so does a
+        // night mode downmix from an earlier run, known by its tag
+        var descriptor = track.descriptor || role.descriptor || (sourceStream.downmixType === 'night' ? 'Night Mode' : '');
+
+        // Only the track picked above is labeled "Original", never a new track made from it
+        var isOriginal = !track.isNew && sourceStream.audioIndex === originalAudioIndex;
+
+        track.title = audioPrepUtils_1.renderTitleTemplate(titleTemplate, audioPrepUtils_1.buildTitleTokens({
+            language: track.language,
+            defaultLanguage: defaultLanguage,
+            codec: track.isNew ? track.codec : track.originalCodec,
+            profile: track.isNew ? '' : track.profile,
+            channels: track.channels,
+            channelLayout: track.channelLayout,
+            bitrate: track.isNew ? (track.bitrate || 0) * 1000 : sourceStream.bitrate,
+            sampleRate: sourceStream.sampleRate,
+            descriptor: descriptor,
+            isOriginal: isOriginal,
+        }));
+
+        args.jobLog('Output audio ' + k + ': ' + track.title + (track.isNew ? ' (new)' : '') +
+            (track.inferredDispositions && track.inferredDispositions.length > 0 ? ', adding disposition ' + track.inferredDispositions.join('+') : ''));
+    }
 
-        // Don't duplicate "Atmos" if it's in both codec and channel display
-        if (codecDisplay.indexOf('Atmos') !== -1 && channelDisplay === 'Atmos') {
-            channelDisplay = track.channels === 8 ? '7.1' : '5.1';
+    // Check if reordering or title changes are needed
+    var needsReorder = false;
+    var needsTitleFix = false;
+
+    // Compare titles by looking up the correct source stream (after sorting)
+    for (var m = 0; m < originalTracks.length; m++) {
+        var ot = originalTracks[m];
+        var srcIdx = parseAudioIndexFromSource(ot.source);
+        var origStream = (srcIdx >= 0) ? audioStreams[srcIdx] : null;
+        if (origStream && ((origStream.title || '') !== (ot.title || '') || ot.inferredDispositions.length > 0)) {
+            needsTitleFix = true;
+            break;
         }
+    }
 
-        var titleParts = [langName];
-        if (isOriginal && !track.isNew) titleParts.push('Original');
-        track.title = titleParts.join(' ') + ' - ' + codecDisplay + ' - ' + channelDisplay;
-
-        args.jobLog('Output audio ' + k + ': ' + track.title + (track.isNew ? ' (new)' : ''));
+    // Default goes to the first main-feature track, never to commentary / AD / isolated score
+    var defaultAudioPos = -1;
+    for (var dp = 0; dp < outputAudio.length; dp++) {
+        if (!audioStreams[outputAudio[dp].sourceAudioIndex].role.secondary) {
+            defaultAudioPos = dp;
+            break;
+        }
     }
 
-    // Check if any actual changes are needed
-    if (!needsDDP && !needsStereo) {
-        // Check if reordering or title changes are needed
-        var needsReorder = false;
-        var needsTitleFix = false;
-
-        // Compare titles by looking up the correct source stream (after sorting)
-        for (var m = 0; m < originalTracks.length; m++) {
-            var ot = originalTracks[m];
-            var srcIdx = parseAudioIndexFromSource(ot.source);
-            var origStream = (srcIdx >= 0) ? audioStreams[srcIdx] : null;
-            if (origStream && (origStream.title || '') !== (ot.title || '')) {
-                needsTitleFix = true;
-                break;
-            }
+    // Kept tracks whose dispositions change (the default moving off a commentary, say)
+    var needsDispositionFix = false;
+    for (var q = 0; q < outputAudio.length; q++) {
+        if (outputAudio[q].isNew) continue;
+        var qStream = audioStreams[outputAudio[q].sourceAudioIndex];
+        var currentFlags = Object.keys(qStream.disposition).filter(function(name) {
+            return qStream.disposition[name] === 1;
+        }).sort().join('+') || '0';
+        var plannedFlags = audioPrepUtils_1.buildDispositionValue(qStream.disposition, outputAudio[q].roleFlags, q === defaultAudioPos)
+            .split('+').sort().join('+');
+        if (currentFlags !== plannedFlags) {
+            needsDispositionFix = true;
+            break;
         }
+    }
 
-        // Check if tracks are already in desired order
-        for (var n = 0; n < originalTracks.length; n++) {
-            var expectedSource = '0:a:' + n;
-            if (originalTracks[n].source !== expectedSource) {
-                needsReorder = true;
-                break;
-            }
+    // Check if kept tracks are already in desired order (pruned tracks leave gaps)
+    for (var n = 1; n < originalTracks.length; n++) {
+        if (originalTracks[n].audioIndex < originalTracks[n - 1].audioIndex) {
+            needsReorder = true;
+            break;
         }
+    }
 
-        if (!needsReorder && !needsTitleFix) {
+    completeResult.reordered = needsReorder;
+    completeResult.retitled = needsTitleFix;
+    completeResult.tracks = outputAudio.map(function(t, pos) {
+        return {
+            index: pos,
+            source: '0:a:' + t.sourceAudioIndex,
+            action: t.isConverted ? 'convert' : (t.isNew ? 'create' : 'copy'),
+            codec: t.codec === 'copy' ? t.originalCodec : t.codec,
+            channels: t.channels,
+            language: audioPrepUtils_1.normalizeLangCode(t.language || defaultLanguage),
+            title: t.title,
+        };
+    });
+    completeResult.trackTitles = outputAudio.map(function(t) { return t.title; }).join(' | ');
+
+    // Check if any actual changes are needed
+    if (!needsConversion && !needsDownmix && !needsPrune) {
+        if (!needsReorder && !needsTitleFix && !needsDispositionFix) {
             args.jobLog('No processing needed - file already optimal');
+            completeResult.status = 'not-needed';
+            completeResult.reason = 'file already optimal';
             return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
         }
-        args.jobLog('Processing needed: reorder=' + needsReorder + ', titleFix=' + needsTitleFix);
+        args.jobLog('Processing needed: reorder=' + needsReorder + ', titleFix=' + needsTitleFix +
+            ', dispositionFix=' + needsDispositionFix);
     }
 
     // Build ffmpeg command
-    var outputFilePath = (0, fileUtils_1.getPluginWorkDir)(args) + '/' + (0, fileUtils_1.getFileName)(inputFile) + '.mkv';
+    // Output container: MP4/M4V sources stay MP4 unless MKV was chosen, everything else is MKV
+    var sourceExt = path.extname(inputFile).toLowerCase();
+    var sourceIsMp4 = MP4_EXTENSIONS.indexOf(sourceExt) !== -1;
+    var containerFormat = outputContainer === 'source' ? (sourceIsMp4 ? 'mp4' : 'mkv') : outputContainer;
+    var outputExt = containerFormat === 'mkv' ? '.mkv' : (sourceIsMp4 ? sourceExt : '.mp4');
+    var outputFilePath = (0, fileUtils_1.getPluginWorkDir)(args) + '/' + (0, fileUtils_1.getFileName)(inputFile) + outputExt;
+    args.jobLog('Output container: ' + containerFormat + ' (' + outputExt + ')');
+
+    // Subtitles and attachments the output container can't hold are converted or dropped
+    var containerPlan = {
+        format: containerFormat,
+        subtitles: streams.filter(function(st) { return st.codec_type === 'subtitle'; }).map(function(st, subIndex) {
+            var planned = planSubtitleStream(st.codec_name, containerFormat);
+            planned.index = subIndex;
+            planned.sourceCodec = st.codec_name || '?';
+            planned.language = (st.tags && st.tags.language) || '';
+            planned.title = (st.tags && st.tags.title) || '';
+            return planned;
+        }),
+        dropAttachments: containerFormat === 'mp4',
+    };
+    containerPlan.subtitles.forEach(function(sub) {
+        if (sub.action === 'copy') return;
+        args.jobLog('  Subtitle s:' + sub.index + ' (' + sub.sourceCodec + (sub.language ? ', ' + sub.language : '') +
+            (sub.title ? ', "' + sub.title + '"' : '') + '): ' + (sub.action === 'convert' ?
+            'converted to ' + sub.codec + (/^(ass|ssa)$/.test(sub.sourceCodec) ? ' (styling lost)' : '') :
+            'dropped, ' + containerFormat.toUpperCase() + ' cannot store ' + sub.sourceCodec));
+    });
+    var attachmentStreams = streams.filter(function(st) { return st.codec_type === 'attachment'; });
+    if (containerPlan.dropAttachments) {
+        attachmentStreams.forEach(function(st, attIndex) {
+            args.jobLog('  Attachment t:' + attIndex + ' (' + ((st.tags && st.tags.filename) || st.codec_name || '?') +
+                '): dropped, MP4 has no attachments');
+        });
+        completeResult.droppedAttachments = attachmentStreams.length;
+    }
+    completeResult.container = containerFormat;
+    completeResult.subtitles = containerPlan.subtitles.map(function(sub) {
+        return { index: sub.index, codec: sub.sourceCodec, action: sub.action, outputCodec: sub.action === 'drop' ? null : sub.codec };
+    });
+
+    if (containerFormat === 'mp4') {
+        var unsupportedAudio = completeResult.tracks.filter(function(t) {
+            return MP4_AUDIO_CODECS.indexOf(audioPrepUtils_1.normalizeCodecForSort(t.codec)) === -1;
+        });
+        if (unsupportedAudio.length > 0) {
+            throw fail('MP4 cannot hold ' + unsupportedAudio.map(function(t) { return 'a:' + t.index + ' ' + t.codec; }).join(', ') +
+                ' - add a conversion rule for it or use MKV output');
+        }
+    }
+
+    var cancelled = false;
+    var cancelController = new AbortController();
+    if (!planOnly) {
+        stopCancelWatch = audioPrepUtils_1.watchForCancel(function(reason) {
+            cancelled = true;
+            args.jobLog('Job cancelled (' + reason + '): stopping ffmpeg and cleaning up');
+            cancelController.abort();
+            try { fs.unlinkSync(outputFilePath); } catch (e) { }
+        });
+    }
 
     var filterComplex = '';
     var mapArgs = [];
@@ -482,19 +1451,62 @@ var plugin = async function (args) {
     // Map video and other streams
     mapArgs.push('-map', '0:v?');
 
-    // Build filter_complex for stereo if needed (from main audio track)
-    if (needsStereo) {
-        var panFilter = getPanFilter(mainAudioChannels);
-        var stereoFilters = panFilter;
-        if (normalize) {
-            stereoFilters += ',loudnorm=I=' + loudnormTarget + ':TP=-1.5:LRA=11';
+    // Build filter_complex for the downmixes if needed (one pan per source track)
+    if (needsDownmix) {
+        if (normalize && twoPassLoudnorm && planOnly) {
+            args.jobLog('Plan only mode: skipping loudness measurement, plan shows the pass 2 graph without measured values');
+        } else if (normalize && twoPassLoudnorm) {
+            args.jobLog('Loudnorm pass 1: measuring downmix loudness...');
+            var measurement = await audioPrepUtils_1.measureLoudness(ffmpegCli, inputFile, downmixes.map(function(dm) {
+                return '[0:a:' + dm.source.track.audioIndex + ']' + dm.source.pan.filter + (dm.drcFilter ? ',' + dm.drcFilter : '');
+            }), loudnormTarget, 0, cancelController.signal);
+            if (cancelled) {
+                throw fail('Job cancelled');
+            }
+            if (measurement.error) {
+                args.jobLog('WARNING: Loudness measurement failed (' + measurement.error + '), falling back to dynamic loudnorm');
+            }
+            for (var mi = 0; mi < downmixes.length; mi++) {
+                downmixes[mi].measured = measurement.measured ? measurement.measured[mi] : null;
+                if (downmixes[mi].measured) {
+                    args.jobLog('Measured ' + downmixes[mi].filterLabel + ': ' + audioPrepUtils_1.formatLoudness(downmixes[mi].measured) +
+                        ', offset=' + downmixes[mi].measured.offset);
+                }
+            }
         }
-        stereoFilters += ',alimiter=limit=0.95';
 
-        filterComplex = '[0:a:' + mainAudioIndex + ']' + stereoFilters + '[' + stereoFilterLabel + ']';
+        // pan -> (compress) -> normalize -> limit, with asplit when several tracks share the pan.
+        // downmixes is grouped by source, so loudnorm reports come out in downmixes order.
+        var graph = [];
+        for (var gs = 0; gs < downmixSources.length; gs++) {
+            var graphSource = downmixSources[gs];
+            var sourceDownmixes = downmixes.filter(function(dm) { return dm.source === graphSource; });
+            var sourceChain = '[0:a:' + graphSource.track.audioIndex + ']' + graphSource.pan.filter;
+            var chainInputs = [];
+            if (sourceDownmixes.length === 1) {
+                chainInputs.push(sourceChain + ',');
+            } else {
+                chainInputs = sourceDownmixes.map(function(dm) { return '[dmx_' + dm.filterLabel + ']'; });
+                graph.push(sourceChain + ',asplit=' + sourceDownmixes.length + chainInputs.join(''));
+            }
+            for (var di = 0; di < sourceDownmixes.length; di++) {
+                var chainFilters = [];
+                if (sourceDownmixes[di].drcFilter) chainFilters.push(sourceDownmixes[di].drcFilter);
+                if (normalize) {
+                    // Two-pass prints every report so achieved values line up with tracks
+                    chainFilters.push(audioPrepUtils_1.buildLoudnormFilter(loudnormTarget, sourceDownmixes[di].measured, twoPassLoudnorm));
+                }
+                chainFilters.push('alimiter=limit=0.95');
+                // Full per-track chain (pan included) for the plan
+                sourceDownmixes[di].filter = [graphSource.pan.filter].concat(chainFilters).join(',');
+                graph.push(chainInputs[di] + chainFilters.join(',') + '[' + sourceDownmixes[di].filterLabel + ']');
+            }
+        }
+        filterComplex = graph.join(';');
     }
 
     // Map audio in the correct order
+    var planAudio = [];
     for (var p = 0; p < outputAudio.length; p++) {
         var audioTrack = outputAudio[p];
 
@@ -505,30 +1517,83 @@ var plugin = async function (args) {
         }
 
         // Codec settings
-        if (audioTrack.codec === 'copy') {
-            codecArgs.push('-c:a:' + p, 'copy');
-        } else if (audioTrack.codec === 'eac3') {
-            codecArgs.push('-c:a:' + p, 'eac3', '-b:a:' + p, audioTrack.bitrate + 'k');
-        } else if (audioTrack.codec === 'aac') {
-            codecArgs.push('-c:a:' + p, 'aac', '-b:a:' + p, audioTrack.bitrate + 'k', '-ac:a:' + p, '2');
+        codecArgs.push('-c:a:' + p, audioTrack.codec);
+        if (audioTrack.codec !== 'copy') {
+            if (audioTrack.bitrate) codecArgs.push('-b:a:' + p, audioTrack.bitrate + 'k');
+            if (audioTrack.forceChannels) codecArgs.push('-ac:a:' + p, String(audioTrack.forceChannels));
         }
 
         // Metadata
+        // MP4 players show handler_name as the track name and expect ISO 639-2/T codes
+        var outputLanguage = audioPrepUtils_1.normalizeLangCode(audioTrack.language || defaultLanguage);
+        var writtenLanguage = containerFormat === 'mp4' ? toTerminologyCode(outputLanguage) : outputLanguage;
         metadataArgs.push('-metadata:s:a:' + p, 'title=' + audioTrack.title);
-        metadataArgs.push('-metadata:s:a:' + p, 'language=' + normalizeLangCode(audioTrack.language || defaultLanguage));
+        if (containerFormat === 'mp4') {
+            metadataArgs.push('-metadata:s:a:' + p, 'handler_name=' + audioTrack.title);
+        }
+        metadataArgs.push('-metadata:s:a:' + p, 'language=' + writtenLanguage);
+        if (audioTrack.downmixType) {
+            metadataArgs.push('-metadata:s:a:' + p, audioPrepUtils_1.DOWNMIX_TAG + '=' + audioTrack.downmixType);
+        }
 
-        // Disposition - first track is default
-        if (p === 0) {
-            metadataArgs.push('-disposition:a:' + p, 'default');
-        } else {
-            metadataArgs.push('-disposition:a:' + p, '0');
+        // Disposition - main-feature track is default, role flags (commentary, ...) are kept or written back
+        var outputDisposition = audioPrepUtils_1.buildDispositionValue(
+            audioTrack.isNew ? {} : audioStreams[audioTrack.sourceAudioIndex].disposition, audioTrack.roleFlags, p === defaultAudioPos);
+        metadataArgs.push('-disposition:a:' + p, outputDisposition);
+        completeResult.tracks[p].disposition = outputDisposition;
+
+        if (planOnly) {
+            var planDownmix = audioTrack.filterLabel ? downmixes.filter(function(dm) {
+                return dm.filterLabel === audioTrack.filterLabel;
+            })[0] : null;
+            var planDisposition = {};
+            outputDisposition.split('+').forEach(function(flag) {
+                if (flag !== '0') planDisposition[flag] = 1;
+            });
+            planAudio.push({
+                position: p,
+                source: '0:a:' + audioTrack.sourceAudioIndex,
+                action: audioTrack.isConverted ? 'convert' : (audioTrack.isNew ? 'create' : 'copy'),
+                codec: audioTrack.codec === 'copy' ? audioTrack.originalCodec : audioTrack.codec,
+                bitrate: audioTrack.codec !== 'copy' && audioTrack.bitrate ? audioTrack.bitrate + 'k' : null,
+                channels: audioTrack.channels,
+                language: writtenLanguage,
+                title: audioTrack.title,
+                disposition: planDisposition,
+                filter: planDownmix ? planDownmix.filter : '',
+            });
         }
     }
 
-    // Map subtitles, attachments, and preserve metadata/chapters
-    mapArgs.push('-map', '0:s?', '-map', '0:t?');
+    // Map subtitles and attachments as the container allows, and preserve metadata/chapters
+    var keptSubtitles = containerPlan.subtitles.filter(function(sub) { return sub.action !== 'drop'; });
+    var copyAllSubtitles = containerPlan.subtitles.every(function(sub) { return sub.action === 'copy'; });
+    if (copyAllSubtitles) {
+        mapArgs.push('-map', '0:s?');
+    } else {
+        keptSubtitles.forEach(function(sub) { mapArgs.push('-map', '0:s:' + sub.index); });
+    }
+    if (!containerPlan.dropAttachments) {
+        mapArgs.push('-map', '0:t?');
+    }
     mapArgs.push('-map_metadata', '0', '-map_chapters', '0');
-    codecArgs.push('-c:v', 'copy', '-c:s', 'copy', '-c:t', 'copy');
+    codecArgs.push('-c:v', 'copy');
+    if (copyAllSubtitles) {
+        codecArgs.push('-c:s', 'copy');
+    } else {
+        keptSubtitles.forEach(function(sub, pos) {
+            codecArgs.push('-c:s:' + pos, sub.action === 'convert' ? sub.encoder : 'copy');
+        });
+    }
+    if (!containerPlan.dropAttachments) {
+        codecArgs.push('-c:t', 'copy');
+    }
+    if (containerFormat === 'mp4') {
+        keptSubtitles.forEach(function(sub, pos) {
+            if (sub.language) metadataArgs.push('-metadata:s:s:' + pos, 'language=' + toTerminologyCode(sub.language));
+            if (sub.title) metadataArgs.push('-metadata:s:s:' + pos, 'handler_name=' + sub.title);
+        });
+    }
 
     // Build full command
     var spawnArgs = ['-y', '-i', inputFile];
@@ -538,20 +1603,46 @@ var plugin = async function (args) {
     spawnArgs = spawnArgs.concat(mapArgs).concat(codecArgs).concat(metadataArgs);
     spawnArgs.push(outputFilePath);
 
+    if (planOnly) {
+        audioPrepUtils_1.recordPlan(args, {
+            plugin: 'processAudioComplete',
+            file: inputFile,
+            container: containerFormat,
+            subtitles: completeResult.subtitles,
+            droppedAttachments: completeResult.droppedAttachments,
+            loudnorm: needsDownmix && normalize ? (twoPassLoudnorm ? 'two-pass (measured at run time)' : 'dynamic') : 'off',
+            audio: planAudio,
+            removed: audioStreams.filter(function(st) { return st.pruned; }).map(function(st) {
+                return {
+                    source: '0:a:' + st.audioIndex,
+                    codec: st.codec,
+                    channels: st.channels,
+                    language: st.language || '',
+                    title: st.title || '',
+                    reason: st.pruneReason,
+                };
+            }),
+            filterComplex: filterComplex,
+            ffmpegArgs: [ffmpegCli].concat(spawnArgs),
+        });
+        completeResult.status = 'planned';
+        return { outputFileObj: args.inputFileObj, outputNumber: 3, variables: args.variables };
+    }
+
     args.jobLog('Executing ffmpeg with ' + spawnArgs.length + ' args');
     args.jobLog('Filter: ' + (filterComplex || 'none'));
 
     // Update worker with CLI info for progress display
     args.updateWorker({
-        CLIType: args.ffmpegPath,
+        CLIType: ffmpegCli,
         preset: spawnArgs.join(' '),
     });
 
     // Run ffmpeg with progress reporting
     var cli = new cliUtils_1.CLI({
-        cli: args.ffmpegPath,
+        cli: ffmpegCli,
         spawnArgs: spawnArgs,
-        spawnOpts: {},
+        spawnOpts: { signal: cancelController.signal },
         jobLog: args.jobLog,
         outputFilePath: outputFilePath,
         inputFileObj: args.inputFileObj,
@@ -562,31 +1653,126 @@ var plugin = async function (args) {
 
     var cliResult = await cli.runCli();
 
+    if (cancelled) {
+        try { fs.unlinkSync(outputFilePath); } catch (e) { }
+        throw fail('Job cancelled');
+    }
     if (cliResult.cliExitCode !== 0) {
-        args.jobLog('FFmpeg failed with exit code: ' + cliResult.cliExitCode);
         try { fs.unlinkSync(outputFilePath); } catch (e) { }
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('FFmpeg failed with exit code: ' + cliResult.cliExitCode);
     }
 
     args.jobLog('FFmpeg completed successfully');
 
-    // Verify output
-    var inputStats, outputStats;
+    // Second pass reports what linear loudnorm actually achieved.
+    // stereoLoudness / nightLoudness describe the first (highest priority) track of each type;
+    // downmixes lists every created track.
+    if (needsDownmix) {
+        var achievedReports = (normalize && twoPassLoudnorm) ? audioPrepUtils_1.parseLoudnormReports((cliResult.errorLogFull || []).join('')) : [];
+        var downmixResults = [];
+        for (var li = 0; li < downmixes.length; li++) {
+            var dmx = downmixes[li];
+            var loudnessResult = null;
+            if (normalize) {
+                loudnessResult = {
+                    mode: dmx.measured ? 'two-pass' : 'dynamic',
+                    target: loudnormTarget,
+                    measured: dmx.measured || null,
+                    achieved: null,
+                };
+                if (dmx.measured) {
+                    loudnessResult.achieved = audioPrepUtils_1.getAchievedLoudness(achievedReports[li]);
+                    if (loudnessResult.achieved) {
+                        args.jobLog('Achieved ' + dmx.filterLabel + ': ' + audioPrepUtils_1.formatLoudness(loudnessResult.achieved) +
+                            ' (' + loudnessResult.achieved.normalizationType + ' normalization)');
+                    } else {
+                        args.jobLog('WARNING: Could not read achieved loudness for ' + dmx.filterLabel + ' from ffmpeg output');
+                    }
+                }
+                var firstOfType = downmixResults.every(function(r) { return r.type !== dmx.type; });
+                if (firstOfType) {
+                    audioPrepUtils_1.setAudioPrepVariable(args, dmx.type + 'Loudness', loudnessResult);
+                }
+            }
+            downmixResults.push({
+                type: dmx.type,
+                language: dmx.source.language,
+                sourceAudioIndex: dmx.source.track.audioIndex,
+                loudness: loudnessResult,
+            });
+        }
+        audioPrepUtils_1.setAudioPrepVariable(args, 'downmixes', downmixResults);
+    }
+
+    // Verify output stream by stream. Size alone says nothing once pruning removes big tracks.
+    var outputStats;
     try {
-        inputStats = fs.statSync(inputFile);
         outputStats = fs.statSync(outputFilePath);
     } catch (e) {
-        args.jobLog('ERROR: Could not stat files: ' + e.message);
-        try { fs.unlinkSync(outputFilePath); } catch (e2) { }
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('Output file not created: ' + e.message);
     }
 
-    if (outputStats.size < inputStats.size * 0.5) {
-        args.jobLog('ERROR: Output too small (' + Math.round(outputStats.size/1024/1024) + 'MB vs ' + Math.round(inputStats.size/1024/1024) + 'MB)');
+    var ffprobeCli = await findFfprobe(args, cancelController.signal);
+    if (!ffprobeCli) {
         try { fs.unlinkSync(outputFilePath); } catch (e) { }
-        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+        throw fail('Could not find working ffprobe to verify the output');
+    }
+    var inputProbe = await probeFile(ffprobeCli, inputFile, cancelController.signal);
+    var outputProbe = await probeFile(ffprobeCli, outputFilePath, cancelController.signal);
+    if (cancelled) {
+        throw fail('Job cancelled');
+    }
+    if (inputProbe.error || outputProbe.error) {
+        try { fs.unlinkSync(outputFilePath); } catch (e) { }
+        throw fail('Could not probe ' + (inputProbe.error ? 'input: ' + inputProbe.error : 'output: ' + outputProbe.error));
+    }
+
+    var checks = verifyOutput(inputProbe.probe, outputProbe.probe, completeResult.tracks, containerPlan);
+    var mismatches = checks.filter(function(check) { return !check.ok; });
+    completeResult.verification = {
+        checks: checks.length,
+        mismatches: mismatches.map(function(check) {
+            return { check: check.name, expected: check.expected, actual: check.actual };
+        }),
+    };
+    if (mismatches.length > 0) {
+        args.jobLog('Output verification failed (- expected, + actual):');
+        formatVerificationDiff(checks).forEach(function(line) { args.jobLog(line); });
+        try { fs.unlinkSync(outputFilePath); } catch (e) { }
+        throw fail('Output verification failed: ' + mismatches.map(function(check) { return check.name; }).join(', '));
+    }
+    args.jobLog('Output verified: ' + checks.length + ' checks passed');
+
+    // Decode what ffmpeg encoded; copied tracks are bit-identical to the source
+    if (decodeCheck) {
+        var referenceDuration = audioPrepUtils_1.getReferenceDuration(inputProbe.probe);
+        var decodeProblems = [];
+        completeResult.decodeCheck = [];
+        var encodedTracks = completeResult.tracks.filter(function(t) { return t.action !== 'copy'; });
+        for (var dc = 0; dc < encodedTracks.length; dc++) {
+            var track = encodedTracks[dc];
+            var decoded = await audioPrepUtils_1.checkDecodedTrack(ffmpegCli, outputFilePath, track.index, referenceDuration,
+                maxSilenceSeconds, 0, cancelController.signal);
+            if (cancelled) {
+                throw fail('Job cancelled');
+            }
+            completeResult.decodeCheck.push(decoded);
+            args.jobLog('Decode check a:' + track.index + ' "' + track.title + '": decoded ' + decoded.decodedDuration.toFixed(1) + 's' +
+                (referenceDuration ? ' of ' + referenceDuration.toFixed(1) + 's' : '') +
+                ', longest silence ' + Math.round(decoded.longestSilence) + 's, ' + decoded.errors.length + ' error(s)');
+            decoded.problems.forEach(function(problem) {
+                decodeProblems.push('a:' + track.index + ' ' + problem);
+            });
+        }
+        if (decodeProblems.length > 0) {
+            try { fs.unlinkSync(outputFilePath); } catch (e) { }
+            throw fail('Decode check failed: ' + decodeProblems.join('; '));
+        }
+        args.jobLog('Decode check passed (' + encodedTracks.length + ' track(s))');
     }
 
+    stopCancelWatch();
+    completeResult.status = 'processed';
     args.jobLog('SUCCESS: File processed (' + Math.round(outputStats.size/1024/1024) + 'MB)');
 
     // Return the new file - let replaceOriginalFile plugin handle the replacement
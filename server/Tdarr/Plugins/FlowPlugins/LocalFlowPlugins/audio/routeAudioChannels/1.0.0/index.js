@@ -0,0 +1,190 @@
+"use strict";
+/**
+ * Route By Main Audio Channels
+ *
+ * Sends the file to a different output depending on the main audio stream:
+ * mono, stereo, 5.x, 7.x, object-based (Atmos / DTS:X) or no audio.
+ * Replaces chains of Check Main Audio Stream Channels nodes.
+ *
+ * Main audio is selected and categorized by the shared audioPrepUtils helpers, so
+ * Check Main Audio Stream Channels and Check Audio Streams (Expression) agree:
+ *   1. First audio stream with default disposition flag
+ *   2. Falls back to first audio stream if no default is set
+ *
+ * The selected stream is stored in args.variables.audioPrep.mainAudio
+ * (channels, layout, codec, language, ...) for later plugins and conditions.
+ * Missing probe data or an unusable main track throw rather than being routed.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.plugin = exports.details = void 0;
+var audioPrepUtils_1 = require("../../../../LocalFlowHelpers/1.0.0/audioPrepUtils");
+
+var details = function () { return ({
+    name: 'Route By Main Audio Channels',
+    description: 'Route on the main audio stream: mono, stereo, 5.x, 7.x, object-based (Atmos/DTS:X) or no audio. Prefers stream with default disposition, falls back to first audio stream. Stores channels, layout, codec and language in flow variables.',
+    style: {
+        borderColor: 'orange',
+    },
+    tags: 'audio',
+    isStartPlugin: false,
+    pType: '',
+    requiresVersion: '2.11.01',
+    sidebarPosition: -1,
+    icon: 'faQuestion',
+    inputs: [
+        {
+            label: 'Route Object-Based Audio Separately',
+            name: 'routeObjectAudio',
+            type: 'boolean',
+            defaultValue: true,
+            inputUI: {
+                type: 'switch',
+            },
+            tooltip: 'Send Atmos / DTS:X main tracks to output 5. When off they are routed by their bed channel count (e.g. TrueHD Atmos 7.1 goes to 7.x)',
+        },
+    ],
+    outputs: [
+        {
+            number: 1,
+            tooltip: 'Mono (1ch)',
+        },
+        {
+            number: 2,
+            tooltip: 'Stereo (2ch)',
+        },
+        {
+            number: 3,
+            tooltip: '5.x surround (3-6ch, includes 2.1 / quad / 5.0 / 5.1)',
+        },
+        {
+            number: 4,
+            tooltip: '7.x surround (7ch or more)',
+        },
+        {
+            number: 5,
+            tooltip: 'Object-based audio (Atmos / DTS:X)',
+        },
+        {
+            number: 6,
+            tooltip: 'No audio streams. Missing probe data or an invalid main track go to the error output',
+        },
+    ],
+}); };
+exports.details = details;
+
+var OUTPUT_MONO = 1;
+var OUTPUT_STEREO = 2;
+var OUTPUT_5X = 3;
+var OUTPUT_7X = 4;
+var OUTPUT_OBJECT = 5;
+var OUTPUT_NO_AUDIO = 6;
+
+var CATEGORY_NAMES = {
+    1: 'mono',
+    2: 'stereo',
+    3: '5.x',
+    4: '7.x',
+    5: 'object',
+    6: 'none',
+};
+
+var CATEGORY_OUTPUTS = {
+    'mono': OUTPUT_MONO,
+    'stereo': OUTPUT_STEREO,
+    '5.x': OUTPUT_5X,
+    '7.x': OUTPUT_7X,
+    'object': OUTPUT_OBJECT,
+};
+
+var plugin = function (args) {
+    var lib = require('../../../../../methods/lib')();
+
+    var route = function (outputNumber) {
+        args.jobLog('Result: ' + CATEGORY_NAMES[outputNumber] + ' (output ' + outputNumber + ')');
+        return {
+            outputFileObj: args.inputFileObj,
+            outputNumber: outputNumber,
+            variables: args.variables,
+        };
+    };
+
+    // Wrap loadDefaultValues in try-catch
+    try {
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+    } catch (e) {
+        throw new Error('Failed to load default values: ' + e.message);
+    }
+
+    var routeObjectAudio = args.inputs.routeObjectAudio === true || args.inputs.routeObjectAudio === 'true';
+
+    // Cleared up front so a later condition never sees a previous file's values
+    audioPrepUtils_1.setAudioPrepVariable(args, 'mainAudio', null);
+
+    // Validate ffProbeData exists
+    if (!args.inputFileObj || !args.inputFileObj.ffProbeData) {
+        throw new Error('No ffprobe data available');
+    }
+
+    var streams = args.inputFileObj.ffProbeData.streams;
+
+    // Validate streams is an array
+    if (!Array.isArray(streams)) {
+        throw new Error('ffprobe streams is not an array');
+    }
+
+    // Find main audio stream: prefer default disposition, fallback to first audio
+    var main = audioPrepUtils_1.selectMainAudio(streams);
+    if (!main) {
+        args.jobLog('No audio streams found in file (total streams: ' + streams.length + ')');
+        return route(OUTPUT_NO_AUDIO);
+    }
+    var targetAudio = main.stream;
+    var targetGlobalIndex = main.streamIndex;
+    var targetRelativeIndex = main.audioIndex;
+    var selectionMethod = main.selection;
+    var audioCount = main.audioStreamCount;
+
+    var channels = targetAudio.channels;
+    var codecName = targetAudio.codec_name || 'unknown';
+    var profile = targetAudio.profile || '';
+    var channelLayout = targetAudio.channel_layout || 'unspecified';
+    var language = (targetAudio.tags && targetAudio.tags.language) || 'und';
+    var title = (targetAudio.tags && targetAudio.tags.title) || '';
+    var objectBased = audioPrepUtils_1.isObjectBasedAudio(profile, title);
+
+    // Object-based tracks go by their bed channel count unless routed separately
+    var category = audioPrepUtils_1.categorize(channels, objectBased && routeObjectAudio);
+    if (!category) {
+        args.jobLog('Stream info: codec=' + codecName +
+            ', global index=0:' + targetGlobalIndex + ', audio index=0:a:' + targetRelativeIndex);
+        throw new Error('Invalid channel count in audio stream: ' + JSON.stringify(channels));
+    }
+
+    args.jobLog('Audio streams found: ' + audioCount);
+    args.jobLog('Main audio selected via: ' + selectionMethod);
+    args.jobLog('Stream 0:' + targetGlobalIndex + ' (0:a:' + targetRelativeIndex + '): ' + codecName +
+        (profile ? ' (' + profile + ')' : '') +
+        ' ' + channels + 'ch (' + channelLayout + ')' +
+        ' [' + language + ']' +
+        (title ? ' "' + title + '"' : ''));
+
+    var outputNumber = CATEGORY_OUTPUTS[category];
+
+    audioPrepUtils_1.setAudioPrepVariable(args, 'mainAudio', {
+        streamIndex: targetGlobalIndex,
+        audioIndex: targetRelativeIndex,
+        selection: selectionMethod,
+        channels: channels,
+        channelLayout: channelLayout,
+        codec: codecName,
+        profile: profile,
+        language: language,
+        title: title,
+        objectBased: objectBased,
+        category: category,
+        audioStreamCount: audioCount,
+    });
+
+    return route(outputNumber);
+};
+exports.plugin = plugin;
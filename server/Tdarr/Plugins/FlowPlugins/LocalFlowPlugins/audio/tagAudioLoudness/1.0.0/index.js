@@ -0,0 +1,506 @@
+"use strict";
+/**
+ * Tag Audio Loudness (EBU R128)
+ *
+ * Measures integrated loudness, loudness range and true peak of every audio track
+ * in a single ffmpeg pass (one ebur128 filter per track) and writes the results
+ * as stream tags with a stream-copy remux, the same way Normalize Audio Titles
+ * rewrites titles:
+ *
+ *   LOUDNESS_INTEGRATED    -23.4 LUFS
+ *   LOUDNESS_RANGE         9.1 LU
+ *   LOUDNESS_TRUE_PEAK     -1.2 dBTP
+ *   REPLAYGAIN_TRACK_GAIN  +5.40 dB   (reference minus integrated loudness)
+ *   REPLAYGAIN_TRACK_PEAK  0.870964   (true peak, linear)
+ *
+ * Players that honor ReplayGain can level-match from the tags without re-encoding,
+ * and the measurements end up in args.variables.audioPrep.tagAudioLoudness so the
+ * loudnorm targets used elsewhere can be checked against the library.
+ *
+ * Only Matroska can carry arbitrary stream tags; other containers go to output 2.
+ * Tracks that already have loudness tags are not measured again (they keep their
+ * tags) unless Re-measure Tagged Tracks is on. Digital silence, which ebur128
+ * reports at its -70 LUFS gate, is tagged -inf LUFS with no ReplayGain gain.
+ *
+ * The remux is locked, cancellable and replaced via a backup exactly like Normalize
+ * Audio Titles (same lock name, so the in-place plugins never overlap on a file).
+ *
+ * Outputs: 1 = tags written, 2 = nothing to do, 3 = plan only. Real errors (missing
+ * probe data, measurement or ffmpeg failure, file replacement) throw.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.plugin = exports.details = void 0;
+var cliUtils_1 = require("../../../../FlowHelpers/1.0.0/cliUtils");
+var audioPrepUtils_1 = require("../../../../LocalFlowHelpers/1.0.0/audioPrepUtils");
+
+var details = function () { return ({
+    name: 'Tag Audio Loudness (EBU R128)',
+    description: 'Measure integrated loudness, true peak and LRA of every audio track in one pass and write them as stream tags (LOUDNESS_INTEGRATED, REPLAYGAIN_TRACK_GAIN, ...) with a stream-copy remux.',
+    style: {
+        borderColor: '#9b59b6',
+    },
+    tags: 'audio',
+    isStartPlugin: false,
+    pType: '',
+    requiresVersion: '2.11.01',
+    sidebarPosition: -1,
+    icon: '',
+    inputs: [
+        {
+            label: 'ReplayGain Reference (LUFS)',
+            name: 'replayGainReference',
+            type: 'string',
+            defaultValue: '-18',
+            inputUI: {
+                type: 'dropdown',
+                options: ['-18', '-23', '-24', '-16', '-14'],
+            },
+            tooltip: 'Loudness REPLAYGAIN_TRACK_GAIN brings a track to. -18 LUFS is the ReplayGain 2.0 reference',
+        },
+        {
+            label: 'Re-measure Tagged Tracks',
+            name: 'remeasure',
+            type: 'boolean',
+            defaultValue: false,
+            inputUI: {
+                type: 'switch',
+            },
+            tooltip: 'Measure every track, even when all of them already carry loudness tags (e.g. after changing the reference)',
+        },
+        {
+            label: 'Timeout (minutes)',
+            name: 'timeout',
+            type: 'string',
+            defaultValue: '60',
+            inputUI: {
+                type: 'dropdown',
+                options: ['30', '60', '120', '180'],
+            },
+            tooltip: 'Maximum time to wait for the measurement pass to complete',
+        },
+        {
+            label: 'Lock Location',
+            name: 'lockLocation',
+            type: 'string',
+            defaultValue: 'work-dir',
+            inputUI: {
+                type: 'dropdown',
+                options: ['work-dir', 'media-dir', 'shared-dir'],
+            },
+            tooltip: 'Where the per-file lock is kept. work-dir: node-local, only guards against this node. media-dir: hidden .<file>.audioprep.lock next to the media, seen by every node sharing the library. shared-dir: in the Shared Lock Directory below',
+        },
+        {
+            label: 'Shared Lock Directory',
+            name: 'sharedLockDirectory',
+            type: 'string',
+            defaultValue: '',
+            inputUI: {
+                type: 'text',
+            },
+            tooltip: 'Directory every node can write to (e.g. on the NAS). Only used with the shared-dir lock location. Locks are named after the file name, so nodes that mount the library at different paths still agree',
+        },
+        {
+            label: 'Plan Only',
+            name: 'planOnly',
+            type: 'boolean',
+            defaultValue: false,
+            inputUI: {
+                type: 'switch',
+            },
+            tooltip: 'Measure the tracks and log the tags and the exact ffmpeg command, store them in audioPrep.plans.tagAudioLoudness without remuxing. Routes to output 3',
+        },
+    ],
+    outputs: [
+        {
+            number: 1,
+            tooltip: 'Loudness tags written (file remuxed)',
+        },
+        {
+            number: 2,
+            tooltip: 'Not needed: tags already present, no audio streams or not a Matroska file. Errors go to the error output',
+        },
+        {
+            number: 3,
+            tooltip: 'Plan only: tags measured but not written',
+        },
+    ],
+}); };
+exports.details = details;
+
+// Tags written per track, in the order they are set
+var LOUDNESS_TAGS = ['LOUDNESS_INTEGRATED', 'LOUDNESS_RANGE', 'LOUDNESS_TRUE_PEAK', 'REPLAYGAIN_TRACK_GAIN', 'REPLAYGAIN_TRACK_PEAK'];
+
+// Matroska keeps tags with a language as KEY-<lang>
+function getStreamTag(stream, key) {
+    var tags = (stream && stream.tags) || {};
+    if (tags[key] !== undefined) return tags[key];
+    var prefixed = Object.keys(tags).filter(function(tag) { return tag.indexOf(key + '-') === 0; })[0];
+    return prefixed ? tags[prefixed] : undefined;
+}
+
+// A stream-copy remux is fast; anything longer than this is treated as hung
+var REMUX_TIMEOUT_MS = 10 * 60 * 1000;
+
+// One decode pass over the given audio indexes. Returns one summary (or null) per index.
+async function measureTracks(ffmpegCli, file, audioIndexes, timeoutMs, signal) {
+    var graph = [];
+    var maps = [];
+    for (var i = 0; i < audioIndexes.length; i++) {
+        graph.push('[0:a:' + audioIndexes[i] + ']ebur128=peak=true:framelog=verbose[r128_' + i + ']');
+        maps.push('-map', '[r128_' + i + ']');
+    }
+    var result = await audioPrepUtils_1.runCapture(ffmpegCli, ['-hide_banner', '-nostats', '-i', file, '-filter_complex', graph.join(';')]
+        .concat(maps)
+        .concat(['-f', 'null', '-']), timeoutMs, signal);
+    if (result.status !== 0) {
+        return { summaries: null, error: 'exit code ' + result.status + (result.error ? ' (' + result.error.message + ')' : '') };
+    }
+    var parsed = audioPrepUtils_1.parseEbur128Summaries(result.stderr);
+    return {
+        summaries: audioIndexes.map(function(audioIndex, i) { return parsed[i] || null; }),
+        error: null,
+    };
+}
+
+var plugin = async function (args) {
+    var fs = require('fs');
+    var path = require('path');
+    var crypto = require('crypto');
+
+    var lib = require('../../../../../methods/lib')();
+
+    // Load default values
+    try {
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+    } catch (e) {
+        throw new Error('Failed to load default values: ' + e.message);
+    }
+
+    var reference = parseFloat(args.inputs.replayGainReference);
+    if (!isFinite(reference) || reference > 0 || reference < -70) reference = -18;
+    var remeasure = args.inputs.remeasure === true || args.inputs.remeasure === 'true';
+    var timeoutMs = (parseInt(args.inputs.timeout, 10) || 60) * 60 * 1000;
+    var planOnly = args.inputs.planOnly === true || args.inputs.planOnly === 'true';
+    var lockLocation = String(args.inputs.lockLocation || 'work-dir');
+    var sharedLockDir = String(args.inputs.sharedLockDirectory || '').trim();
+
+    // Published up front and filled in as we go, so every exit leaves a status behind
+    var loudnessResult = {
+        status: 'error',
+        reason: '',
+        reference: reference,
+        tracks: [],
+    };
+    audioPrepUtils_1.setAudioPrepVariable(args, 'tagAudioLoudness', loudnessResult);
+
+    // Real errors throw so the flow's error output (failFlow / requireReview) fires
+    var stopCancelWatch = function() {};
+    var heldLock = null;
+    var fail = function(message) {
+        stopCancelWatch();
+        audioPrepUtils_1.releaseLock(heldLock);
+        heldLock = null;
+        loudnessResult.status = 'error';
+        loudnessResult.reason = message;
+        return new Error(message);
+    };
+    var skip = function(reason) {
+        args.jobLog(reason.charAt(0).toUpperCase() + reason.slice(1) + ', skipping');
+        loudnessResult.status = 'not-needed';
+        loudnessResult.reason = reason;
+        return { outputFileObj: args.inputFileObj, outputNumber: 2, variables: args.variables };
+    };
+
+    var inputFile = args.inputFileObj._id || args.inputFileObj.file;
+    if (!inputFile) {
+        throw fail('Could not determine input file path');
+    }
+
+    // Validate ffProbeData exists
+    if (!args.inputFileObj.ffProbeData || !Array.isArray(args.inputFileObj.ffProbeData.streams)) {
+        throw fail('No ffprobe data available');
+    }
+
+    var ext = path.extname(inputFile);
+    if (['.mkv', '.mka'].indexOf(ext.toLowerCase()) === -1) {
+        return skip('container ' + (ext || 'unknown') + ' cannot carry loudness stream tags');
+    }
+
+    var audioStreams = args.inputFileObj.ffProbeData.streams.filter(function(st) { return st.codec_type === 'audio'; });
+    if (audioStreams.length === 0) {
+        return skip('no audio streams');
+    }
+
+    var untagged = audioStreams.filter(function(st) { return getStreamTag(st, 'LOUDNESS_INTEGRATED') === undefined; });
+    if (untagged.length === 0 && !remeasure) {
+        audioStreams.forEach(function(st, audioIndex) {
+            loudnessResult.tracks.push({
+                index: audioIndex,
+                language: getStreamTag(st, 'language') || 'und',
+                title: getStreamTag(st, 'title') || '',
+                integrated: parseFloat(getStreamTag(st, 'LOUDNESS_INTEGRATED')),
+                measured: false,
+            });
+        });
+        return skip('all ' + audioStreams.length + ' audio track(s) already have loudness tags');
+    }
+
+    // Get ffmpeg path
+    var ffmpegCli = args.ffmpegPath;
+    if (!ffmpegCli && args.deps && args.deps.ffmpegPath) {
+        ffmpegCli = args.deps.ffmpegPath;
+    }
+    if (!ffmpegCli) {
+        ffmpegCli = 'tdarr-ffmpeg';
+    }
+
+    // Use TDarr's work directory
+    var workDir = args.workDir || '/temp';
+
+    // Cleanup orphaned temp files older than 4 hours (plan mode leaves the disk alone)
+    if (!planOnly) {
+        audioPrepUtils_1.cleanupOrphanedFiles(workDir, 'loudness_', 4 * 60 * 60 * 1000);
+    }
+
+    // Generate unique temp file name
+    var uniqueId;
+    if (typeof crypto.randomUUID === 'function') {
+        uniqueId = crypto.randomUUID();
+    } else {
+        uniqueId = crypto.randomBytes(16).toString('hex');
+    }
+    var tempFile = path.join(workDir, 'loudness_' + uniqueId + ext);
+    var stagingFile = inputFile + '.staging_' + uniqueId;
+    var backupFile = inputFile + '.backup_' + uniqueId;
+
+    var cancelled = false;
+    var cancelController = new AbortController();
+    stopCancelWatch = audioPrepUtils_1.watchForCancel(function(reason) {
+        cancelled = true;
+        args.jobLog('Job cancelled (' + reason + '): stopping ffmpeg and cleaning up');
+        cancelController.abort();
+        try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
+        try { fs.unlinkSync(stagingFile); } catch (e) { /* ignore */ }
+        audioPrepUtils_1.releaseLock(heldLock);
+        heldLock = null;
+    });
+
+    // Lock before measuring, so the tags written describe the audio that was measured
+    if (!planOnly) {
+        if (['work-dir', 'media-dir', 'shared-dir'].indexOf(lockLocation) === -1) {
+            throw fail('Invalid lock location "' + lockLocation + '"');
+        }
+        if (lockLocation === 'shared-dir') {
+            if (!sharedLockDir) {
+                throw fail('Shared Lock Directory is required for the shared-dir lock location');
+            }
+            try {
+                fs.mkdirSync(sharedLockDir, { recursive: true });
+            } catch (e) {
+                throw fail('Could not create Shared Lock Directory: ' + e.message);
+            }
+        }
+        var lockFile = audioPrepUtils_1.getLockFile(lockLocation, sharedLockDir, workDir, inputFile);
+        args.jobLog('Acquiring lock: ' + lockFile);
+        var lockResult = await audioPrepUtils_1.acquireLock(lockFile, audioPrepUtils_1.getLockOwner(args), 30000, args.jobLog,
+            cancelController.signal);
+        if (lockResult.lock) heldLock = lockResult.lock;
+        if (cancelled) {
+            throw fail('Job cancelled');
+        }
+        if (lockResult.error) {
+            throw fail('Could not create lock ' + lockFile + ': ' + lockResult.error);
+        }
+        if (!heldLock) {
+            throw fail('Could not acquire lock - file is being processed by ' + audioPrepUtils_1.describeLockOwner(lockResult.holder));
+        }
+    }
+
+    // Tracks that already carry loudness tags keep them (the remux copies stream tags)
+    // and are only decoded again with Re-measure Tagged Tracks on
+    var measureIndexes = [];
+    audioStreams.forEach(function(st, audioIndex) {
+        if (remeasure || getStreamTag(st, 'LOUDNESS_INTEGRATED') === undefined) measureIndexes.push(audioIndex);
+    });
+    args.jobLog('Measuring EBU R128 loudness of ' + measureIndexes.length + ' of ' + audioStreams.length +
+        ' audio track(s) in one pass...');
+    var measureStart = Date.now();
+    var measurement = await measureTracks(ffmpegCli, inputFile, measureIndexes, timeoutMs, cancelController.signal);
+    if (cancelled) {
+        throw fail('Job cancelled');
+    }
+    if (measurement.error) {
+        throw fail('Loudness measurement failed: ' + measurement.error);
+    }
+    args.jobLog('Measured in ' + Math.round((Date.now() - measureStart) / 1000) + ' seconds (reference ' + reference + ' LUFS)');
+
+    var spawnArgs = [
+        '-y',
+        '-i', inputFile,
+        '-map', '0',
+        '-c', 'copy'
+    ];
+    var changed = 0;
+    for (var a = 0; a < audioStreams.length; a++) {
+        var measured = measureIndexes.indexOf(a);
+        if (measured === -1) {
+            var keptTags = {};
+            LOUDNESS_TAGS.forEach(function(key) {
+                var value = getStreamTag(audioStreams[a], key);
+                if (value !== undefined) keptTags[key] = value;
+            });
+            loudnessResult.tracks.push({
+                index: a,
+                language: getStreamTag(audioStreams[a], 'language') || 'und',
+                title: getStreamTag(audioStreams[a], 'title') || '',
+                integrated: parseFloat(getStreamTag(audioStreams[a], 'LOUDNESS_INTEGRATED')),
+                tags: keptTags,
+                measured: false,
+            });
+            args.jobLog('Audio ' + a + ': already tagged ' + getStreamTag(audioStreams[a], 'LOUDNESS_INTEGRATED') + ', kept');
+            continue;
+        }
+        var summary = measurement.summaries[measured];
+        if (!summary) {
+            throw fail('No ebur128 summary for audio ' + a);
+        }
+        if (summary.integrated === null) {
+            throw fail('No integrated loudness in the ebur128 summary for audio ' + a);
+        }
+        var tags = audioPrepUtils_1.buildLoudnessTags(summary, reference);
+        var trackChanged = false;
+        LOUDNESS_TAGS.forEach(function(key) {
+            if (tags[key] === undefined) {
+                // Drop a stale tag the new measurement has no value for (a gain on a now silent track)
+                if (getStreamTag(audioStreams[a], key) !== undefined) {
+                    spawnArgs.push('-metadata:s:a:' + a, key + '=');
+                    trackChanged = true;
+                }
+                return;
+            }
+            spawnArgs.push('-metadata:s:a:' + a, key + '=' + tags[key]);
+            if (getStreamTag(audioStreams[a], key) !== tags[key]) trackChanged = true;
+        });
+        if (trackChanged) changed++;
+        loudnessResult.tracks.push({
+            index: a,
+            language: getStreamTag(audioStreams[a], 'language') || 'und',
+            title: getStreamTag(audioStreams[a], 'title') || '',
+            integrated: audioPrepUtils_1.isMeasured(summary.integrated) && summary.integrated > audioPrepUtils_1.SILENCE_LUFS ?
+                summary.integrated : null,
+            lra: audioPrepUtils_1.isMeasured(summary.lra) ? summary.lra : null,
+            truePeak: audioPrepUtils_1.isMeasured(summary.truePeak) ? summary.truePeak : null,
+            tags: tags,
+            measured: true,
+        });
+        args.jobLog('Audio ' + a + ': ' + tags.LOUDNESS_INTEGRATED +
+            (tags.LOUDNESS_RANGE ? ', LRA ' + tags.LOUDNESS_RANGE : '') +
+            (tags.LOUDNESS_TRUE_PEAK ? ', true peak ' + tags.LOUDNESS_TRUE_PEAK : '') +
+            (tags.REPLAYGAIN_TRACK_GAIN ? ', gain ' + tags.REPLAYGAIN_TRACK_GAIN : '') +
+            (trackChanged ? '' : ' (tags unchanged)'));
+    }
+    spawnArgs.push(tempFile);
+
+    if (planOnly) {
+        stopCancelWatch();
+        audioPrepUtils_1.recordPlan(args, {
+            plugin: 'tagAudioLoudness',
+            file: inputFile,
+            reference: reference,
+            audio: loudnessResult.tracks.map(function(track) {
+                return {
+                    position: track.index,
+                    codec: audioStreams[track.index].codec_name || 'unknown',
+                    channels: audioStreams[track.index].channels || 0,
+                    language: track.language,
+                    title: track.title,
+                    tags: track.tags,
+                };
+            }),
+            ffmpegArgs: [ffmpegCli].concat(spawnArgs),
+        });
+        loudnessResult.status = 'planned';
+        return { outputFileObj: args.inputFileObj, outputNumber: 3, variables: args.variables };
+    }
+
+    if (changed === 0) {
+        stopCancelWatch();
+        audioPrepUtils_1.releaseLock(heldLock);
+        heldLock = null;
+        return skip('loudness tags already up to date');
+    }
+
+    args.jobLog('Writing loudness tags for ' + changed + ' track(s)...');
+    var startTime = Date.now();
+    var cli = new cliUtils_1.CLI({
+        cli: ffmpegCli,
+        spawnArgs: spawnArgs,
+        spawnOpts: { timeout: REMUX_TIMEOUT_MS, signal: cancelController.signal },
+        jobLog: args.jobLog,
+        outputFilePath: tempFile,
+        inputFileObj: args.inputFileObj,
+        logFullCliOutput: args.logFullCliOutput,
+        updateWorker: args.updateWorker,
+        args: args,
+    });
+
+    var cliResult = await cli.runCli();
+
+    if (cancelled) {
+        try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
+        throw fail('Job cancelled');
+    }
+    if (cliResult.cliExitCode !== 0) {
+        args.jobLog('FFmpeg error output:');
+        args.jobLog((cliResult.errorLogFull || []).join('').slice(-3000));
+        try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
+        if (Date.now() - startTime >= REMUX_TIMEOUT_MS) {
+            throw fail('FFmpeg timed out after ' + (REMUX_TIMEOUT_MS / 60000) + ' minutes');
+        }
+        throw fail('FFmpeg failed with exit code ' + cliResult.cliExitCode);
+    }
+
+    // Verify output exists
+    var outputStats;
+    try {
+        outputStats = fs.statSync(tempFile);
+    } catch (e) {
+        throw fail('Output file not created');
+    }
+
+    // Check output is reasonable size (at least 90% of input)
+    var inputStats;
+    try {
+        inputStats = fs.statSync(inputFile);
+    } catch (e) {
+        try { fs.unlinkSync(tempFile); } catch (e2) { /* ignore */ }
+        throw fail('Could not stat input file');
+    }
+
+    if (outputStats.size < inputStats.size * 0.9) {
+        try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
+        throw fail('Output too small (' + Math.round(outputStats.size / 1024 / 1024) +
+            'MB vs input ' + Math.round(inputStats.size / 1024 / 1024) + 'MB)');
+    }
+
+    // Replace original with temp
+    try {
+        await audioPrepUtils_1.replaceFile(inputFile, tempFile, stagingFile, backupFile, heldLock,
+            cancelController.signal, args.jobLog);
+    } catch (e) {
+        throw fail(e.message);
+    }
+
+    stopCancelWatch();
+    audioPrepUtils_1.releaseLock(heldLock);
+    heldLock = null;
+    loudnessResult.status = 'processed';
+    args.jobLog('SUCCESS: Loudness tags written');
+
+    return {
+        outputFileObj: Object.assign({}, args.inputFileObj, { _id: inputFile }),
+        outputNumber: 1,
+        variables: args.variables,
+    };
+};
+exports.plugin = plugin;
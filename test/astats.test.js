@@ -0,0 +1,94 @@
+"use strict";
+/**
+ * astats health pass: report parsing and the per-track verdict against a captured ffmpeg log.
+ *
+ * Run with: node --test test/
+ */
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+
+var audioPrepUtils = require('../server/Tdarr/Plugins/FlowPlugins/LocalFlowHelpers/1.0.0/audioPrepUtils');
+
+var output = fs.readFileSync(path.join(__dirname, 'fixtures', 'astats-two-tracks.txt'), 'utf8');
+
+var surround = { audioIndex: 0, codec: 'ac3', channels: 6, channelLayout: '5.1(side)', sampleRate: 48000 };
+var stereo = { audioIndex: 1, codec: 'aac', channels: 2, channelLayout: 'stereo', sampleRate: 48000 };
+
+function options(overrides) {
+    var opts = { silenceThreshold: -70, deadChannels: 'center', truncationTolerance: 2, clipPeakCount: 0 };
+    Object.keys(overrides || {}).forEach(function(key) { opts[key] = overrides[key]; });
+    return opts;
+}
+
+// Replace one value in a copy of a parsed report
+function withValue(report, section, key, value) {
+    var copy = {
+        channels: report.channels.map(function(channel) { return Object.assign({}, channel); }),
+        overall: Object.assign({}, report.overall),
+    };
+    if (section === 'overall') copy.overall[key] = value;
+    else copy.channels[section][key] = value;
+    return copy;
+}
+
+test('one report per astats instance, channels and overall separated', function() {
+    var reports = audioPrepUtils.parseAstatsReports(output);
+    assert.deepStrictEqual(Object.keys(reports), ['0', '1']);
+    assert.strictEqual(reports[0].channels.length, 6);
+    assert.strictEqual(reports[1].channels.length, 2);
+    assert.strictEqual(reports[0].channels[0]['RMS level dB'], -24.1);
+    assert.strictEqual(reports[0].channels[2]['RMS level dB'], -Infinity);
+    assert.strictEqual(reports[0].overall['RMS level dB'], -25.5);
+    assert.strictEqual(reports[0].overall['Peak count'], 2);
+    assert.strictEqual(reports[0].overall['Number of samples'], 4800000);
+    assert.strictEqual(reports[1].overall['Peak level dB'], -1);
+});
+
+test('output without astats lines gives no reports', function() {
+    assert.deepStrictEqual(audioPrepUtils.parseAstatsReports('Input #0, matroska,webm, from \'x.mkv\':\n'), {});
+});
+
+test('a silent centre channel is reported, the healthy stereo track is not', function() {
+    var reports = audioPrepUtils.parseAstatsReports(output);
+    var health = audioPrepUtils.evaluateTrackHealth(surround, reports[0], 100, options());
+    assert.deepStrictEqual(health.deadChannels, ['FC']);
+    assert.deepStrictEqual(health.problems, ['dead channel FC']);
+    assert.strictEqual(health.duration, 100);
+    assert.strictEqual(health.silent, false);
+
+    var ok = audioPrepUtils.evaluateTrackHealth(stereo, reports[1], 100, options());
+    assert.deepStrictEqual(ok.problems, []);
+});
+
+test('dead channel checks follow the mode, and never flag the LFE', function() {
+    var reports = audioPrepUtils.parseAstatsReports(output);
+    var quietLfe = withValue(reports[0], 3, 'RMS level dB', -Infinity);
+    assert.deepStrictEqual(audioPrepUtils.evaluateTrackHealth(surround, quietLfe, 100, options({ deadChannels: 'all' })).deadChannels, ['FC']);
+    var quietSide = withValue(reports[0], 4, 'RMS level dB', -90);
+    assert.deepStrictEqual(audioPrepUtils.evaluateTrackHealth(surround, quietSide, 100, options({ deadChannels: 'all' })).problems,
+        ['dead channels FC, SL']);
+    assert.deepStrictEqual(audioPrepUtils.evaluateTrackHealth(surround, quietSide, 100, options({ deadChannels: 'off' })).problems, []);
+});
+
+test('silent, truncated, clipped and undecodable tracks', function() {
+    var reports = audioPrepUtils.parseAstatsReports(output);
+
+    var silent = audioPrepUtils.evaluateTrackHealth(stereo, withValue(reports[1], 'overall', 'RMS level dB', -Infinity), 100, options());
+    assert.strictEqual(silent.silent, true);
+    assert.deepStrictEqual(silent.problems, ['silent (RMS -inf dB)']);
+
+    // 100 s decoded against a 200 s video
+    var truncated = audioPrepUtils.evaluateTrackHealth(stereo, reports[1], 200, options());
+    assert.deepStrictEqual(truncated.problems, ['truncated (100.0s of 200.0s)']);
+    // Within the tolerance
+    assert.deepStrictEqual(audioPrepUtils.evaluateTrackHealth(stereo, reports[1], 101.5, options()).problems, []);
+
+    var loud = withValue(withValue(reports[1], 'overall', 'Peak level dB', 0), 'overall', 'Peak count', 250);
+    assert.deepStrictEqual(audioPrepUtils.evaluateTrackHealth(stereo, loud, 100, options({ clipPeakCount: 100 })).problems,
+        ['clipped (full scale 250 times)']);
+    assert.deepStrictEqual(audioPrepUtils.evaluateTrackHealth(stereo, loud, 100, options()).problems, []);
+
+    assert.deepStrictEqual(audioPrepUtils.evaluateTrackHealth(stereo, null, 100, options()).problems, ['could not be decoded']);
+});
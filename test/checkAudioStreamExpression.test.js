@@ -0,0 +1,91 @@
+"use strict";
+/**
+ * Check Audio Streams (Expression): parser and evaluator against a probe fixture.
+ *
+ * Run with: node --test test/
+ */
+var test = require('node:test');
+var assert = require('node:assert');
+var path = require('path');
+
+var expression = require('../server/Tdarr/Plugins/FlowPlugins/LocalFlowPlugins/audio/checkAudioStreamExpression/1.0.0/index.js');
+var audioPrepUtils = require('../server/Tdarr/Plugins/FlowPlugins/LocalFlowHelpers/1.0.0/audioPrepUtils');
+
+var probe = require(path.join(__dirname, 'fixtures', 'probe-atmos-multilang.json'));
+
+// Same composition as the plugin: fields per audio stream, main track picked by the shared helper
+function check(text, streams) {
+    streams = streams || probe.streams;
+    var audio = streams.filter(function(stream) { return stream.codec_type === 'audio'; })
+        .map(function(stream, audioIndex) { return expression.buildStreamFields(stream, audioIndex); });
+    var main = audioPrepUtils.selectMainAudio(streams);
+    return expression.evaluate(expression.parseExpression(text), audio, main ? audio[main.audioIndex] : null);
+}
+
+test('stream fields come from the probe, statistics tags included', function() {
+    var fields = expression.buildStreamFields(probe.streams[1], 0);
+    assert.strictEqual(fields.codec, 'truehd');
+    assert.strictEqual(fields.language, 'eng');
+    assert.strictEqual(fields.bitrate, 4523);
+    assert.strictEqual(fields.duration, 7083.125);
+    assert.strictEqual(fields.object, true);
+    assert.strictEqual(fields.lossless, true);
+    assert.strictEqual(fields.default, true);
+
+    var dts = expression.buildStreamFields(probe.streams[3], 2);
+    assert.strictEqual(dts.codec, 'dts');
+    assert.strictEqual(dts.lossless, true);
+    assert.strictEqual(dts.bitrate, null);
+});
+
+test('main() looks at the default track', function() {
+    assert.strictEqual(check('main(codec == "truehd" and object)'), true);
+    assert.strictEqual(check('main(channels == 6)'), false);
+});
+
+test('any / all / none / count quantify over every audio track', function() {
+    assert.strictEqual(check('any(language == "de" and codec == "eac3")'), true);
+    assert.strictEqual(check('all(channels >= 2)'), true);
+    assert.strictEqual(check('all(lossless)'), false);
+    assert.strictEqual(check('none(channels == 2 and language == main.language)'), false);
+    assert.strictEqual(check('none(channels == 2 and language == "fre")'), true);
+    assert.strictEqual(check('count() == 4'), true);
+    assert.strictEqual(check('count(lossless) > 1 and count(channels == 2) <= 1'), true);
+});
+
+test('contains, in-lists, dispositions and negation', function() {
+    assert.strictEqual(check('any(title ~ "commentary" and disposition.comment)'), true);
+    assert.strictEqual(check('main(language in ["ger", "eng"])'), true);
+    assert.strictEqual(check('not any(codec in ["ac3", "mp3"])'), true);
+    assert.strictEqual(check('(main(object) or count() > 10) and not main(channels < 8)'), true);
+});
+
+test('a missing value only satisfies !=', function() {
+    // The French DTS track has no bitrate anywhere in its probe data
+    assert.strictEqual(check('any(language == "fre" and bitrate > 0)'), false);
+    assert.strictEqual(check('any(language == "fre" and bitrate < 100000)'), false);
+    assert.strictEqual(check('any(language == "fre" and bitrate != 0)'), true);
+});
+
+test('main() is false and main.<field> unknown when there is no audio', function() {
+    var videoOnly = probe.streams.filter(function(stream) { return stream.codec_type !== 'audio'; });
+    assert.strictEqual(check('main(channels > 0)', videoOnly), false);
+    assert.strictEqual(check('count() == 0', videoOnly), true);
+    assert.strictEqual(check('none(language == main.language)', videoOnly), true);
+});
+
+test('invalid expressions are rejected with the position', function() {
+    var invalid = {
+        '': /empty/,
+        'channels > 2': /must be inside main\(\), any\(\), all\(\), none\(\) or count\(\)/,
+        'any(lang == "en")': /Unknown field "lang" at position 4/,
+        'any(default > 1)': /Operator > cannot be used with default/,
+        'any(title < "a")': /Operator < cannot be used with title/,
+        'any(channels ~ 2)': /Operator ~ cannot be used with channels/,
+        'any(channels > 2': /end of expression/,
+        'any(channels > 2))': /Unexpected/,
+    };
+    Object.keys(invalid).forEach(function(text) {
+        assert.throws(function() { expression.parseExpression(text); }, invalid[text], text);
+    });
+});
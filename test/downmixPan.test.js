@@ -0,0 +1,90 @@
+"use strict";
+/**
+ * Create Stereo Downmix: pan filters built from the presets and from a custom matrix.
+ *
+ * Run with: node --test test/
+ */
+var test = require('node:test');
+var assert = require('node:assert');
+
+var audioPrepUtils = require('../server/Tdarr/Plugins/FlowPlugins/LocalFlowHelpers/1.0.0/audioPrepUtils');
+
+function pan(channels, channelLayout, preset, customMatrix) {
+    return audioPrepUtils.getPanFilter(channels, channelLayout, preset, customMatrix);
+}
+
+test('dialogue boost keeps the centre up and the surrounds low', function() {
+    var result = pan(6, '5.1(side)', 'dialogue');
+    assert.strictEqual(result.filter, 'pan=stereo|FL=0.70*FL+0.70*FC+0.20*LFE+0.35*SL|FR=0.70*FR+0.70*FC+0.20*LFE+0.35*SR');
+    assert.strictEqual(result.branch, '5.1(side)');
+    assert.strictEqual(result.preset, 'Dialogue Boost');
+    assert.strictEqual(result.error, null);
+
+    // Per-layout gains where the preset has them
+    assert.strictEqual(pan(8, '7.1', 'dialogue').filter,
+        'pan=stereo|FL=0.70*FL+0.70*FC+0.20*LFE+0.20*BL+0.25*SL|FR=0.70*FR+0.70*FC+0.20*LFE+0.20*BR+0.25*SR');
+    assert.strictEqual(pan(4, 'quad', 'dialogue').filter, 'pan=stereo|FL=0.80*FL+0.40*BL|FR=0.80*FR+0.40*BR');
+});
+
+test('no-lfe is dialogue boost with the LFE dropped', function() {
+    var result = pan(6, '5.1(side)', 'no-lfe');
+    assert.strictEqual(result.filter, 'pan=stereo|FL=0.70*FL+0.70*FC+0.35*SL|FR=0.70*FR+0.70*FC+0.35*SR');
+    assert.strictEqual(result.preset, 'Dialogue Boost without LFE');
+});
+
+test('normalizing presets use the < form, Pro Logic II inverts the left surrounds', function() {
+    assert.strictEqual(pan(8, '7.1', 'itu-bs775').filter,
+        'pan=stereo|FL<1.00*FL+0.707*FC+0.707*BL+0.707*SL|FR<1.00*FR+0.707*FC+0.707*BR+0.707*SR');
+    assert.strictEqual(pan(6, '5.1', 'dpl2').filter,
+        'pan=stereo|FL<1.00*FL+0.707*FC-0.866*BL-0.50*BR|FR<1.00*FR+0.707*FC+0.50*BL+0.866*BR');
+});
+
+test('an unspecified or unknown layout is assumed from the channel count', function() {
+    var result = pan(6, '', 'night');
+    assert.strictEqual(result.filter, 'pan=stereo|FL<0.50*FL+1.00*FC+0.25*SL|FR<0.50*FR+1.00*FC+0.25*SR');
+    assert.strictEqual(result.branch, '5.1(side) (assumed)');
+
+    // Explicit channel lists are taken as given
+    assert.strictEqual(pan(6, 'FL+FR+FC+LFE+SL+SR', 'dialogue').filter, pan(6, '5.1(side)', 'dialogue').filter);
+    assert.strictEqual(pan(6, 'FL+FR+FC+LFE+SL+SR', 'dialogue').branch, 'fl+fr+fc+lfe+sl+sr');
+
+    // An unknown preset name falls back to dialogue boost
+    assert.strictEqual(pan(6, '5.1(side)', 'bogus').preset, 'Dialogue Boost');
+});
+
+test('object audio and more than 8 channels are left to ffmpeg', function() {
+    assert.deepStrictEqual(pan(12, '', 'dialogue'),
+        { filter: 'aformat=channel_layouts=stereo', branch: 'atmos-auto', preset: 'Dialogue Boost', error: null });
+    assert.strictEqual(pan(16, '7.1', 'dpl2').branch, 'atmos-auto');
+});
+
+test('a custom matrix is parsed, normalized terms and all', function() {
+    var result = pan(6, '5.1(side)', 'custom', 'FL=FL+0.5*FC|FR=FR+0.5*FC');
+    assert.strictEqual(result.filter, 'pan=stereo|FL=1.00*FL+0.50*FC|FR=1.00*FR+0.50*FC');
+    assert.strictEqual(result.preset, 'Custom Matrix');
+    assert.strictEqual(pan(6, '5.1(side)', 'custom', ' FL < FL - 0.5*SR | FR = FR ').filter, 'pan=stereo|FL<1.00*FL-0.50*SR|FR=1.00*FR');
+});
+
+test('custom matrix errors name the problem', function() {
+    var invalid = {
+        '': 'custom preset selected but Custom Matrix is empty',
+        'FL=FL': 'custom matrix must define both FL and FR',
+        'X=FL|FR=FR': 'invalid output definition "X=FL" (expected FL=... or FR=...)',
+        'FL=FL*2|FR=FR': 'invalid gain terms "FL*2" for FL',
+        'FL=FL+0.5*BL|FR=FR': 'FL uses channel BL which is not in source layout 5.1(side) (FL+FR+FC+LFE+SL+SR)',
+    };
+    Object.keys(invalid).forEach(function(matrix) {
+        assert.deepStrictEqual(pan(6, '5.1(side)', 'custom', matrix), { error: invalid[matrix] }, matrix);
+    });
+    assert.deepStrictEqual(pan(12, '', 'custom', 'FL=FL|FR=FR'),
+        { error: 'custom matrix needs a known channel layout, got 12ch "unspecified"' });
+});
+
+test('night mode compression and its numeric inputs', function() {
+    assert.strictEqual(audioPrepUtils.buildNightModeFilter(4, -24, 3),
+        'equalizer=f=2500:t=q:w=1.2:g=3,acompressor=threshold=-24dB:ratio=4:attack=10:release=250:knee=4,dynaudnorm=f=250:g=15:m=8');
+    assert.strictEqual(audioPrepUtils.buildNightModeFilter(4, -24, 0).indexOf('equalizer'), -1);
+    assert.strictEqual(audioPrepUtils.parseNumberInRange('2.5', 1, 20, 4), 2.5);
+    assert.strictEqual(audioPrepUtils.parseNumberInRange('30', 1, 20, 4), 4);
+    assert.strictEqual(audioPrepUtils.parseNumberInRange('x', 1, 20, 4), 4);
+});
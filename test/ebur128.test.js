@@ -0,0 +1,66 @@
+"use strict";
+/**
+ * EBU R128 loudness: ebur128 summary parsing and the tags Tag Audio Loudness
+ * writes from it (audioPrepUtils).
+ *
+ * Run with: node --test test/
+ */
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+
+var audioPrepUtils = require('../server/Tdarr/Plugins/FlowPlugins/LocalFlowHelpers/1.0.0/audioPrepUtils');
+
+var output = fs.readFileSync(path.join(__dirname, 'fixtures', 'ebur128-two-tracks.txt'), 'utf8');
+
+test('one summary per ebur128 instance, per-frame log lines ignored', function() {
+    var summaries = audioPrepUtils.parseEbur128Summaries(output);
+    assert.deepStrictEqual(Object.keys(summaries), ['0', '1']);
+    assert.deepStrictEqual(summaries[0], { integrated: -20.9, lra: 11.3, truePeak: -0.4 });
+    assert.deepStrictEqual(summaries[1], { integrated: -70, lra: 0, truePeak: -Infinity });
+});
+
+test('CRLF output parses the same', function() {
+    assert.deepStrictEqual(audioPrepUtils.parseEbur128Summaries(output.replace(/\n/g, '\r\n')),
+        audioPrepUtils.parseEbur128Summaries(output));
+});
+
+test('a summary without its I: line has no integrated loudness', function() {
+    // Only the second summary reads -70.0; the per-frame lines start with the instance name
+    var summaries = audioPrepUtils.parseEbur128Summaries(output.replace(/^ {4}I: +-70\.0 LUFS\n/m, ''));
+    assert.strictEqual(summaries[0].integrated, -20.9);
+    assert.strictEqual(summaries[1].integrated, null);
+    assert.strictEqual(summaries[1].lra, 0);
+});
+
+test('no summaries before ebur128 prints any', function() {
+    assert.deepStrictEqual(audioPrepUtils.parseEbur128Summaries(''), {});
+    assert.deepStrictEqual(audioPrepUtils.parseEbur128Summaries(output.slice(0, output.indexOf('Summary:'))), {});
+});
+
+test('measured track gets loudness, range, peak and ReplayGain tags', function() {
+    var summaries = audioPrepUtils.parseEbur128Summaries(output);
+    assert.deepStrictEqual(audioPrepUtils.buildLoudnessTags(summaries[0], -18), {
+        LOUDNESS_INTEGRATED: '-20.9 LUFS',
+        REPLAYGAIN_TRACK_GAIN: '+2.90 dB',
+        LOUDNESS_RANGE: '11.3 LU',
+        LOUDNESS_TRUE_PEAK: '-0.4 dBTP',
+        REPLAYGAIN_TRACK_PEAK: '0.954993',
+    });
+    assert.strictEqual(audioPrepUtils.buildLoudnessTags({ integrated: -12.5, lra: null, truePeak: null }, -18)
+        .REPLAYGAIN_TRACK_GAIN, '-5.50 dB');
+});
+
+test('silent track at the absolute gate is tagged -inf without a gain', function() {
+    var summaries = audioPrepUtils.parseEbur128Summaries(output);
+    assert.deepStrictEqual(audioPrepUtils.buildLoudnessTags(summaries[1], -18), {
+        LOUDNESS_INTEGRATED: '-inf LUFS',
+        LOUDNESS_RANGE: '0.0 LU',
+        REPLAYGAIN_TRACK_PEAK: '0.000000',
+    });
+    assert.strictEqual(audioPrepUtils.buildLoudnessTags({ integrated: -Infinity, lra: null, truePeak: null }, -18)
+        .LOUDNESS_INTEGRATED, '-inf LUFS');
+    assert.strictEqual(audioPrepUtils.buildLoudnessTags({ integrated: -75.2, lra: null, truePeak: -60 }, -18)
+        .REPLAYGAIN_TRACK_GAIN, undefined);
+});
@@ -0,0 +1,120 @@
+"use strict";
+/**
+ * Audio Leftover Recovery: the replacement check and the backup / staging plans,
+ * run against temporary libraries with a stand-in ffprobe (test/fixtures/bin/ffprobe).
+ *
+ * Run with: node --test test/
+ */
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var recovery = require('../tools/recoverAudioLeftovers');
+
+var UUID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+var OTHER_UUID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+// A media file for the stand-in ffprobe: its content is the probe result
+function probe(audio, duration) {
+    var streams = [{ codec_type: 'video' }, { codec_type: 'subtitle' }];
+    for (var i = 0; i < audio; i++) streams.push({ codec_type: 'audio' });
+    return JSON.stringify({ streams: streams, format: { duration: String(duration) } });
+}
+
+function library(files) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audioprep-recovery-'));
+    Object.keys(files).forEach(function(name) { fs.writeFileSync(path.join(dir, name), files[name]); });
+    return dir;
+}
+
+function plan(dir, backups) {
+    var options = { ffprobe: path.join(__dirname, 'fixtures', 'bin', 'ffprobe'), minAge: 0, locks: '', work: '' };
+    var rows = recovery.planBackups(options, backups.map(function(name) { return path.join(dir, name); }), 0);
+    fs.rmSync(dir, { recursive: true, force: true });
+    return rows.map(function(row) { return { file: path.basename(row.path), action: row.action, reason: row.reason }; });
+}
+
+test('a replacement may add audio tracks but not lose anything', function() {
+    var backup = { video: 1, audio: 2, subtitle: 1, duration: 5400 };
+    assert.strictEqual(recovery.checkReplacement({ video: 1, audio: 3, subtitle: 1, duration: 5400.4 }, backup), '');
+    assert.strictEqual(recovery.checkReplacement({ video: 1, audio: 1, subtitle: 1, duration: 5400 }, backup),
+        '1 audio stream(s) vs backup 2');
+    assert.strictEqual(recovery.checkReplacement({ video: 1, audio: 2, subtitle: 0, duration: 5400 }, backup),
+        '0 subtitle stream(s) vs backup 1');
+    assert.strictEqual(recovery.checkReplacement({ video: 1, audio: 2, subtitle: 1, duration: 3000 }, backup),
+        'duration 3000.0s vs backup 5400.0s');
+    assert.strictEqual(recovery.checkReplacement(null, backup), 'new file does not probe');
+    assert.strictEqual(recovery.checkReplacement({ video: 1, audio: 1, subtitle: 0, duration: 10 }, null), '');
+});
+
+test('a backup whose original is missing is restored', function() {
+    var files = {};
+    files['movie.mkv.backup_' + UUID] = probe(2, 5400);
+    assert.deepStrictEqual(plan(library(files), ['movie.mkv.backup_' + UUID]), [
+        { file: 'movie.mkv.backup_' + UUID, action: 'restore', reason: 'original missing' },
+    ]);
+
+    files['movie.mkv.backup_' + UUID] = 'not media';
+    assert.deepStrictEqual(plan(library(files), ['movie.mkv.backup_' + UUID]), [
+        { file: 'movie.mkv.backup_' + UUID, action: 'restore', reason: 'original missing (backup does not probe either)' },
+    ]);
+});
+
+test('a verified new file is kept, a broken one is replaced by its backup', function() {
+    var files = { 'movie.mkv': probe(3, 5400) };
+    files['movie.mkv.backup_' + UUID] = probe(2, 5400);
+    assert.deepStrictEqual(plan(library(files), ['movie.mkv.backup_' + UUID]), [
+        { file: 'movie.mkv.backup_' + UUID, action: 'keep-new', reason: 'new file verified against backup' },
+    ]);
+
+    files['movie.mkv'] = probe(3, 2700);
+    assert.deepStrictEqual(plan(library(files), ['movie.mkv.backup_' + UUID]), [
+        { file: 'movie.mkv.backup_' + UUID, action: 'restore', reason: 'duration 2700.0s vs backup 5400.0s' },
+    ]);
+
+    files['movie.mkv'] = probe(1, 5400);
+    assert.deepStrictEqual(plan(library(files), ['movie.mkv.backup_' + UUID]), [
+        { file: 'movie.mkv.backup_' + UUID, action: 'restore', reason: '1 audio stream(s) vs backup 2' },
+    ]);
+
+    files['movie.mkv'] = 'truncated';
+    files['movie.mkv.backup_' + UUID] = 'truncated';
+    assert.deepStrictEqual(plan(library(files), ['movie.mkv.backup_' + UUID]), [
+        { file: 'movie.mkv.backup_' + UUID, action: 'review', reason: 'neither the new file nor the backup probes' },
+    ]);
+});
+
+test('several backups of one file, or a job still around, are left alone', function() {
+    var files = { 'movie.mkv': probe(3, 5400) };
+    files['movie.mkv.backup_' + UUID] = probe(2, 5400);
+    files['movie.mkv.backup_' + OTHER_UUID] = probe(2, 5400);
+    assert.deepStrictEqual(plan(library(files), ['movie.mkv.backup_' + UUID, 'movie.mkv.backup_' + OTHER_UUID]), [
+        { file: 'movie.mkv.backup_' + UUID, action: 'review', reason: '2 backups for the same file' },
+        { file: 'movie.mkv.backup_' + OTHER_UUID, action: 'review', reason: '2 backups for the same file' },
+    ]);
+
+    files = { 'movie.mkv': probe(3, 5400) };
+    files['movie.mkv.backup_' + UUID] = probe(2, 5400);
+    files['movie.mkv.staging_' + UUID] = probe(3, 5400);
+    assert.deepStrictEqual(plan(library(files), ['movie.mkv.backup_' + UUID]), [
+        { file: 'movie.mkv.backup_' + UUID, action: 'skip', reason: 'same job still has movie.mkv.staging_' + UUID },
+    ]);
+});
+
+test('staging files are deleted unless there is nothing left to keep', function() {
+    var files = { 'movie.mkv': probe(2, 5400) };
+    files['movie.mkv.staging_' + UUID] = probe(3, 5400);
+    files['lost.mkv.staging_' + OTHER_UUID] = probe(3, 5400);
+    var dir = library(files);
+    var rows = recovery.planStaging({ minAge: 0, locks: '', work: '' }, [
+        path.join(dir, 'movie.mkv.staging_' + UUID),
+        path.join(dir, 'lost.mkv.staging_' + OTHER_UUID),
+    ], 0);
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert.deepStrictEqual(rows.map(function(row) { return [row.action, row.reason]; }), [
+        ['delete', 'partial copy from an interrupted replacement'],
+        ['review', 'original and backup both missing'],
+    ]);
+});
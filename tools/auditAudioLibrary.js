@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+"use strict";
+/**
+ * Audio Library Audit
+ *
+ * Walks a media directory and runs Process Audio Complete and Normalize Audio
+ * Titles in plan only mode against each file, so the report uses exactly the
+ * same decisions the flow would make - without queueing anything in Tdarr and
+ * without touching any media file.
+ *
+ * Probe data comes from ffprobe, or from cached ffprobe JSON when --cache is
+ * given (the cache is refreshed whenever the media file is newer).
+ *
+ * Plugin inputs default to the plugin defaults; --flow takes them from an
+ * exported flow (e.g. flow-audio-prep-optimized.json) instead.
+ *
+ * The plugins load Tdarr's methods/lib and FlowHelpers (and this repo's
+ * LocalFlowHelpers), so run this from a checkout whose server/ directory has
+ * been populated by Tdarr, or point --plugins at the audio plugin directory of
+ * a Tdarr install.
+ *
+ * Usage:
+ *   node tools/auditAudioLibrary.js <mediaDir> [options]
+ *
+ * Options:
+ *   --flow <file>      Take plugin inputs from an exported flow JSON
+ *   --cache <dir>      Read/write ffprobe JSON under this directory
+ *   --offline          Only use cached probe data, never run ffprobe
+ *   --ffprobe <path>   ffprobe binary (default: ffprobe)
+ *   --ext <list>       Comma-separated extensions (default: mkv,mp4,m4v,avi,ts,m2ts,mov)
+ *   --format <fmt>     csv or json (default: csv)
+ *   --out <file>       Write the report to a file instead of stdout
+ *   --plugins <dir>    Audio plugin directory (default: the one in this repo)
+ *   --verbose          Print the plugin job logs to stderr
+ */
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var spawn = require('child_process').spawnSync;
+
+var DEFAULT_EXTENSIONS = ['mkv', 'mp4', 'm4v', 'avi', 'ts', 'm2ts', 'mov'];
+var DEFAULT_PLUGIN_DIR = path.join(__dirname, '..', 'server', 'Tdarr', 'Plugins', 'FlowPlugins',
+    'LocalFlowPlugins', 'audio');
+
+var CSV_COLUMNS = ['file', 'status', 'convert', 'stereo', 'reorder', 'retitle', 'dispositions', 'remove', 'error'];
+
+function usage(message) {
+    if (message) process.stderr.write('ERROR: ' + message + '\n\n');
+    process.stderr.write('Usage: node tools/auditAudioLibrary.js <mediaDir> [--flow file] [--cache dir] [--offline]\n' +
+        '       [--ffprobe path] [--ext mkv,mp4] [--format csv|json] [--out file] [--plugins dir] [--verbose]\n');
+    process.exit(message ? 2 : 0);
+}
+
+function parseArgs(argv) {
+    var options = {
+        mediaDir: '',
+        flow: '',
+        cache: '',
+        offline: false,
+        ffprobe: 'ffprobe',
+        extensions: DEFAULT_EXTENSIONS,
+        format: 'csv',
+        out: '',
+        plugins: DEFAULT_PLUGIN_DIR,
+        verbose: false,
+    };
+    var valueFlags = ['--flow', '--cache', '--ffprobe', '--ext', '--format', '--out', '--plugins'];
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        if (arg === '-h' || arg === '--help') usage();
+        if (arg === '--offline') {
+            options.offline = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (valueFlags.indexOf(arg) !== -1) {
+            var value = argv[++i];
+            if (value === undefined) usage(arg + ' needs a value');
+            if (arg === '--ext') {
+                options.extensions = value.split(',').map(function(e) {
+                    return e.trim().replace(/^\./, '').toLowerCase();
+                }).filter(Boolean);
+            } else {
+                options[arg.slice(2)] = value;
+            }
+        } else if (arg.indexOf('--') === 0) {
+            usage('Unknown option ' + arg);
+        } else if (!options.mediaDir) {
+            options.mediaDir = arg;
+        } else {
+            usage('Unexpected argument ' + arg);
+        }
+    }
+
+    if (!options.mediaDir) usage('No media directory given');
+    if (['csv', 'json'].indexOf(options.format) === -1) usage('Unknown format ' + options.format);
+    if (options.offline && !options.cache) usage('--offline needs --cache');
+    return options;
+}
+
+// Inputs of the first node of each plugin in an exported flow
+function readFlowInputs(flowFile) {
+    var flow = JSON.parse(fs.readFileSync(flowFile, 'utf8'));
+    var inputs = {};
+    (flow.flowPlugins || []).forEach(function(node) {
+        if (node.sourceRepo === 'Local' && !inputs[node.pluginName]) {
+            inputs[node.pluginName] = node.inputsDB || {};
+        }
+    });
+    return inputs;
+}
+
+function findMediaFiles(dir, extensions, files) {
+    var entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+        process.stderr.write('WARNING: Cannot read ' + dir + ': ' + e.message + '\n');
+        return files;
+    }
+    entries.sort(function(a, b) { return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0); });
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        var fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            findMediaFiles(fullPath, extensions, files);
+        } else if (entry.isFile() && extensions.indexOf(path.extname(entry.name).slice(1).toLowerCase()) !== -1) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// Cached probe JSON mirrors the media tree: <cache>/<relative path>.json
+function getCachePath(options, file) {
+    return path.join(options.cache, path.relative(options.mediaDir, file) + '.json');
+}
+
+function loadProbe(options, file) {
+    var cachePath = options.cache ? getCachePath(options, file) : '';
+    if (cachePath) {
+        try {
+            var cacheStats = fs.statSync(cachePath);
+            if (options.offline || cacheStats.mtimeMs >= fs.statSync(file).mtimeMs) {
+                return { probe: JSON.parse(fs.readFileSync(cachePath, 'utf8')), cached: true };
+            }
+        } catch (e) {
+            if (options.offline) {
+                return { error: 'No cached probe data (' + e.message + ')' };
+            }
+        }
+    }
+
+    var result = spawn(options.ffprobe, ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', file], {
+        encoding: 'utf8',
+        maxBuffer: 50 * 1024 * 1024,
+        timeout: 120000,
+    });
+    if (result.error || result.status !== 0) {
+        return { error: 'ffprobe failed' + (result.error ? ': ' + result.error.message : ' (exit ' + result.status + ')') };
+    }
+
+    var probe;
+    try {
+        probe = JSON.parse(result.stdout);
+    } catch (e) {
+        return { error: 'Could not parse ffprobe output: ' + e.message };
+    }
+
+    if (cachePath) {
+        try {
+            fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+            fs.writeFileSync(cachePath, JSON.stringify(probe));
+        } catch (e) {
+            process.stderr.write('WARNING: Could not write probe cache ' + cachePath + ': ' + e.message + '\n');
+        }
+    }
+    return { probe: probe, cached: false };
+}
+
+// Run a plugin in plan only mode the way Tdarr would, collecting its job log
+async function runPlanOnly(pluginModule, pluginName, inputs, file, probe, workDir, log) {
+    var args = {
+        inputs: Object.assign({}, inputs, { planOnly: true }),
+        inputFileObj: {
+            _id: file,
+            file: file,
+            container: path.extname(file).slice(1).toLowerCase(),
+            ffProbeData: probe,
+        },
+        variables: { user: {} },
+        workDir: workDir,
+        ffmpegPath: 'ffmpeg',
+        deps: {
+            // getPluginWorkDir only needs ensureDirSync from fs-extra
+            fsextra: { ensureDirSync: function(dir) { fs.mkdirSync(dir, { recursive: true }); } },
+        },
+        jobLog: function(line) { log.push(String(line)); },
+        updateWorker: function() {},
+        logFullCliOutput: false,
+    };
+    // Plugins throw on real errors so the flow's error output fires; report those as errors
+    var result;
+    try {
+        result = await pluginModule.plugin(args);
+    } catch (e) {
+        return { outputNumber: 0, plan: null, error: 'ERROR: ' + e.message };
+    }
+    var audioPrep = (result.variables && result.variables.audioPrep) || {};
+    return {
+        outputNumber: result.outputNumber,
+        plan: (audioPrep.plans && audioPrep.plans[pluginName]) || null,
+        error: log.filter(function(line) { return line.indexOf('ERROR') === 0; })[0] || '',
+    };
+}
+
+function getStreamTitle(stream) {
+    return (stream && stream.tags && stream.tags.title) || '';
+}
+
+function getDispositionFlags(disposition) {
+    return Object.keys(disposition || {}).filter(function(key) {
+        return disposition[key] === 1 || disposition[key] === true || disposition[key] === '1';
+    }).sort().join('+');
+}
+
+// Turn the two plans into one report row
+function summarize(file, probe, complete, titles) {
+    var row = {
+        file: file,
+        status: 'optimal',
+        convert: [],
+        stereo: [],
+        reorder: false,
+        retitle: 0,
+        dispositions: 0,
+        remove: [],
+        error: complete.error || titles.error,
+    };
+    if (row.error) {
+        row.status = 'error';
+        return row;
+    }
+
+    var sourceAudio = (probe.streams || []).filter(function(st) { return st.codec_type === 'audio'; });
+    // Process Audio Complete already covers titles; Normalize Audio Titles only matters when it has nothing to do
+    var plan = complete.plan || titles.plan;
+    if (!plan) return row;
+
+    var lastCopied = -1;
+    plan.audio.forEach(function(track) {
+        var sourceIndex = parseInt(track.source.split(':')[2], 10);
+        var sourceStream = sourceAudio[sourceIndex];
+        if (track.action === 'convert') {
+            row.convert.push((sourceStream ? sourceStream.codec_name : '?') + '>' + track.codec + ' (a:' + sourceIndex + ')');
+        } else if (track.action === 'create') {
+            row.stereo.push(track.language + (/night/i.test(track.title) ? ' night' : ''));
+        } else {
+            if (sourceIndex < lastCopied) row.reorder = true;
+            lastCopied = sourceIndex;
+            if (getStreamTitle(sourceStream) !== track.title) row.retitle++;
+            if (sourceStream && getDispositionFlags(sourceStream.disposition) !== getDispositionFlags(track.disposition)) {
+                row.dispositions++;
+            }
+        }
+    });
+    row.remove = (plan.removed || []).map(function(removed) {
+        return removed.source + ' (' + removed.reason + ')';
+    });
+
+    if (row.convert.length || row.stereo.length || row.reorder || row.retitle || row.dispositions || row.remove.length) {
+        row.status = 'needs-processing';
+    }
+    return row;
+}
+
+function csvField(value) {
+    var text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function formatReport(rows, format) {
+    if (format === 'json') {
+        return JSON.stringify(rows, null, 2) + '\n';
+    }
+    var lines = [CSV_COLUMNS.join(',')];
+    rows.forEach(function(row) {
+        lines.push(CSV_COLUMNS.map(function(column) { return csvField(row[column]); }).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+async function main() {
+    var options = parseArgs(process.argv.slice(2));
+    options.mediaDir = path.resolve(options.mediaDir);
+
+    var flowInputs = options.flow ? readFlowInputs(options.flow) : {};
+    var completePlugin = require(path.join(options.plugins, 'processAudioComplete', '1.0.0', 'index.js'));
+    var titlesPlugin = require(path.join(options.plugins, 'normalizeAudioTitles', '1.0.0', 'index.js'));
+
+    // Plan only mode never writes here, but getPluginWorkDir creates a directory per call
+    var workDir = path.join(os.tmpdir(), 'audio-audit-' + crypto.randomBytes(6).toString('hex'));
+    fs.mkdirSync(workDir, { recursive: true });
+
+    var files = findMediaFiles(options.mediaDir, options.extensions, []);
+    process.stderr.write('Auditing ' + files.length + ' file(s) in ' + options.mediaDir + '\n');
+
+    var rows = [];
+    try {
+        for (var i = 0; i < files.length; i++) {
+            var file = files[i];
+            var relative = path.relative(options.mediaDir, file);
+            var loaded = loadProbe(options, file);
+            if (loaded.error) {
+                rows.push(summarize(relative, {}, { error: loaded.error }, {}));
+                continue;
+            }
+
+            var completeLog = [];
+            var titlesLog = [];
+            var complete, titles;
+            try {
+                complete = await runPlanOnly(completePlugin, 'processAudioComplete', flowInputs.processAudioComplete || {}, file,
+                    loaded.probe, workDir, completeLog);
+                titles = await runPlanOnly(titlesPlugin, 'normalizeAudioTitles', flowInputs.normalizeAudioTitles || {}, file,
+                    loaded.probe, workDir, titlesLog);
+            } catch (e) {
+                complete = { error: 'Plugin threw: ' + e.message };
+                titles = {};
+            }
+            if (options.verbose) {
+                process.stderr.write('== ' + relative + '\n' + completeLog.concat(titlesLog).join('\n') + '\n');
+            }
+
+            var row = summarize(relative, loaded.probe, complete, titles);
+            rows.push(row);
+            process.stderr.write('[' + (i + 1) + '/' + files.length + '] ' + row.status + ': ' + relative + '\n');
+        }
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    var report = formatReport(rows, options.format);
+    if (options.out) {
+        fs.writeFileSync(options.out, report);
+        process.stderr.write('Report written to ' + options.out + '\n');
+    } else {
+        process.stdout.write(report);
+    }
+
+    var counts = {};
+    rows.forEach(function(row) { counts[row.status] = (counts[row.status] || 0) + 1; });
+    process.stderr.write('Summary: ' + Object.keys(counts).map(function(status) {
+        return counts[status] + ' ' + status;
+    }).join(', ') + '\n');
+}
+
+main().catch(function(e) {
+    process.stderr.write('ERROR: ' + e.message + '\n');
+    process.exit(1);
+});
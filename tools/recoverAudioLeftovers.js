@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+"use strict";
+/**
+ * Audio Leftover Recovery
+ *
+ * Create Stereo Downmix, Normalize Audio Titles and Tag Audio Loudness replace
+ * files in place: the new file is copied next to the original as
+ * <file>.staging_<uuid>, then original -> <file>.backup_<uuid>, staging ->
+ * original name, backup deleted. A node that crashes in between leaves
+ * artifacts behind. This walks a library (and optionally the nodes' work and
+ * shared lock directories) and decides per artifact what to do:
+ *
+ *   backup, original missing      restore the backup
+ *   backup, original present      ffprobe both; keep the new file and delete the
+ *                                 backup if it checks out, otherwise restore
+ *   several backups for one file  review (nothing is touched)
+ *   staging file                  delete (a copy that never made it into place),
+ *                                 review if neither original nor backup exists
+ *   stereo_* / normalize_* /
+ *   loudness_* temps              delete (work directory only)
+ *   stale .audioprep.lock files   delete (not rewritten for 5 minutes)
+ *
+ * Anything changed less than --min-age ago is skipped because a job may still be
+ * using it. Change time is used rather than mtime, since the backup rename keeps
+ * the original's (often years old) mtime. Backups and staging files are also
+ * skipped while their file holds a live lock (next to the media, in --locks or in
+ * --work) or while a temp or staging file from the same job still exists.
+ *
+ * Without --apply nothing is changed and the report shows what would happen.
+ *
+ * Usage:
+ *   node tools/recoverAudioLeftovers.js <mediaDir> [options]
+ *
+ * Options:
+ *   --apply            Restore / delete as reported (default: report only)
+ *   --work <dir>       Also clean orphaned temp files from a node work directory
+ *   --locks <dir>      Also clean stale locks from a shared lock directory
+ *   --min-age <min>    Skip artifacts changed less than this many minutes ago (default: 60)
+ *   --ffprobe <path>   ffprobe binary (default: ffprobe)
+ *   --format <fmt>     csv or json (default: csv)
+ *   --out <file>       Write the report to a file instead of stdout
+ */
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var spawn = require('child_process').spawnSync;
+
+var BACKUP_PATTERN = /^(.+)\.backup_([0-9a-f-]{32,36})$/i;
+var STAGING_PATTERN = /^(.+)\.staging_([0-9a-f-]{32,36})$/i;
+var TEMP_PATTERN = /^(stereo|normalize|loudness)_([0-9a-f-]{32,36})(\.[^.]+)?$/i;
+var LOCK_PATTERN = /\.(audioprep|stereodownmix)\.lock(\.(stale|clock)-.*)?$/;
+// Same threshold the plugins use before breaking a lock
+var LOCK_STALE_MS = 5 * 60 * 1000;
+
+var CSV_COLUMNS = ['path', 'kind', 'original', 'action', 'reason', 'result'];
+
+function usage(message) {
+    if (message) process.stderr.write('ERROR: ' + message + '\n\n');
+    process.stderr.write('Usage: node tools/recoverAudioLeftovers.js <mediaDir> [--apply] [--work dir] [--locks dir]\n' +
+        '       [--min-age minutes] [--ffprobe path] [--format csv|json] [--out file]\n');
+    process.exit(message ? 2 : 0);
+}
+
+function parseArgs(argv) {
+    var options = {
+        mediaDir: '',
+        apply: false,
+        work: '',
+        locks: '',
+        minAge: 60,
+        ffprobe: 'ffprobe',
+        format: 'csv',
+        out: '',
+    };
+    var valueFlags = ['--work', '--locks', '--min-age', '--ffprobe', '--format', '--out'];
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        if (arg === '-h' || arg === '--help') usage();
+        if (arg === '--apply') {
+            options.apply = true;
+        } else if (valueFlags.indexOf(arg) !== -1) {
+            var value = argv[++i];
+            if (value === undefined) usage(arg + ' needs a value');
+            if (arg === '--min-age') {
+                options.minAge = parseFloat(value);
+                if (!isFinite(options.minAge) || options.minAge < 0) usage('--min-age needs a number of minutes');
+            } else {
+                options[arg.slice(2)] = value;
+            }
+        } else if (arg.indexOf('--') === 0) {
+            usage('Unknown option ' + arg);
+        } else if (!options.mediaDir) {
+            options.mediaDir = arg;
+        } else {
+            usage('Unexpected argument ' + arg);
+        }
+    }
+
+    if (!options.mediaDir) usage('No media directory given');
+    if (['csv', 'json'].indexOf(options.format) === -1) usage('Unknown format ' + options.format);
+    return options;
+}
+
+// Every file under dir whose name matches pattern (hidden files included)
+function findFiles(dir, pattern, files) {
+    var entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+        process.stderr.write('WARNING: Cannot read ' + dir + ': ' + e.message + '\n');
+        return files;
+    }
+    entries.sort(function(a, b) { return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0); });
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        var fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            findFiles(fullPath, pattern, files);
+        } else if (entry.isFile() && pattern.test(entry.name)) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// Stream counts and duration, or null if the file doesn't probe
+function probeSummary(ffprobe, file) {
+    var result = spawn(ffprobe, ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', file], {
+        encoding: 'utf8',
+        maxBuffer: 50 * 1024 * 1024,
+        timeout: 120000,
+    });
+    if (result.error || result.status !== 0) return null;
+    var probe;
+    try {
+        probe = JSON.parse(result.stdout);
+    } catch (e) {
+        return null;
+    }
+    var summary = { video: 0, audio: 0, subtitle: 0, duration: parseFloat(probe.format && probe.format.duration) || 0 };
+    (probe.streams || []).forEach(function(stream) {
+        if (summary[stream.codec_type] !== undefined) summary[stream.codec_type]++;
+    });
+    if (summary.video + summary.audio === 0) return null;
+    return summary;
+}
+
+// Why the file now at the original name can't be trusted, or '' if it looks like a finished replacement.
+// The plugins only ever add audio tracks or rewrite metadata, so nothing else may change.
+function checkReplacement(current, backup) {
+    if (!current) return 'new file does not probe';
+    if (!backup) return '';
+    if (current.duration > 0 && backup.duration > 0 &&
+        Math.abs(current.duration - backup.duration) > Math.max(1, backup.duration * 0.01)) {
+        return 'duration ' + current.duration.toFixed(1) + 's vs backup ' + backup.duration.toFixed(1) + 's';
+    }
+    if (current.video !== backup.video) return current.video + ' video stream(s) vs backup ' + backup.video;
+    if (current.subtitle !== backup.subtitle) return current.subtitle + ' subtitle stream(s) vs backup ' + backup.subtitle;
+    if (current.audio < backup.audio) return current.audio + ' audio stream(s) vs backup ' + backup.audio;
+    return '';
+}
+
+function readLockInfo(lockFile) {
+    try {
+        var info = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+        return info && typeof info === 'object' ? info : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// The current time by the clock of the filesystem holding lockFile (see the plugins'
+// audioPrepUtils), falling back to ours where we can't write
+function getFilesystemNow(lockFile) {
+    var probe = lockFile + '.clock-' + process.pid + '-' + Date.now();
+    try {
+        fs.writeFileSync(probe, '');
+        return fs.statSync(probe).mtimeMs;
+    } catch (e) {
+        return Date.now();
+    } finally {
+        try {
+            fs.unlinkSync(probe);
+        } catch (e) {
+            // Never created
+        }
+    }
+}
+
+// Judged like the plugins do: a dead PID on this host, or a lock the heartbeat
+// hasn't rewritten for LOCK_STALE_MS by the file server's clock
+function isLockStale(lockFile, stats) {
+    var info = readLockInfo(lockFile);
+    if (info && info.host === os.hostname() && info.pid) {
+        try {
+            process.kill(info.pid, 0);
+        } catch (e) {
+            if (e.code === 'ESRCH') return true;
+        }
+    }
+    return getFilesystemNow(lockFile) - stats.mtimeMs > LOCK_STALE_MS;
+}
+
+// Every place a plugin may keep the lock for original: next to the media, or
+// named after the file in the shared lock directory or a node's work directory
+function lockCandidates(options, original) {
+    var baseName = path.basename(original);
+    var candidates = [path.join(path.dirname(original), '.' + baseName + '.audioprep.lock')];
+    if (options.locks) candidates.push(path.join(path.resolve(options.locks), baseName + '.audioprep.lock'));
+    if (options.work) candidates.push(path.join(path.resolve(options.work), baseName + '.audioprep.lock'));
+    return candidates;
+}
+
+// A live lock means a job is working on the file right now
+function hasLiveLock(options, original) {
+    return lockCandidates(options, original).some(function(lockFile) {
+        try {
+            return !isLockStale(lockFile, fs.statSync(lockFile));
+        } catch (e) {
+            return false;
+        }
+    });
+}
+
+// The job that left an artifact with this uuid still has its temp or staging file around
+function findJobFiles(options, original, uuid) {
+    var found = [];
+    var staging = original + '.staging_' + uuid;
+    if (fs.existsSync(staging)) found.push(staging);
+    if (options.work) {
+        found = found.concat(findFiles(path.resolve(options.work), TEMP_PATTERN, []).filter(function(temp) {
+            return TEMP_PATTERN.exec(path.basename(temp))[2].toLowerCase() === uuid.toLowerCase();
+        }));
+    }
+    return found;
+}
+
+// Why a backup or staging file may still belong to a running job, or ''
+function inUseReason(options, file, original, uuid, minAgeMs) {
+    if (Date.now() - fs.statSync(file).ctimeMs < minAgeMs) {
+        return 'changed less than ' + options.minAge + ' minutes ago';
+    }
+    if (hasLiveLock(options, original)) {
+        return 'file is locked by a running job';
+    }
+    // Once those are cleaned up (by this tool as well) the next run can act on it
+    var jobFiles = findJobFiles(options, original, uuid).filter(function(jobFile) { return jobFile !== file; });
+    if (jobFiles.length > 0) {
+        return 'same job still has ' + jobFiles.map(function(jobFile) { return path.basename(jobFile); }).join(', ');
+    }
+    return '';
+}
+
+function planBackups(options, backups, minAgeMs) {
+    var byOriginal = {};
+    var uuids = {};
+    backups.forEach(function(backup) {
+        var match = BACKUP_PATTERN.exec(path.basename(backup));
+        var original = path.join(path.dirname(backup), match[1]);
+        (byOriginal[original] = byOriginal[original] || []).push(backup);
+        uuids[backup] = match[2];
+    });
+
+    var rows = [];
+    Object.keys(byOriginal).sort().forEach(function(original) {
+        var group = byOriginal[original];
+        group.forEach(function(backup) {
+            var row = { path: backup, kind: 'backup', original: original, action: 'skip', reason: '', result: '' };
+            rows.push(row);
+
+            row.reason = inUseReason(options, backup, original, uuids[backup], minAgeMs);
+            if (row.reason) {
+                return;
+            }
+            if (group.length > 1) {
+                row.action = 'review';
+                row.reason = group.length + ' backups for the same file';
+                return;
+            }
+            if (!fs.existsSync(original)) {
+                row.action = 'restore';
+                row.reason = 'original missing';
+                if (!probeSummary(options.ffprobe, backup)) row.reason += ' (backup does not probe either)';
+                return;
+            }
+
+            var currentSummary = probeSummary(options.ffprobe, original);
+            var backupSummary = probeSummary(options.ffprobe, backup);
+            var problem = checkReplacement(currentSummary, backupSummary);
+            if (!problem) {
+                row.action = 'keep-new';
+                row.reason = backupSummary ? 'new file verified against backup' : 'new file probes, backup does not';
+            } else if (backupSummary) {
+                row.action = 'restore';
+                row.reason = problem;
+            } else {
+                row.action = 'review';
+                row.reason = 'neither the new file nor the backup probes';
+            }
+        });
+    });
+    return rows;
+}
+
+// A staging file is a copy that never made it into place; the original (or, if the
+// crash came between the two renames, its backup) is the file to keep
+function planStaging(options, stagingFiles, minAgeMs) {
+    return stagingFiles.map(function(staging) {
+        var match = STAGING_PATTERN.exec(path.basename(staging));
+        var original = path.join(path.dirname(staging), match[1]);
+        var row = { path: staging, kind: 'staging', original: original, action: 'skip', reason: '', result: '' };
+        row.reason = inUseReason(options, staging, original, match[2], minAgeMs);
+        if (row.reason) {
+            return row;
+        }
+        if (!fs.existsSync(original) && !fs.existsSync(original + '.backup_' + match[2])) {
+            row.action = 'review';
+            row.reason = 'original and backup both missing';
+            return row;
+        }
+        row.action = 'delete';
+        row.reason = 'partial copy from an interrupted replacement';
+        return row;
+    });
+}
+
+function planOrphans(files, kind, minAgeMs, options, isOrphan) {
+    return files.map(function(file) {
+        var row = { path: file, kind: kind, original: '', action: 'skip', reason: '', result: '' };
+        var stats = fs.statSync(file);
+        if (kind !== 'lock' && Date.now() - stats.ctimeMs < minAgeMs) {
+            row.reason = 'changed less than ' + options.minAge + ' minutes ago';
+        } else if (!isOrphan(file, stats)) {
+            row.reason = 'lock is live';
+        } else {
+            row.action = 'delete';
+            row.reason = kind === 'lock' ? 'stale lock' : 'orphaned temp file';
+        }
+        return row;
+    });
+}
+
+function applyRow(row) {
+    if (row.action === 'restore') {
+        // rename replaces a broken new file atomically; the original is never missing
+        fs.renameSync(row.path, row.original);
+    } else if (row.action === 'keep-new' || row.action === 'delete') {
+        fs.unlinkSync(row.path);
+    }
+}
+
+function csvField(value) {
+    var text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function formatReport(rows, format) {
+    if (format === 'json') {
+        return JSON.stringify(rows, null, 2) + '\n';
+    }
+    var lines = [CSV_COLUMNS.join(',')];
+    rows.forEach(function(row) {
+        lines.push(CSV_COLUMNS.map(function(column) { return csvField(row[column]); }).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+function main() {
+    var options = parseArgs(process.argv.slice(2));
+    options.mediaDir = path.resolve(options.mediaDir);
+    var minAgeMs = options.minAge * 60 * 1000;
+
+    var backups = findFiles(options.mediaDir, BACKUP_PATTERN, []);
+    var rows = planBackups(options, backups, minAgeMs);
+    rows = rows.concat(planStaging(options, findFiles(options.mediaDir, STAGING_PATTERN, []), minAgeMs));
+
+    var lockFiles = findFiles(options.mediaDir, LOCK_PATTERN, []);
+    if (options.locks) lockFiles = lockFiles.concat(findFiles(path.resolve(options.locks), LOCK_PATTERN, []));
+    if (options.work) lockFiles = lockFiles.concat(findFiles(path.resolve(options.work), LOCK_PATTERN, []));
+    rows = rows.concat(planOrphans(lockFiles, 'lock', minAgeMs, options, function(file, stats) {
+        // Leftovers from breaking a stale lock are always safe to remove
+        return /\.stale-/.test(file) || isLockStale(file, stats);
+    }));
+
+    if (options.work) {
+        var temps = findFiles(path.resolve(options.work), TEMP_PATTERN, []);
+        rows = rows.concat(planOrphans(temps, 'temp', minAgeMs, options, function() { return true; }));
+    }
+
+    rows.forEach(function(row) {
+        if (row.action === 'skip' || row.action === 'review') {
+            row.result = row.action === 'review' ? 'needs review' : 'skipped';
+        } else if (!options.apply) {
+            row.result = 'report only';
+        } else {
+            try {
+                applyRow(row);
+                row.result = 'done';
+            } catch (e) {
+                row.result = 'failed: ' + e.message;
+            }
+        }
+        process.stderr.write(row.action + ': ' + row.path + (row.reason ? ' (' + row.reason + ')' : '') +
+            (row.result === 'done' || row.result.indexOf('failed') === 0 ? ' - ' + row.result : '') + '\n');
+    });
+
+    var report = formatReport(rows, options.format);
+    if (options.out) {
+        fs.writeFileSync(options.out, report);
+        process.stderr.write('Report written to ' + options.out + '\n');
+    } else {
+        process.stdout.write(report);
+    }
+
+    var counts = {};
+    rows.forEach(function(row) { counts[row.action] = (counts[row.action] || 0) + 1; });
+    process.stderr.write('Summary: ' + (rows.length ? Object.keys(counts).map(function(action) {
+        return counts[action] + ' ' + action;
+    }).join(', ') : 'nothing found') + (options.apply ? '' : ' (report only, use --apply to act)') + '\n');
+
+    if (rows.some(function(row) { return row.result.indexOf('failed') === 0; })) {
+        process.exit(1);
+    }
+}
+
+// The planning steps are exported for the tests; running the file does the recovery
+exports.checkReplacement = checkReplacement;
+exports.planBackups = planBackups;
+exports.planStaging = planStaging;
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (e) {
+        process.stderr.write('ERROR: ' + e.message + '\n');
+        process.exit(1);
+    }
+}